@@ -2,7 +2,7 @@
  * Tests for the Code Mood Analyzer
  */
 
-const { analyzeCode, determineMood, generateSuggestions, MOOD_EMOJIS } = require('../lib/analyzer');
+const { analyzeCode, determineMood, determineFunctionMood, getWorstFunctions, generateSuggestions, formatResults, formatExplanation, MOOD_EMOJIS } = require('../lib/analyzer');
 
 describe('analyzeCode', () => {
   test('should count lines correctly', () => {
@@ -88,16 +88,155 @@ async function four() {}`;
     expect(result.nestingDepth).toBe(4);
   });
 
-  test('should detect test patterns', () => {
+  test('should tell test files by name', () => {
     const code = `describe('test', () => {
   it('should work', () => {
     expect(true).toBe(true);
   });
 });`;
     
-    const result = analyzeCode(code, 'test.js');
+    const result = analyzeCode(code, 'widget.test.js');
     
-    expect(result.hasTests).toBe(true);
+    expect(result.isTest).toBe(true);
+    expect(result.hasTests).toBe(false);
+    expect(analyzeCode(code, 'widget.js').isTest).toBe(false);
+  });
+
+  test('should count hash comments and docstrings in Python', () => {
+    const code = `# Module comment
+def greet(name):
+    """
+    Say hello.
+    """
+    message = 'hi ' + name
+    return message`;
+
+    const result = analyzeCode(code, 'greet.py');
+
+    expect(result.language).toBe('python');
+    expect(result.commentLines).toBe(4);
+    expect(result.codeLines).toBe(3);
+    expect(result.functionCount).toBe(1);
+    expect(result.variableDeclarations).toBe(1);
+  });
+
+  test('should count Ruby block comments', () => {
+    const code = `=begin
+Documentation block
+=end
+# Line comment
+def run
+  total = 1
+end`;
+
+    const result = analyzeCode(code, 'run.rb');
+
+    expect(result.commentLines).toBe(4);
+    expect(result.functionCount).toBe(1);
+    expect(result.variableDeclarations).toBe(1);
+  });
+
+  test('should count hash comments in PHP', () => {
+    const code = `<?php
+# Hash comment
+// Slash comment
+function add($a, $b) {
+  $sum = $a + $b;
+  return $sum;
+}`;
+
+    const result = analyzeCode(code, 'add.php');
+
+    expect(result.commentLines).toBe(2);
+    expect(result.functionCount).toBe(1);
+    expect(result.variableDeclarations).toBe(1);
+  });
+
+  test('should track block comments without leading asterisks', () => {
+    const code = `/*
+Plain block comment
+*/
+const x = 1;`;
+
+    const result = analyzeCode(code, 'test.js');
+
+    expect(result.commentLines).toBe(3);
+    expect(result.codeLines).toBe(1);
+  });
+
+  test('should ignore braces inside strings, templates and regexes', () => {
+    const code = `const a = "{{{";
+const b = \`{\${a}{\`;
+const c = /{+/;
+function f() {
+  return '}';
+}`;
+
+    const result = analyzeCode(code, 'test.js');
+
+    expect(result.nestingDepth).toBe(1);
+  });
+
+  test('should only count mood words in comments by default', () => {
+    const code = `// This is bad
+const isGood = true;
+const message = "bad request";`;
+
+    expect(analyzeCode(code, 'test.js').negativeWords).toBe(1);
+    expect(analyzeCode(code, 'test.js').positiveWords).toBe(0);
+    expect(analyzeCode(code, 'test.js', { sentimentInStrings: true }).negativeWords).toBe(2);
+  });
+
+  test('should count punctuation in comments and strings but not operators', () => {
+    const code = `// Really?!
+if (a !== b) { x = a ? b : c; }`;
+
+    const result = analyzeCode(code, 'test.js');
+
+    expect(result.exclamationMarks).toBe(1);
+    expect(result.questionMarks).toBe(1);
+  });
+
+  test('should locate markers, stress words, deep nesting and long lines', () => {
+    const code = `// TODO: urgent
+function f() { if (a) { if (b) { if (c) { if (d) { x(); } } } } }
+const s = '${'x'.repeat(130)}';`;
+
+    const result = analyzeCode(code, 'test.js');
+
+    expect(result.findings).toEqual([
+      { kind: 'todo', text: 'TODO', line: 1, column: 4, context: '// TODO: urgent' },
+      { kind: 'stress', text: 'urgent', line: 1, column: 10, context: '// TODO: urgent' },
+      { kind: 'deep-nesting', text: 'nesting depth 5', line: 2, column: 50, context: 'function f() { if (a) { if (b) { if (c) { if (d) { x(); } } } } }' },
+      { kind: 'long-line', text: 'line length 143', line: 3, column: 1, context: `const s = '${'x'.repeat(130)}';` }
+    ]);
+  });
+
+  test('should only count markers as bare words', () => {
+    const result = analyzeCode('// update the todoList and the hackathon page\n// TODO(alice): two todos left; HACK: a hacky workaround', 'test.js');
+
+    expect(result.todoCount).toBe(1);
+    expect(result.hackCount).toBe(1);
+    expect(result.findings.filter(finding => ['todo', 'hack'].includes(finding.kind)).map(finding => finding.text)).toEqual(['TODO', 'HACK']);
+  });
+
+  test('should not count a hacky workaround as a HACK', () => {
+    expect(analyzeCode('// a hacky workaround for the hacks upstream', 'test.js').hackCount).toBe(0);
+  });
+
+  test('should derive the counters from the findings', () => {
+    const result = analyzeCode('// nice and clean\n// FIXME: ugly, urgent\nconst nice = "ugly";', 'test.js');
+    const count = kind => result.findings.filter(finding => finding.kind === kind).length;
+
+    expect(result.positiveWords).toBe(count('positive'));
+    expect(result.negativeWords).toBe(count('negative'));
+    expect(result.stressWords).toBe(count('stress'));
+    expect(result.fixmeCount).toBe(count('fixme'));
+    expect(result.positiveWords).toBe(2);
+    expect(result.negativeWords).toBe(2);
+    expect(result.findings.find(finding => finding.kind === 'stress')).toEqual({
+      kind: 'stress', text: 'urgent', line: 2, column: 17, context: '// FIXME: ugly, urgent'
+    });
   });
 
   test('should handle empty code', () => {
@@ -242,6 +381,144 @@ describe('determineMood', () => {
     expect(result.score).toBeGreaterThanOrEqual(0);
     expect(result.score).toBeLessThanOrEqual(100);
   });
+
+  test('should explain the score with ordered contributions', () => {
+    const metrics = {
+      totalLines: 40,
+      codeLines: 33,
+      commentLines: 1,
+      positiveWords: 0,
+      negativeWords: 0,
+      stressWords: 0,
+      todoCount: 0,
+      fixmeCount: 0,
+      hackCount: 3,
+      nestingDepth: 2,
+      longestLine: 80,
+      exclamationMarks: 0,
+      questionMarks: 0,
+      hasTests: true
+    };
+
+    const result = determineMood(metrics);
+
+    expect(result.contributions).toEqual([
+      { label: 'base score', points: 50 },
+      { label: 'comment ratio 0.03', points: -10 },
+      { label: '3 HACKs', points: -21 },
+      { label: 'tests detected', points: 10 }
+    ]);
+    expect(result.contributions.reduce((sum, contribution) => sum + contribution.points, 0)).toBe(result.score);
+    expect(result.moodRule).toEqual({ type: 'band', description: 'score 29 is in the frustrated band (25 and up)' });
+  });
+
+  test('should name the override that chose the mood', () => {
+    const metrics = {
+      totalLines: 20,
+      codeLines: 10,
+      commentLines: 5,
+      positiveWords: 2,
+      negativeWords: 0,
+      stressWords: 0,
+      todoCount: 0,
+      fixmeCount: 0,
+      hackCount: 0,
+      nestingDepth: 1,
+      longestLine: 40,
+      exclamationMarks: 0,
+      questionMarks: 0,
+      hasTests: false
+    };
+
+    const result = determineMood(metrics);
+
+    expect(result.mood).toBe('zen');
+    expect(result.moodRule.type).toBe('override');
+    expect(result.moodRule.description).toMatch(/^zen: comment ratio 0\.50 >= 0\.15/);
+  });
+});
+
+describe('formatExplanation', () => {
+  test('should list contributions, the total and the mood rule', () => {
+    const lines = formatExplanation({
+      score: 0,
+      contributions: [{ label: 'base score', points: 50 }, { label: '9 negative words', points: -72 }],
+      moodRule: { type: 'band', description: 'score 0 is below every mood band' }
+    });
+
+    expect(lines).toEqual([
+      'base score       → +50',
+      '9 negative words → -72',
+      'total            = -22 (clamped to 0)',
+      'Mood: score 0 is below every mood band'
+    ]);
+  });
+});
+
+describe('determineFunctionMood', () => {
+  test('should be happy about small simple functions', () => {
+    const result = determineFunctionMood({ cyclomaticComplexity: 1, cognitiveComplexity: 0, parameterCount: 1, length: 5, nestingDepth: 0 });
+
+    expect(result.mood).toBe('ecstatic');
+    expect(result.emoji).toBe(MOOD_EMOJIS.ecstatic);
+  });
+
+  test('should flag deeply nested complex functions as chaotic', () => {
+    const result = determineFunctionMood({ cyclomaticComplexity: 6, cognitiveComplexity: 15, parameterCount: 1, length: 1, nestingDepth: 5 });
+
+    expect(result.mood).toBe('chaotic');
+  });
+
+  test('should penalize long parameter lists', () => {
+    const result = determineFunctionMood({ cyclomaticComplexity: 1, cognitiveComplexity: 0, parameterCount: 10, length: 1, nestingDepth: 0 });
+
+    expect(result.score).toBeLessThan(45);
+  });
+});
+
+describe('getWorstFunctions', () => {
+  test('should list unhappy functions worst first', () => {
+    const metrics = {
+      functions: [
+        { name: 'fine', score: 80, cognitiveComplexity: 0 },
+        { name: 'bad', score: 35, cognitiveComplexity: 0 },
+        { name: 'worse', score: 10, cognitiveComplexity: 20 }
+      ]
+    };
+
+    expect(getWorstFunctions(metrics).map(fn => fn.name)).toEqual(['worse', 'bad']);
+    expect(getWorstFunctions(metrics, 1)).toHaveLength(1);
+  });
+
+  test('should show worst functions in formatted results', () => {
+    const metrics = analyzeCode('function p(i){if(i){if(i.a){if(i.a.b){if(i.a.b.c){if(i.a.b.c.d){return 1}}}}}return 0}', 'p.js');
+    const moodResult = determineMood(metrics);
+    const output = formatResults(metrics, moodResult, []);
+
+    expect(output).toContain('FUNCTIONS NEEDING ATTENTION');
+    expect(output).toContain('p (line 1)');
+  });
+
+  test('should list findings when details are asked for', () => {
+    const metrics = analyzeCode('const a = 1;\n  // TODO: tidy up', 'a.js');
+    const moodResult = determineMood(metrics);
+
+    expect(formatResults(metrics, moodResult, [])).not.toContain('FINDINGS');
+    const output = formatResults(metrics, moodResult, [], { details: true });
+    expect(output).toContain('FINDINGS');
+    expect(output).toMatch(/2:6 +todo +TODO\n +\/\/ TODO: tidy up/);
+  });
+
+  test('should only show the score breakdown when asked to', () => {
+    const metrics = analyzeCode('// HACK: quick fix\nconst a = 1;', 'a.js');
+    const moodResult = determineMood(metrics);
+
+    expect(formatResults(metrics, moodResult, [])).not.toContain('SCORE BREAKDOWN');
+    const output = formatResults(metrics, moodResult, [], { explain: true });
+    expect(output).toContain('SCORE BREAKDOWN');
+    expect(output).toMatch(/1 HACK +→ -7/);
+    expect(output).toContain(`Mood: ${moodResult.moodRule.description}`);
+  });
 });
 
 describe('generateSuggestions', () => {
@@ -0,0 +1,138 @@
+/**
+ * Tests for mood by author
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { aggregateByAuthor, parseBlamePorcelain, splitByAuthor, formatAuthorReport } = require('../lib/blame');
+const { analyzeCode } = require('../lib/analyzer');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+const alice = { name: 'Alice', email: 'alice@example.com' };
+const bob = { name: 'Bob', email: 'bob@example.com' };
+
+describe('parseBlamePorcelain', () => {
+  test('should map every line to its author', () => {
+    const output = [
+      'aaaa 1 1 2',
+      'author Alice',
+      'author-mail <alice@example.com>',
+      'author-time 1700000000',
+      'filename a.js',
+      '\t// first',
+      'aaaa 2 2',
+      '\tconst a = 1;',
+      'bbbb 1 3 1',
+      'author Bob',
+      'author-mail <bob@example.com>',
+      'filename a.js',
+      '\t// HACK',
+      ''
+    ].join('\n');
+
+    expect(parseBlamePorcelain(output)).toEqual([alice, alice, bob]);
+  });
+});
+
+describe('splitByAuthor', () => {
+  const code = '// HACK: terrible\nconst a = 1;\n// nice and clean\nfunction f() {}';
+
+  test('should attribute findings, comment lines and functions to line authors', () => {
+    const slices = splitByAuthor(code, analyzeCode(code, 'a.js'), [bob, alice, alice, bob], false);
+
+    expect(slices.get('bob@example.com').metrics).toMatchObject({
+      totalLines: 2, commentLines: 1, codeLines: 1, hackCount: 1, negativeWords: 2, functionCount: 1
+    });
+    expect(slices.get('alice@example.com').metrics).toMatchObject({
+      totalLines: 2, commentLines: 1, codeLines: 1, hackCount: 0, positiveWords: 2, functionCount: 0
+    });
+  });
+
+  test('should hash identities when anonymizing', () => {
+    const slices = splitByAuthor(code, analyzeCode(code, 'a.js'), [bob, bob, bob, bob], true);
+    const [{ identity }] = slices.values();
+
+    expect(identity.name).toMatch(/^author-[0-9a-f]{10}$/);
+    expect(identity.email).toBeNull();
+    expect(JSON.stringify(identity.name)).not.toContain('bob');
+  });
+
+  test('should key the hashes so they cannot be matched against known emails', () => {
+    const nameWith = anonymize => [...splitByAuthor(code, analyzeCode(code, 'a.js'), [bob, bob, bob, bob], anonymize).values()][0].identity.name;
+    const unsalted = `author-${crypto.createHash('sha256').update(bob.email.toLowerCase()).digest('hex').slice(0, 10)}`;
+
+    expect(nameWith(true)).not.toBe(unsalted);
+    expect(nameWith(true)).not.toBe(nameWith(true));
+    expect(nameWith('team-secret')).toBe(nameWith('team-secret'));
+  });
+});
+
+describe('aggregateByAuthor', () => {
+  test('should aggregate each author like calculateAggregateMood, saddest first', () => {
+    const files = [
+      { absolutePath: '/a.js', code: '// HACK: terrible, broken\nconst a = 1;' },
+      { absolutePath: '/b.js', code: '// great and elegant\nconst b = 1;' },
+      { absolutePath: '/untracked.js', code: 'const c = 1;' }
+    ].map(file => ({ ...file, metrics: analyzeCode(file.code, path.basename(file.absolutePath)) }));
+    const blame = filePath => ({ '/a.js': [bob, alice], '/b.js': [alice, alice] })[filePath] || null;
+
+    const { authors, skipped } = aggregateByAuthor(files, { blame });
+
+    expect(skipped).toEqual(['/untracked.js']);
+    expect(authors.map(author => author.name)).toEqual(['Bob', 'Alice']);
+    expect(authors[0]).toMatchObject({ email: 'bob@example.com', fileCount: 1 });
+    expect(authors[0].totals.hackCount).toBe(1);
+    expect(authors[1].fileCount).toBe(2);
+    expect(authors[1].avgScore).toBeGreaterThan(authors[0].avgScore);
+    expect(Object.keys(authors[1])).toEqual(['name', 'email', 'fileCount', 'totals', 'avgScore', 'dominantMood', 'moodCounts']);
+  });
+
+  test('should format a section per author', () => {
+    const files = [{ absolutePath: '/a.js', code: '// TODO: later\n', metrics: analyzeCode('// TODO: later\n', 'a.js') }];
+    const { authors } = aggregateByAuthor(files, { blame: () => [alice, alice] });
+
+    const output = formatAuthorReport(authors);
+    expect(output).toContain('MOOD BY AUTHOR');
+    expect(output).toContain('Alice <alice@example.com>');
+    expect(output).toContain('TODOs 1');
+  });
+});
+
+describe('--by-author', () => {
+  let repoDir;
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-blame-'));
+    const git = (args, author) => execFileSync('git', ['-c', `user.name=${author.name}`, '-c', `user.email=${author.email}`, ...args], { cwd: repoDir });
+    git(['init', '-q'], alice);
+    fs.writeFileSync(path.join(repoDir, 'app.js'), '// Clean and elegant\nconst a = 1;\n');
+    git(['add', '-A'], alice);
+    git(['commit', '-qm', 'first'], alice);
+    fs.appendFileSync(path.join(repoDir, 'app.js'), '// HACK: wtf, this is terrible\nconst b = 2;\n');
+    git(['commit', '-qam', 'second'], bob);
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test('should include the authors in the JSON report', () => {
+    const stdout = execFileSync('node', [cliPath, repoDir, '--by-author', '--format', 'json', '--no-cache'], { encoding: 'utf8' });
+    const { authors } = JSON.parse(stdout);
+
+    expect(authors.map(author => author.name)).toEqual(['Bob', 'Alice']);
+    expect(authors[0].totals.hackCount).toBe(1);
+  });
+
+  test('should print anonymized authors', () => {
+    const stdout = execFileSync('node', [cliPath, path.join(repoDir, 'app.js'), '--by-author', '--anonymize', '--no-cache'], { encoding: 'utf8' });
+
+    expect(stdout).toContain('MOOD BY AUTHOR');
+    expect(stdout).toMatch(/author-[0-9a-f]{10}/);
+    expect(stdout).not.toContain('bob@example.com');
+  });
+});
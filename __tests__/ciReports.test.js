@@ -0,0 +1,67 @@
+/**
+ * Tests for the CI reports
+ */
+
+const path = require('path');
+const { analyzeCode } = require('../lib/analyzer');
+const { buildSarifReport, formatGithubAnnotations, buildGitlabReport, FINDING_RULES } = require('../lib/ciReports');
+
+const baseDir = path.join(__dirname, 'project');
+const code = `// TODO: tidy up
+// HACK: urgent workaround, see a:b
+function f() {
+  return 1;
+}`;
+const results = [{ absolutePath: path.join(baseDir, 'src', 'f.js'), metrics: analyzeCode(code, 'f.js') }];
+
+describe('buildSarifReport', () => {
+  test('should produce a SARIF 2.1.0 log with one result per finding', () => {
+    const sarif = buildSarifReport(results, { version: '1.0.0', baseDir });
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(Object.values(FINDING_RULES).map(rule => rule.id));
+    expect(run.results.map(result => result.ruleId)).toEqual(['code-mood/todo', 'code-mood/hack', 'code-mood/stress-word']);
+    expect(run.results[1].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'src/f.js' },
+      region: { startLine: 2, startColumn: 4 }
+    });
+    expect(run.tool.driver.rules[run.results[1].ruleIndex].id).toBe('code-mood/hack');
+  });
+});
+
+describe('formatGithubAnnotations', () => {
+  test('should emit one escaped workflow command per finding', () => {
+    const lines = formatGithubAnnotations(results, { baseDir }).split('\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toBe('::notice file=src/f.js,line=1,col=4,title=TODO::TODO marker left in a comment');
+    expect(lines[2]).toMatch(/^::warning file=src\/f\.js,line=2,col=10,title=Stress word::/);
+  });
+});
+
+describe('buildGitlabReport', () => {
+  test('should produce Code Quality issues with stable fingerprints', () => {
+    const report = buildGitlabReport(results, { baseDir });
+
+    expect(report).toHaveLength(3);
+    expect(report[1]).toMatchObject({
+      check_name: 'code-mood/hack',
+      severity: 'minor',
+      location: { path: 'src/f.js', lines: { begin: 2 } }
+    });
+    expect(report[1].fingerprint).toBe(buildGitlabReport(results, { baseDir })[1].fingerprint);
+    expect(new Set(report.map(issue => issue.fingerprint)).size).toBe(3);
+  });
+
+  test('should keep fingerprints when code above a finding moves, and tell duplicates apart', () => {
+    const moved = [{ absolutePath: results[0].absolutePath, metrics: analyzeCode(`\n\n${code}\n// TODO: tidy up`, 'f.js') }];
+    const before = buildGitlabReport(results, { baseDir });
+    const after = buildGitlabReport(moved, { baseDir });
+
+    expect(after[0].location.lines.begin).toBe(3);
+    expect(after.slice(0, 3).map(issue => issue.fingerprint)).toEqual(before.map(issue => issue.fingerprint));
+    expect(after[3].check_name).toBe('code-mood/todo');
+    expect(after[3].fingerprint).not.toBe(after[0].fingerprint);
+  });
+});
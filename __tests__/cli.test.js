@@ -2,8 +2,10 @@
  * Tests for the CLI module
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { analyzeFile, calculateAggregateMood } = require('../src/cli');
+const { parseArgs, analyzeFile, calculateAggregateMood } = require('../src/cli');
 
 describe('analyzeFile', () => {
   const samplesDir = path.join(__dirname, '..', 'samples');
@@ -42,11 +44,44 @@ describe('analyzeFile', () => {
     expect(result.metrics.commentLines).toBe(0);
   });
 
+  test('should point at the worst functions in mysterious code', () => {
+    const result = analyzeFile(path.join(samplesDir, 'mysterious-code.js'));
+    const byName = Object.fromEntries(result.metrics.functions.map(fn => [fn.name, fn]));
+
+    expect(byName.calc.parameterCount).toBe(10);
+    expect(byName.process.nestingDepth).toBe(5);
+    expect(byName.process.mood).toBe('chaotic');
+    expect(byName.calc.score).toBeLessThan(byName.run.score);
+  });
+
   test('should return null for non-existent file', () => {
     const result = analyzeFile('/non/existent/file.js');
     
     expect(result).toBeNull();
   });
+
+  test('should score CRLF and UTF-16 files like their LF UTF-8 original', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-encodings-'));
+    try {
+      const code = fs.readFileSync(path.join(samplesDir, 'stressed-code.js'), 'utf8');
+      const crlf = code.replace(/\n/g, '\r\n');
+      fs.writeFileSync(path.join(tmpDir, 'crlf.js'), crlf);
+      fs.writeFileSync(path.join(tmpDir, 'utf16.js'), Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(crlf, 'utf16le')]));
+      const original = analyzeFile(path.join(samplesDir, 'stressed-code.js'));
+
+      for (const name of ['crlf.js', 'utf16.js']) {
+        const result = analyzeFile(path.join(tmpDir, name));
+        expect({ ...result.metrics, filename: null }).toEqual({ ...original.metrics, filename: null });
+        expect(result.moodResult).toEqual(original.moodResult);
+      }
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should return null for files over the size limit', () => {
+    expect(analyzeFile(path.join(samplesDir, 'happy-code.js'), { maxFileSize: 100 })).toBeNull();
+  });
 });
 
 describe('calculateAggregateMood', () => {
@@ -106,3 +141,35 @@ describe('calculateAggregateMood', () => {
     expect(aggregate.dominantMood).toBe('happy');
   });
 });
+
+describe('parseArgs', () => {
+  test('should collect paths and the output format', () => {
+    expect(parseArgs(['src', '--format', 'json'])).toMatchObject({ paths: ['src'], format: 'json' });
+    expect(parseArgs(['--format=json', 'lib'])).toMatchObject({ paths: ['lib'], format: 'json' });
+  });
+
+  test('should read the file size limit and the cache switch', () => {
+    expect(parseArgs(['src', '--max-file-size', '2mb', '--no-cache'])).toMatchObject({ maxFileSize: '2mb', cache: false });
+    expect(parseArgs(['src', '--max-file-size=unlimited'])).toMatchObject({ maxFileSize: 'unlimited', cache: true });
+  });
+
+  test('should default to text output', () => {
+    expect(parseArgs(['src']).format).toBe('text');
+  });
+
+  test('should read the report type and output path', () => {
+    expect(parseArgs(['src', '--report', 'html', '--out', 'mood.html'])).toMatchObject({ report: 'html', out: 'mood.html' });
+    expect(parseArgs(['src', '--report=html'])).toMatchObject({ report: 'html', out: null });
+  });
+
+  test('should read the history command and its sampling options', () => {
+    expect(parseArgs(['history', 'src', '--since', '3.months', '--every=1.day'])).toMatchObject({
+      command: 'history',
+      paths: ['src'],
+      since: '3.months',
+      every: '1.day'
+    });
+    expect(parseArgs(['history'])).toMatchObject({ command: 'history', paths: [], since: '6.months', every: '1.week' });
+    expect(parseArgs(['src', 'history']).command).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for project configuration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadConfig, findConfigFile, validateConfig, resolveConfig, ConfigError, DEFAULT_CONFIG } = require('../lib/config');
+const { analyzeCode, determineMood } = require('../lib/analyzer');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+describe('config', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolveConfig', () => {
+    test('should return the defaults for an empty configuration', () => {
+      expect(resolveConfig({})).toEqual(DEFAULT_CONFIG);
+    });
+
+    test('should replace word lists given as arrays', () => {
+      const config = resolveConfig({ words: { positive: ['tidy'] } });
+
+      expect(config.words.positive).toEqual(['tidy']);
+      expect(config.words.negative).toEqual(DEFAULT_CONFIG.words.negative);
+    });
+
+    test('should extend word lists given as add/remove changes', () => {
+      const config = resolveConfig({ words: { negative: { remove: ['Legacy'], add: ['spaghetti'] } } });
+
+      expect(config.words.negative).not.toContain('legacy');
+      expect(config.words.negative).toContain('spaghetti');
+      expect(config.words.negative).toContain('ugly');
+    });
+
+    test('should merge weights, thresholds and mood cutoffs', () => {
+      const config = resolveConfig({ weights: { negativeWord: -2 }, thresholds: { deepNesting: 8 }, moods: { ecstatic: 90 } });
+
+      expect(config.weights.negativeWord).toBe(-2);
+      expect(config.weights.positiveWord).toBe(DEFAULT_CONFIG.weights.positiveWord);
+      expect(config.thresholds.deepNesting).toBe(8);
+      expect(config.moods.ecstatic).toBe(90);
+      expect(config.moods.happy).toBe(DEFAULT_CONFIG.moods.happy);
+    });
+
+    test('should read the traversal depth', () => {
+      expect(resolveConfig({ maxDepth: 8 }).maxDepth).toBe(8);
+      expect(resolveConfig({ maxDepth: 'unlimited' }).maxDepth).toBe(Infinity);
+    });
+
+    test('should read the file size limit', () => {
+      expect(resolveConfig().maxFileSize).toBe(1024 * 1024);
+      expect(resolveConfig({ maxFileSize: '2mb' }).maxFileSize).toBe(2 * 1024 * 1024);
+      expect(resolveConfig({ maxFileSize: 'unlimited' }).maxFileSize).toBe(Infinity);
+    });
+
+    test('should extend excluded directories', () => {
+      const config = resolveConfig({ excludeDirectories: { add: ['vendor'] } });
+
+      expect(config.excludeDirectories).toEqual([...DEFAULT_CONFIG.excludeDirectories, 'vendor']);
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should accept a valid configuration', () => {
+      expect(() => validateConfig({
+        words: { negative: { remove: ['legacy'] } },
+        weights: { hack: -1 },
+        sentimentInStrings: true,
+        excludeDirectories: ['vendor']
+      }, 'rc')).not.toThrow();
+    });
+
+    test('should report unknown keys at every level', () => {
+      let error;
+      try {
+        validateConfig({ colours: {}, words: { happy: [] }, weights: { todos: 1 } }, '.codemoodrc.json');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.message).toContain('.codemoodrc.json');
+      expect(error.message).toContain('Unknown key "colours"');
+      expect(error.message).toContain('Unknown key "words.happy"');
+      expect(error.message).toContain('Unknown key "weights.todos"');
+    });
+
+    test('should report values of the wrong type', () => {
+      expect(() => validateConfig({ thresholds: { deepNesting: 'five' } })).toThrow('"thresholds.deepNesting" must be a number');
+      expect(() => validateConfig({ words: { stress: 'urgent' } })).toThrow('"words.stress" must be an array of strings');
+      expect(() => validateConfig({ sentimentInStrings: 'yes' })).toThrow('"sentimentInStrings" must be true or false');
+      expect(() => validateConfig({ maxDepth: -2 })).toThrow('"maxDepth" must be a whole number of 0 or more, or "unlimited"');
+      expect(() => validateConfig({ maxFileSize: 'huge' })).toThrow('"maxFileSize" must be a number of bytes, a size such as "2mb", or "unlimited"');
+      expect(() => validateConfig([])).toThrow('Configuration must be an object');
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('should find the nearest configuration file above the target', () => {
+      const nested = path.join(tmpDir, 'src', 'deep');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ weights: { todo: 0 } }));
+
+      expect(findConfigFile(nested)).toBe(path.join(tmpDir, '.codemoodrc.json'));
+      const loaded = loadConfig({ target: path.join(nested, 'file.js') });
+      expect(loaded.path).toBe(path.join(tmpDir, '.codemoodrc.json'));
+      expect(loaded.config.weights.todo).toBe(0);
+    });
+
+    test('should load JavaScript configuration files', () => {
+      fs.writeFileSync(path.join(tmpDir, 'code-mood.config.js'), 'module.exports = { thresholds: { longLine: 80 } };');
+
+      expect(loadConfig({ target: tmpDir }).config.thresholds.longLine).toBe(80);
+    });
+
+    test('should prefer an explicit configuration path', () => {
+      fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ weights: { todo: 0 } }));
+      const explicit = path.join(tmpDir, 'custom.json');
+      fs.writeFileSync(explicit, JSON.stringify({ weights: { todo: -1 } }));
+
+      expect(loadConfig({ target: tmpDir, configPath: explicit }).config.weights.todo).toBe(-1);
+    });
+
+    test('should reject missing or malformed files', () => {
+      expect(() => loadConfig({ target: tmpDir, configPath: path.join(tmpDir, 'nope.json') })).toThrow(ConfigError);
+      fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), '{ not json');
+      expect(() => loadConfig({ target: tmpDir })).toThrow('Could not load configuration');
+    });
+  });
+
+  describe('scoring', () => {
+    test('should stop penalizing words removed from the lists', () => {
+      const code = '// legacy adapter for the legacy billing system\nconst x = 1;';
+      const defaults = determineMood(analyzeCode(code));
+      const config = resolveConfig({ words: { negative: { remove: ['legacy'] } } });
+      const tuned = determineMood(analyzeCode(code, 'unknown', { config }), config);
+
+      expect(analyzeCode(code, 'unknown', { config }).negativeWords).toBe(0);
+      expect(tuned.score).toBeGreaterThan(defaults.score);
+    });
+  });
+
+  describe('CLI', () => {
+    test('should exit with a clear error for an invalid configuration', () => {
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ wieghts: {} }));
+
+      let error;
+      try {
+        execFileSync('node', [cliPath, tmpDir, '--no-cache'], { encoding: 'utf8', stdio: 'pipe' });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.status).toBe(1);
+      expect(error.stderr).toContain('Unknown key "wieghts"');
+    });
+
+    test('should skip excluded directories from the configuration', () => {
+      fs.mkdirSync(path.join(tmpDir, 'vendor'));
+      fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(tmpDir, 'vendor', 'b.js'), 'const b = 1;\n');
+      fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ excludeDirectories: { add: ['vendor'] } }));
+
+      const report = JSON.parse(execFileSync('node', [cliPath, tmpDir, '--format', 'json', '--no-cache'], { encoding: 'utf8' }));
+      expect(report.files.map(file => file.path)).toEqual(['a.js']);
+    });
+  });
+});
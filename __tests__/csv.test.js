@@ -0,0 +1,27 @@
+/**
+ * Tests for CSV output
+ */
+
+const { csvField, formatCsv } = require('../lib/csv');
+
+describe('csvField', () => {
+  test('should quote fields with commas, quotes or line breaks', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a, b')).toBe('"a, b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('should write missing values as empty fields', () => {
+    expect(csvField(null)).toBe('');
+    expect(csvField(undefined)).toBe('');
+    expect(csvField(0)).toBe('0');
+    expect(csvField(false)).toBe('false');
+  });
+});
+
+describe('formatCsv', () => {
+  test('should join fields with commas and rows with line breaks', () => {
+    expect(formatCsv([['path', 'line'], ['src/a,b.js', 3]])).toBe('path,line\n"src/a,b.js",3');
+  });
+});
@@ -2,7 +2,21 @@
  * Tests for the file utilities
  */
 
-const { isSupportedFile, SUPPORTED_EXTENSIONS } = require('../lib/fileUtils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  isSupportedFile,
+  getCodeFiles,
+  scanCodeFiles,
+  parseMaxDepth,
+  parseFileSize,
+  detectEncoding,
+  decodeSource,
+  readSourceFile,
+  SUPPORTED_EXTENSIONS,
+  DEFAULT_MAX_DEPTH
+} = require('../lib/fileUtils');
 
 describe('isSupportedFile', () => {
   test('should return true for JavaScript files', () => {
@@ -68,3 +82,154 @@ describe('SUPPORTED_EXTENSIONS', () => {
     expect(SUPPORTED_EXTENSIONS.length).toBeGreaterThanOrEqual(10);
   });
 });
+
+describe('scanCodeFiles', () => {
+  let root;
+  const write = file => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), '// ok\n');
+  };
+  const relative = files => files.map(file => path.relative(root, file).split(path.sep).join('/')).sort();
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-scan-'));
+    write('top.js');
+    write('a/b/c/mid.js');
+    write('a/b/c/d/e/f/g/deep.js');
+    write('real/linked.py');
+    fs.symlinkSync(path.join('..', 'real'), path.join(root, 'a', 'to-real'));
+    fs.symlinkSync('..', path.join(root, 'real', 'up'));
+    fs.symlinkSync('missing.js', path.join(root, 'dangling.js'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should report directories skipped because of the depth limit', async () => {
+    const scan = await scanCodeFiles(root, { maxDepth: 3 });
+
+    expect(scan.files.map(file => path.relative(root, file).split(path.sep).join('/'))).toEqual(['a/b/c/mid.js', 'real/linked.py', 'top.js']);
+    expect(relative(scan.skippedDirectories)).toEqual(['a/b/c/d']);
+    expect(scan.warnings).toEqual([]);
+  });
+
+  test('should scan without a depth limit', async () => {
+    const scan = await scanCodeFiles(root, { maxDepth: Infinity });
+
+    expect(relative(scan.files)).toContain('a/b/c/d/e/f/g/deep.js');
+    expect(scan.skippedDirectories).toEqual([]);
+  });
+
+  test('should keep the default limit of getCodeFiles', () => {
+    expect(relative(getCodeFiles(root))).not.toContain('a/b/c/d/e/f/g/deep.js');
+    expect(DEFAULT_MAX_DEPTH).toBe(5);
+  });
+
+  test('should collect unreadable directories of getCodeFiles as warnings instead of printing them', () => {
+    const missing = path.join(root, 'missing');
+    const warnings = [];
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(getCodeFiles(missing, 0, 5, undefined, undefined, warnings)).toEqual([]);
+      expect(error).not.toHaveBeenCalled();
+    } finally {
+      error.mockRestore();
+    }
+    expect(warnings).toEqual([{ path: missing, message: 'Cannot read directory: ENOENT' }]);
+  });
+
+  test('should follow symbolic links once, under their real paths, and stop at loops', async () => {
+    const scan = await scanCodeFiles(root, { maxDepth: Infinity, followSymlinks: true });
+    const files = relative(scan.files);
+
+    expect(files.filter(file => file.endsWith('linked.py'))).toEqual(['real/linked.py']);
+    expect(scan.warnings.map(warning => [path.basename(warning.path), warning.message])).toEqual(expect.arrayContaining([
+      ['dangling.js', 'Broken symbolic link: ENOENT'],
+      ['up', 'Symbolic link loop, not followed']
+    ]));
+    expect(relative((await scanCodeFiles(root)).files)).not.toContain('a/to-real/linked.py');
+  });
+
+  test('should collect unreadable directories as warnings', async () => {
+    const scan = await scanCodeFiles(path.join(root, 'nope'));
+
+    expect(scan.files).toEqual([]);
+    expect(scan.warnings).toEqual([{ path: path.join(root, 'nope'), message: 'Cannot read directory: ENOENT' }]);
+  });
+});
+
+describe('parseMaxDepth', () => {
+  test('should accept whole numbers and unlimited', () => {
+    expect(parseMaxDepth('8')).toBe(8);
+    expect(parseMaxDepth(0)).toBe(0);
+    expect(parseMaxDepth('unlimited')).toBe(Infinity);
+    expect(parseMaxDepth('-1')).toBeNull();
+    expect(parseMaxDepth('deep')).toBeNull();
+    expect(parseMaxDepth('')).toBeNull();
+  });
+});
+
+describe('parseFileSize', () => {
+  test('should accept bytes, sizes with a unit and unlimited', () => {
+    expect(parseFileSize(2048)).toBe(2048);
+    expect(parseFileSize('500')).toBe(500);
+    expect(parseFileSize('500kb')).toBe(500 * 1024);
+    expect(parseFileSize('1.5MB')).toBe(1.5 * 1024 * 1024);
+    expect(parseFileSize('unlimited')).toBe(Infinity);
+    expect(parseFileSize('-1')).toBeNull();
+    expect(parseFileSize('big')).toBeNull();
+  });
+});
+
+describe('detectEncoding', () => {
+  const text = 'const café = "naïve";\n';
+
+  test('should read byte order marks', () => {
+    expect(detectEncoding(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)]))).toEqual({ encoding: 'utf8', bomLength: 3 });
+    expect(detectEncoding(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]))).toEqual({ encoding: 'utf16le', bomLength: 2 });
+    expect(detectEncoding(Buffer.from([0xfe, 0xff, 0x00, 0x61]))).toEqual({ encoding: 'utf16be', bomLength: 2 });
+  });
+
+  test('should recognize UTF-16 without a byte order mark, UTF-8, Latin-1 and binary contents', () => {
+    expect(detectEncoding(Buffer.from(text, 'utf16le')).encoding).toBe('utf16le');
+    expect(detectEncoding(Buffer.from(text, 'utf16le').swap16()).encoding).toBe('utf16be');
+    expect(detectEncoding(Buffer.from(text)).encoding).toBe('utf8');
+    expect(detectEncoding(Buffer.from(text, 'latin1')).encoding).toBe('latin1');
+    expect(detectEncoding(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00]))).toBeNull();
+  });
+});
+
+describe('decodeSource', () => {
+  test('should decode every encoding to the same text with LF line endings', () => {
+    const text = 'const café = 1;\r\nconst b = 2;\rconst c = 3;\n';
+    const expected = 'const café = 1;\nconst b = 2;\nconst c = 3;\n';
+
+    expect(decodeSource(Buffer.from(text)).code).toBe(expected);
+    expect(decodeSource(Buffer.from(text, 'latin1')).code).toBe(expected);
+    expect(decodeSource(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')])).code).toBe(expected);
+    expect(decodeSource(Buffer.concat([Buffer.from([0xfe, 0xff]), Buffer.from(text, 'utf16le').swap16()])).code).toBe(expected);
+  });
+});
+
+describe('readSourceFile', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-read-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should skip large, binary and unreadable files with a reason', () => {
+    fs.writeFileSync(path.join(root, 'bundle.js'), 'x'.repeat(3000));
+    fs.writeFileSync(path.join(root, 'image.js'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x1a, 0x0a]));
+
+    expect(readSourceFile(path.join(root, 'bundle.js')).code).toHaveLength(3000);
+    expect(readSourceFile(path.join(root, 'bundle.js'), { maxFileSize: 2048 }).skipped).toBe('larger than the 2 KB size limit (3 KB)');
+    expect(readSourceFile(path.join(root, 'image.js')).skipped).toBe('binary content');
+    expect(readSourceFile(path.join(root, 'missing.js')).skipped).toBe('cannot read file (ENOENT)');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for per-function analysis
+ */
+
+const { findFunctions } = require('../lib/functions');
+const { resolveLanguage } = require('../lib/languages');
+
+const find = (code, filename) => findFunctions(code.split('\n'), resolveLanguage(filename));
+
+describe('findFunctions', () => {
+  test('should find function boundaries and parameters', () => {
+    const code = `function add(a, b) {
+  return a + b;
+}
+
+const greet = (name) => {
+  return name;
+};`;
+
+    const functions = find(code, 'test.js');
+
+    expect(functions).toHaveLength(2);
+    expect(functions[0]).toMatchObject({ name: 'add', startLine: 1, endLine: 3, length: 3, parameterCount: 2 });
+    expect(functions[1]).toMatchObject({ name: 'greet', startLine: 5, endLine: 7, parameterCount: 1 });
+  });
+
+  test('should infer names of anonymous functions from assignments', () => {
+    const functions = find('const handler = function() {};\nconst obj = { onClick: () => {} };', 'test.js');
+
+    expect(functions.map(fn => fn.name)).toEqual(['handler', 'onClick']);
+  });
+
+  test('should compute cyclomatic and cognitive complexity', () => {
+    const code = `function check(a, b) {
+  if (a && b) {
+    for (const x of a) {
+      if (x) {
+        return x;
+      }
+    }
+  } else {
+    return b ? 1 : 2;
+  }
+}`;
+
+    const [fn] = find(code, 'test.js');
+
+    // 1 + if + && + for + if + ternary
+    expect(fn.cyclomaticComplexity).toBe(6);
+    // if(1) + &&(1) + for(1+1) + if(1+2) + else(1) + ternary(1+1)
+    expect(fn.cognitiveComplexity).toBe(10);
+    expect(fn.nestingDepth).toBe(3);
+  });
+
+  test('should measure nesting in single-line functions', () => {
+    const [fn] = find('function p(i){if(i){if(i.a){if(i.a.b){return 1}}}return 0}', 'test.js');
+
+    expect(fn.nestingDepth).toBe(3);
+    expect(fn.cognitiveComplexity).toBe(6);
+  });
+
+  test('should skip declarations without a body', () => {
+    const functions = find('abstract class A {\n  abstract void run();\n  int size() {\n    return 0;\n  }\n}', 'A.java');
+
+    expect(functions.map(fn => fn.name)).toEqual(['size']);
+  });
+
+  test('should use indentation for Python function bodies', () => {
+    const code = `def outer(a, b):
+    if a and b:
+        return a
+
+    return b
+
+def other():
+    pass`;
+
+    const functions = find(code, 'test.py');
+
+    expect(functions.map(fn => [fn.name, fn.startLine, fn.endLine])).toEqual([['outer', 1, 5], ['other', 7, 8]]);
+    expect(functions[0].cyclomaticComplexity).toBe(3);
+  });
+
+  test('should use end keywords for Ruby function bodies', () => {
+    const code = `def run(a)
+  if a
+    a
+  end
+end`;
+
+    const [fn] = find(code, 'test.rb');
+
+    expect(fn).toMatchObject({ name: 'run', startLine: 1, endLine: 5, parameterCount: 1, nestingDepth: 1 });
+  });
+
+  test('should handle Go receivers', () => {
+    const [fn] = find('func (s *Server) Handle(w Writer, r *Request) {\n}', 'test.go');
+
+    expect(fn).toMatchObject({ name: 'Handle', parameterCount: 2 });
+  });
+});
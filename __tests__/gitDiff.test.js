@@ -0,0 +1,150 @@
+/**
+ * Tests for diff mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { collectDiff, summarizeDiff, parseUnifiedDiff, formatDiffText } = require('../lib/gitDiff');
+const { analyzeSource } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+const HAPPY = '// Clean and elegant helper\nfunction add(a, b) {\n  return a + b;\n}\n';
+
+describe('parseUnifiedDiff', () => {
+  test('should list the added line numbers of every file', () => {
+    const patch = [
+      'diff --git a/src/a.js b/src/a.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/a.js',
+      '+++ b/src/a.js',
+      '@@ -2,0 +3,2 @@ function add(a, b) {',
+      '+// HACK',
+      '+const x = 1;',
+      '@@ -9 +11 @@',
+      '-old',
+      '+new',
+      'diff --git a/new.py b/new.py',
+      'new file mode 100644',
+      '--- /dev/null',
+      '+++ b/new.py',
+      '@@ -0,0 +1 @@',
+      '+print(1)',
+      'diff --git a/gone.js b/gone.js',
+      'deleted file mode 100644',
+      '--- a/gone.js',
+      '+++ /dev/null',
+      '@@ -1 +0,0 @@',
+      '-bye',
+      'diff --git a/old.js b/"sp\\303\\251cial.js"',
+      'similarity index 90%',
+      'rename from old.js',
+      'rename to "sp\\303\\251cial.js"',
+      '--- a/old.js',
+      '+++ "b/sp\\303\\251cial.js"',
+      '@@ -1 +1 @@',
+      '-a',
+      '+b',
+      ''
+    ].join('\n');
+
+    expect(parseUnifiedDiff(patch)).toEqual([
+      { oldPath: 'src/a.js', newPath: 'src/a.js', status: 'modified', addedLines: [3, 4, 11] },
+      { oldPath: null, newPath: 'new.py', status: 'added', addedLines: [1] },
+      { oldPath: 'gone.js', newPath: null, status: 'deleted', addedLines: [] },
+      { oldPath: 'old.js', newPath: 'spécial.js', status: 'renamed', addedLines: [1] }
+    ]);
+  });
+});
+
+describe('diff of a repository', () => {
+  let repoDir;
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, encoding: 'utf8' });
+  const write = (file, content) => fs.writeFileSync(path.join(repoDir, file), content);
+  const diffOf = options => collectDiff({
+    repoRoot: repoDir,
+    pathspec: '',
+    isIncluded: file => file.endsWith('.js'),
+    analyze: (code, file) => analyzeSource(code, file),
+    ...options
+  });
+
+  beforeAll(() => {
+    repoDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-diff-')));
+    git('init', '-q', '-b', 'main');
+    write('app.js', HAPPY);
+    write('calm.js', '// Nice\nconst calm = 1;\n');
+    git('add', '-A');
+    git('commit', '-qm', 'base');
+
+    git('checkout', '-qb', 'feature');
+    write('app.js', HAPPY + '// HACK: skip validation\n// HACK: retry twice\n// HACK: magic number\nconst limit = 42;\n');
+    write('extra.js', '// Simple and readable\nconst extra = true;\n');
+    git('add', '-A');
+    git('commit', '-qm', 'feature');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test('should score only the added lines against the merge base', () => {
+    const { files } = diffOf({ base: 'main' });
+    const app = files.find(file => file.path === 'app.js');
+
+    expect(files.map(file => file.path)).toEqual(['app.js', 'extra.js']);
+    expect(app.addedLines).toBe(4);
+    expect(app.added.metrics.totalLines).toBe(4);
+    expect(app.added.metrics.hackCount).toBe(3);
+    expect(app.findings.filter(finding => finding.kind === 'hack').map(finding => finding.line)).toEqual([5, 6, 7]);
+    expect(app.delta).toBe(app.after.score - app.before.score);
+    expect(app.delta).toBeLessThan(0);
+    expect(app.flagged).toBe(true);
+
+    const extra = files.find(file => file.path === 'extra.js');
+    expect(extra).toMatchObject({ status: 'added', before: null, delta: null, flagged: false });
+  });
+
+  test('should compare the index against HEAD with staged', () => {
+    write('calm.js', '// Nice\nconst calm = 1;\n// FIXME: this is broken\n');
+    write('extra.js', '// TODO: unstaged\n');
+    git('add', 'calm.js');
+
+    const { files, head } = diffOf({ staged: true });
+    git('reset', '-q', '--hard');
+
+    expect(head).toBe('index');
+    expect(files.map(file => file.path)).toEqual(['calm.js']);
+    expect(files[0].findings.map(finding => finding.kind)).toEqual(expect.arrayContaining(['fixme']));
+    expect(files[0].findings.map(finding => finding.kind)).not.toContain('todo');
+  });
+
+  test('should summarize and print the flagged files', () => {
+    const diff = diffOf({ base: 'main' });
+    const summary = summarizeDiff(diff.files);
+    const output = formatDiffText(diff, summary);
+
+    expect(summary).toMatchObject({ fileCount: 2, addedLines: 6, flaggedCount: 1 });
+    expect(output).toContain('DIFF MOOD: main...HEAD');
+    expect(output).toMatch(/⚠️ {2}app\.js {2}\+4 lines/);
+    expect(output).toMatch(/5:4 +hack +\/\/ HACK: skip validation/);
+  });
+
+  test('should print the diff as JSON and SARIF from the command line', () => {
+    const report = JSON.parse(execFileSync('node', [cliPath, 'diff', repoDir, '--base', 'main', '--format', 'json'], { encoding: 'utf8' }));
+    expect(report.base).toBe('main');
+    expect(report.files[0]).toMatchObject({ path: 'app.js', flagged: true });
+    expect(report.summary.flaggedCount).toBe(1);
+
+    const sarif = JSON.parse(execFileSync('node', [cliPath, 'diff', repoDir, '--base=main', '--format=sarif'], { encoding: 'utf8', cwd: repoDir }));
+    const uris = sarif.runs[0].results.map(result => result.locations[0].physicalLocation.artifactLocation.uri);
+    expect(uris.length).toBeGreaterThanOrEqual(3);
+    expect(new Set(uris)).toEqual(new Set(['app.js']));
+  });
+
+  test('should fail on an unknown base ref', () => {
+    expect(() => execFileSync('node', [cliPath, 'diff', repoDir, '--base', 'nope'], { stdio: 'pipe' })).toThrow(/git merge-base failed/);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for git history mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  collectHistory,
+  findRepositoryRoot,
+  sampleCommits,
+  parseInterval,
+  formatSparkline,
+  formatHistoryCsv,
+  GitError
+} = require('../lib/gitHistory');
+const { analyzeSource } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+const DAY = 24 * 60 * 60;
+
+describe('parseInterval', () => {
+  test('should accept git-style intervals', () => {
+    expect(parseInterval('1.week')).toBe(7 * DAY);
+    expect(parseInterval('3.days')).toBe(3 * DAY);
+    expect(parseInterval('12 hours')).toBe(12 * 60 * 60);
+  });
+
+  test('should reject anything else', () => {
+    expect(() => parseInterval('weekly')).toThrow(GitError);
+    expect(() => parseInterval('0.days')).toThrow('Invalid interval');
+  });
+});
+
+describe('sampleCommits', () => {
+  test('should keep the newest commit of each interval, oldest first', () => {
+    const commits = [
+      { sha: 'e', timestamp: 10 * DAY },
+      { sha: 'd', timestamp: 9 * DAY },
+      { sha: 'c', timestamp: 3 * DAY },
+      { sha: 'b', timestamp: 2.5 * DAY },
+      { sha: 'a', timestamp: 1 * DAY }
+    ];
+
+    expect(sampleCommits(commits, 7 * DAY).map(commit => commit.sha)).toEqual(['c', 'e']);
+    expect(sampleCommits(commits, DAY).map(commit => commit.sha)).toEqual(['a', 'c', 'd', 'e']);
+  });
+});
+
+describe('formatSparkline', () => {
+  test('should scale between the lowest and highest value', () => {
+    expect(formatSparkline([10, 55, 100])).toBe('▁▅█');
+    expect(formatSparkline([50, 50])).toBe('▄▄');
+  });
+});
+
+describe('formatHistoryCsv', () => {
+  test('should write one row per point with a column per mood', () => {
+    const csv = formatHistoryCsv([
+      { date: '2024-01-01T00:00:00.000Z', commit: 'abc', fileCount: 2, avgScore: 60, dominantMood: 'content', moodCounts: { content: 2 } }
+    ]).split('\n');
+
+    expect(csv[0]).toBe('date,commit,files,avgScore,dominantMood,ecstatic,happy,content,neutral,stressed,frustrated,sad,zen,chaotic,mysterious');
+    expect(csv[1]).toBe('2024-01-01T00:00:00.000Z,abc,2,60,content,0,0,2,0,0,0,0,0,0,0');
+  });
+});
+
+describe('history of a repository', () => {
+  let repoDir;
+
+  /**
+   * Commits the given files at a fixed date
+   * @param {object} files - Contents by path
+   * @param {string} date - Commit date
+   */
+  const commit = (files, date) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(repoDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, file), content);
+    }
+    const env = { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+    execFileSync('git', ['add', '-A'], { cwd: repoDir });
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', 'commit', '-qm', date], { cwd: repoDir, env });
+  };
+
+  beforeAll(() => {
+    repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-history-'));
+    execFileSync('git', ['init', '-q'], { cwd: repoDir });
+    commit({ 'src/a.js': '// This is great and clean\nconst a = 1;\n' }, '2024-01-01T12:00:00Z');
+    commit({ 'src/b.js': '// HACK: terrible, broken, urgent!!!\nconst b = 2;\n' }, '2024-01-02T12:00:00Z');
+    commit({ 'src/b.js': '// HACK: terrible, broken, urgent!!!\n// FIXME: ugly\nconst b = 3;\n', 'notes.txt': 'hi' }, '2024-01-10T12:00:00Z');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  test('should analyze each sampled revision from the object database', () => {
+    const analyzed = [];
+    const samples = collectHistory({
+      repoRoot: findRepositoryRoot(repoDir),
+      pathspec: 'src',
+      since: '2023-01-01',
+      interval: DAY,
+      isIncluded: file => file.endsWith('.js'),
+      analyze: (code, file) => {
+        analyzed.push(file);
+        return analyzeSource(code, file);
+      }
+    });
+
+    expect(samples.map(sample => sample.results.map(result => result.path))).toEqual([
+      ['src/a.js'],
+      ['src/a.js', 'src/b.js'],
+      ['src/a.js', 'src/b.js']
+    ]);
+    // Unchanged files are analyzed once
+    expect(analyzed).toEqual(['src/a.js', 'src/b.js', 'src/b.js']);
+    expect(samples[2].results[1].metrics.fixmeCount).toBe(1);
+  });
+
+  test('should report when not in a repository', () => {
+    expect(() => findRepositoryRoot(os.tmpdir())).toThrow('is not inside a git repository');
+  });
+
+  test('should print the time series as JSON', () => {
+    const stdout = execFileSync('node', [cliPath, 'history', repoDir, '--since', '2023-01-01', '--every', '1.week', '--format', 'json'], { encoding: 'utf8' });
+    const report = JSON.parse(stdout);
+
+    expect(report.every).toBe('1.week');
+    expect(report.points.map(point => point.fileCount)).toEqual([2, 2]);
+    expect(report.points[0].date).toBe('2024-01-02T12:00:00.000Z');
+    expect(report.points[1].avgScore).toBeLessThanOrEqual(report.points[0].avgScore);
+    expect(Object.keys(report.points[0])).toEqual(['date', 'commit', 'fileCount', 'avgScore', 'dominantMood', 'moodCounts']);
+  });
+
+  test('should print a sparkline', () => {
+    const stdout = execFileSync('node', [cliPath, 'history', repoDir, '--since=2023-01-01', '--every=1.day'], { encoding: 'utf8' });
+
+    expect(stdout).toContain('MOOD HISTORY');
+    expect(stdout).toMatch(/[▁▂▃▄▅▆▇█]{3}/);
+    expect(stdout).toContain('3 samples since 2023-01-01, every 1.day');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for the HTML report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { buildHtmlReport, escapeHtml } = require('../lib/htmlReport');
+const { analyzeCode, determineMood, generateSuggestions } = require('../lib/analyzer');
+const { calculateAggregateMood } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Builds an analysis result for a source snippet
+ * @param {string} filePath - Relative path of the file
+ * @param {string} code - Source code
+ * @returns {object} Analysis result
+ */
+function resultFor(filePath, code) {
+  const metrics = analyzeCode(code, filePath);
+  const moodResult = determineMood(metrics);
+  return { path: filePath, metrics, moodResult, suggestions: generateSuggestions(metrics, moodResult) };
+}
+
+describe('buildHtmlReport', () => {
+  const results = [
+    resultFor('src/app.js', '// Great and clean code\nfunction app() {\n  return 1;\n}'),
+    resultFor('src/lib/<util>.js', '// HACK: terrible workaround\nvar x = 1;'),
+    resultFor('index.js', 'module.exports = 1;')
+  ];
+  const html = buildHtmlReport(results, calculateAggregateMood(results), { version: '1.0.0', target: './src' });
+
+  test('should be a self-contained document', () => {
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).not.toMatch(/<(?:script|img|link)[^>]+(?:src|href)=/);
+  });
+
+  test('should include a sortable row per file', () => {
+    expect(html).toContain('<table class="files">');
+    expect((html.match(/<tr>\n<td data-sort=/g) || [])).toHaveLength(3);
+    expect(html).toContain('addEventListener(\'click\'');
+  });
+
+  test('should include the mood distribution and file panels', () => {
+    expect(html).toContain('Mood Distribution');
+    expect((html.match(/<details>/g) || [])).toHaveLength(3);
+    expect(html).toContain('Suggestions');
+  });
+
+  test('should render a directory tree with average scores', () => {
+    expect(html).toContain('<strong>src/</strong>');
+    expect(html).toContain('<strong>lib/</strong>');
+  });
+
+  test('should escape file names', () => {
+    expect(html).toContain('src/lib/&lt;util&gt;.js');
+    expect(html).not.toContain('<util>');
+  });
+});
+
+describe('escapeHtml', () => {
+  test('should escape markup characters', () => {
+    expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
+
+describe('code-mood --report html', () => {
+  test('should exit with a tool error when the report cannot be written', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-report-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), '// Clean\nconst a = 1;\n');
+      const run = spawnSync('node', [cliPath, '.', '--report', 'html', '--out', path.join('missing', 'report.html'), '--no-cache'], { cwd: tmpDir, encoding: 'utf8' });
+
+      expect(run.status).toBe(1);
+      expect(run.stderr).toMatch(/^Error: ENOENT: no such file or directory/m);
+      expect(run.stderr).not.toContain('    at ');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
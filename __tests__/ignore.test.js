@@ -0,0 +1,117 @@
+/**
+ * Tests for ignore files and include/exclude globs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createFileFilter, compilePattern, parseIgnoreFile } = require('../lib/ignore');
+const { getCodeFiles } = require('../lib/fileUtils');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Checks a path against a single pattern
+ * @param {string} pattern - Gitignore-style pattern
+ * @param {string} relativePath - Path to test
+ * @returns {boolean} True if the pattern matches
+ */
+const matches = (pattern, relativePath) => compilePattern(pattern).regex.test(relativePath);
+
+describe('compilePattern', () => {
+  test('should match patterns without a slash at any depth', () => {
+    expect(matches('*.log', 'a.log')).toBe(true);
+    expect(matches('*.log', 'deep/dir/a.log')).toBe(true);
+    expect(matches('vendor', 'src/vendor')).toBe(true);
+    expect(matches('*.log', 'a.log.js')).toBe(false);
+  });
+
+  test('should anchor patterns containing a slash', () => {
+    expect(matches('/build', 'build')).toBe(true);
+    expect(matches('/build', 'src/build')).toBe(false);
+    expect(matches('src/*.js', 'src/a.js')).toBe(true);
+    expect(matches('src/*.js', 'src/deep/a.js')).toBe(false);
+  });
+
+  test('should support **, ? and character classes', () => {
+    expect(matches('src/**/*.ts', 'src/a.ts')).toBe(true);
+    expect(matches('src/**/*.ts', 'src/x/y/a.ts')).toBe(true);
+    expect(matches('**/fixtures', 'a/b/fixtures')).toBe(true);
+    expect(matches('gen/**', 'gen/a/b.js')).toBe(true);
+    expect(matches('file?.js', 'file1.js')).toBe(true);
+    expect(matches('file[0-9].js', 'file7.js')).toBe(true);
+    expect(matches('file[!0-9].js', 'file7.js')).toBe(false);
+  });
+
+  test('should read negation, directory-only rules, comments and escapes', () => {
+    expect(compilePattern('!keep.js')).toMatchObject({ negate: true, dirOnly: false });
+    expect(compilePattern('dist/')).toMatchObject({ negate: false, dirOnly: true });
+    expect(compilePattern('# comment')).toBeNull();
+    expect(compilePattern('   ')).toBeNull();
+    expect(matches('\\#file.js', '#file.js')).toBe(true);
+    expect(parseIgnoreFile('a.js\n\n# b\n!c.js\r\n')).toHaveLength(2);
+  });
+});
+
+describe('createFileFilter', () => {
+  let root;
+  const write = (file, content = '// ok\n') => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  };
+  const scan = (dir, options) => getCodeFiles(dir, 0, 5, undefined, createFileFilter(dir, options))
+    .map(file => path.relative(root, file).split(path.sep).join('/'))
+    .sort();
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-ignore-'));
+    fs.mkdirSync(path.join(root, '.git'));
+    write('src/app.js');
+    write('src/app.test.js');
+    write('src/vendor/lib.js');
+    write('src/generated/api.js');
+    write('src/generated/keep.js');
+    write('fixtures/sample.py');
+    write('.gitignore', 'vendor/\nfixtures\n');
+    write('src/.codemoodignore', 'generated/*\n!generated/keep.js\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should apply .gitignore and .codemoodignore files from the repository root down', () => {
+    expect(scan(root)).toEqual(['src/app.js', 'src/app.test.js', 'src/generated/keep.js']);
+    expect(scan(path.join(root, 'src'))).toEqual(['src/app.js', 'src/app.test.js', 'src/generated/keep.js']);
+  });
+
+  test('should apply --include and --exclude relative to the scanned directory', () => {
+    expect(scan(root, { exclude: ['*.test.js'] })).toEqual(['src/app.js', 'src/generated/keep.js']);
+    expect(scan(root, { include: ['src/*.js'] })).toEqual(['src/app.js', 'src/app.test.js']);
+    expect(scan(root, { exclude: ['generated'] })).toEqual(['src/app.js', 'src/app.test.js']);
+  });
+
+  test('should scan everything without ignore files', () => {
+    expect(scan(root, { ignoreFiles: false })).toHaveLength(6);
+  });
+
+  test('should list the files of several paths from the command line', () => {
+    const run = (...args) => execFileSync('node', [cliPath, ...args, '--list-files'], { cwd: root, encoding: 'utf8' }).trim().split('\n');
+
+    expect(run('src', 'fixtures/sample.py', 'src/app.js')).toEqual([
+      path.join('fixtures', 'sample.py'),
+      path.join('src', 'app.js'),
+      path.join('src', 'app.test.js'),
+      path.join('src', 'generated', 'keep.js')
+    ]);
+    expect(run('.', '--exclude', 'generated', '--include=*.js')).toEqual([path.join('src', 'app.js'), path.join('src', 'app.test.js')]);
+  });
+
+  test('should analyze several paths together, even ones that are ignored', () => {
+    const report = JSON.parse(execFileSync('node', [cliPath, 'src/app.js', 'fixtures', '--format', 'json'], { cwd: root, encoding: 'utf8' }));
+
+    expect(report.target).toBe('src/app.js fixtures');
+    expect(report.files.map(file => file.path)).toEqual([path.join('fixtures', 'sample.py'), path.join('src', 'app.js')]);
+  });
+});
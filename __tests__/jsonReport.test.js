@@ -0,0 +1,104 @@
+/**
+ * Tests for the JSON report
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { buildJsonReport, formatJsonReport, JSON_SCHEMA_VERSION } = require('../lib/jsonReport');
+const { analyzeFile, calculateAggregateMood } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+const samplesDir = path.join(__dirname, '..', 'samples');
+
+describe('buildJsonReport', () => {
+  test('should include per-file results and the aggregate summary', () => {
+    const result = { path: 'zen-code.js', ...analyzeFile(path.join(samplesDir, 'zen-code.js')) };
+    const aggregate = calculateAggregateMood([result]);
+    const report = buildJsonReport([result], aggregate, { version: '1.0.0', target: 'samples/zen-code.js' });
+
+    expect(report.schemaVersion).toBe(JSON_SCHEMA_VERSION);
+    expect(report.tool).toEqual({ name: 'code-mood-analyzer', version: '1.0.0' });
+    expect(report.target).toBe('samples/zen-code.js');
+    expect(report.files).toHaveLength(1);
+    expect(Object.keys(report.files[0])).toEqual(['path', 'metrics', 'moodResult', 'suggestions', 'worstFunctions']);
+    expect(report.files[0].moodResult).toBe(result.moodResult);
+    expect(report.summary).toBe(aggregate);
+  });
+
+  test('should allow an empty analysis', () => {
+    const report = buildJsonReport([], null, { version: '1.0.0', target: '.' });
+
+    expect(report.files).toEqual([]);
+    expect(report.summary).toBeNull();
+  });
+
+  test('should serialize to parseable JSON', () => {
+    const report = buildJsonReport([], null, { version: '1.0.0', target: '.' });
+
+    expect(JSON.parse(formatJsonReport(report))).toEqual(report);
+  });
+});
+
+describe('--format json', () => {
+  test('should print only the JSON document for a directory', () => {
+    const stdout = execFileSync('node', [cliPath, samplesDir, '--format', 'json', '--no-cache'], { encoding: 'utf8' });
+    const report = JSON.parse(stdout);
+
+    expect(report.schemaVersion).toBe(JSON_SCHEMA_VERSION);
+    expect(report.files.map(file => file.path)).toContain('stressed-code.js');
+    expect(report.summary.fileCount).toBe(report.files.length);
+    expect(report.files[0].metrics.totalLines).toBeGreaterThan(0);
+  });
+
+  test('should print a single-file report', () => {
+    const stdout = execFileSync('node', [cliPath, '--format=json', '--no-cache', path.join(samplesDir, 'mysterious-code.js')], { encoding: 'utf8' });
+    const report = JSON.parse(stdout);
+
+    expect(report.files).toHaveLength(1);
+    expect(report.files[0].worstFunctions.map(fn => fn.name)).toContain('process');
+  });
+
+  test('should include the score breakdown', () => {
+    const stdout = execFileSync('node', [cliPath, '--format=json', '--no-cache', path.join(samplesDir, 'stressed-code.js')], { encoding: 'utf8' });
+    const { moodResult } = JSON.parse(stdout).files[0];
+
+    expect(moodResult.contributions[0]).toEqual({ label: 'base score', points: 50 });
+    expect(moodResult.contributions.map(contribution => contribution.label)).toContain('3 HACKs');
+    expect(moodResult.moodRule.type).toBe('override');
+  });
+
+  test('should list skipped files under warnings', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-skipped-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'app.js'), 'const a = 1;\n');
+      fs.writeFileSync(path.join(tmpDir, 'bundle.js'), `// generated\n${'x'.repeat(4096)}\n`);
+      fs.writeFileSync(path.join(tmpDir, 'image.js'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x00, 0x1a, 0x0a]));
+      const run = spawnSync('node', [cliPath, tmpDir, '--format', 'json', '--max-file-size', '2kb', '--no-cache'], { cwd: tmpDir, encoding: 'utf8' });
+      const report = JSON.parse(run.stdout);
+
+      expect(report.files.map(file => file.path)).toEqual(['app.js']);
+      expect(report.warnings).toEqual([
+        { path: 'bundle.js', message: 'Skipped: larger than the 2 KB size limit (4 KB)' },
+        { path: 'image.js', message: 'Skipped: binary content' }
+      ]);
+      expect(run.stderr).toContain('  bundle.js: Skipped: larger than the 2 KB size limit (4 KB)\n  image.js: Skipped: binary content');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should list a skipped single file under warnings and on stderr', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-skipped-'));
+    try {
+      fs.writeFileSync(path.join(tmpDir, 'bundle.js'), `// generated\n${'x'.repeat(4096)}\n`);
+      const run = spawnSync('node', [cliPath, 'bundle.js', '--format', 'json', '--max-file-size', '2kb', '--no-cache'], { cwd: tmpDir, encoding: 'utf8' });
+
+      expect(JSON.parse(run.stdout).warnings).toEqual([{ path: 'bundle.js', message: 'Skipped: larger than the 2 KB size limit (4 KB)' }]);
+      expect(run.stderr).toContain('bundle.js: Skipped: larger than the 2 KB size limit (4 KB)');
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
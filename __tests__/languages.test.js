@@ -0,0 +1,46 @@
+/**
+ * Tests for the language registry
+ */
+
+const { LANGUAGES, DEFAULT_LANGUAGE, getLanguageByFilename, resolveLanguage } = require('../lib/languages');
+const { SUPPORTED_EXTENSIONS } = require('../lib/fileUtils');
+
+describe('LANGUAGES', () => {
+  test('should define comment syntax and patterns for every language', () => {
+    for (const language of LANGUAGES) {
+      expect(Array.isArray(language.lineComments)).toBe(true);
+      expect(Array.isArray(language.blockComments)).toBe(true);
+      expect(Array.isArray(language.docstrings)).toBe(true);
+      expect(language.functionPatterns.length).toBeGreaterThan(0);
+      expect(language.variablePatterns.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('should cover every supported extension exactly once', () => {
+    const registered = LANGUAGES.flatMap(language => language.extensions);
+
+    expect(registered.sort()).toEqual([...SUPPORTED_EXTENSIONS].sort());
+    expect(new Set(registered).size).toBe(registered.length);
+  });
+});
+
+describe('getLanguageByFilename', () => {
+  test('should find languages by extension', () => {
+    expect(getLanguageByFilename('app.py').id).toBe('python');
+    expect(getLanguageByFilename('model.rb').id).toBe('ruby');
+    expect(getLanguageByFilename('index.PHP').id).toBe('php');
+    expect(getLanguageByFilename('src/main.go').id).toBe('go');
+  });
+
+  test('should return null for unknown extensions', () => {
+    expect(getLanguageByFilename('notes.txt')).toBeNull();
+    expect(getLanguageByFilename('unknown')).toBeNull();
+  });
+});
+
+describe('resolveLanguage', () => {
+  test('should fall back to the default language', () => {
+    expect(resolveLanguage('unknown')).toBe(DEFAULT_LANGUAGE);
+    expect(resolveLanguage('script.py').id).toBe('python');
+  });
+});
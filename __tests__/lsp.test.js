@@ -0,0 +1,277 @@
+/**
+ * Tests for the language server, driven by a scripted JSON-RPC client
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { startLanguageServer, encodeMessage, createMessageParser } = require('../lib/lsp');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+const SOURCE = [
+  '// HACK: patched until the API is fixed',
+  'function load(items) {',
+  '  // FIXME: this is urgent',
+  '  for (const item of items) {',
+  '    if (item) {',
+  '      if (item.ready) {',
+  '        while (item.next) { item = item.next; }',
+  '      }',
+  '    }',
+  '  }',
+  `  return '${'x'.repeat(130)}';`,
+  '}',
+  ''
+].join('\n');
+
+/**
+ * Creates a JSON-RPC client talking to a server over a pair of streams
+ * @param {stream.Writable} toServer - Stream the server reads
+ * @param {stream.Readable} fromServer - Stream the server writes
+ * @returns {object} Client with request, notify and next, and the messages no one waited for
+ */
+function createClient(toServer, fromServer) {
+  const received = [];
+  const waiters = [];
+  let nextId = 1;
+
+  const flush = () => {
+    for (const waiter of [...waiters]) {
+      const index = received.findIndex(waiter.predicate);
+      if (index === -1) continue;
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(received.splice(index, 1)[0]);
+    }
+  };
+  fromServer.on('data', createMessageParser(message => {
+    received.push(message);
+    flush();
+  }));
+
+  const next = predicate => new Promise(resolve => {
+    waiters.push({ predicate, resolve });
+    flush();
+  });
+
+  return {
+    received,
+    next,
+    notify: (method, params) => toServer.write(encodeMessage({ jsonrpc: '2.0', method, params })),
+    request: (method, params) => {
+      const id = nextId++;
+      toServer.write(encodeMessage({ jsonrpc: '2.0', id, method, params }));
+      return next(message => message.id === id);
+    },
+    diagnostics: uri => next(message => message.method === 'textDocument/publishDiagnostics' && message.params.uri === uri)
+  };
+}
+
+describe('language server', () => {
+  let tmpDir;
+  let server;
+  let client;
+  let exitCode;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-lsp-'));
+    const input = new PassThrough();
+    const output = new PassThrough();
+    exitCode = null;
+    server = startLanguageServer({ input, output, debounceMs: 0, onExit: code => { exitCode = code; } });
+    client = createClient(input, output);
+  });
+
+  afterEach(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const initialize = () => client.request('initialize', { processId: null, rootUri: pathToFileURL(tmpDir).href, capabilities: {} });
+  const open = (uri, text, version = 1) => client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'javascript', version, text } });
+
+  test('should reject requests before initialize and unknown methods', async () => {
+    expect((await client.request('textDocument/hover', {})).error.code).toBe(-32002);
+
+    const { result } = await initialize();
+    expect(result.capabilities).toMatchObject({ hoverProvider: true, textDocumentSync: { openClose: true, change: 1 } });
+    expect((await client.request('textDocument/definition', {})).error).toEqual({ code: -32601, message: 'Unhandled method textDocument/definition' });
+  });
+
+  test('should publish diagnostics for markers, stress words, deep nesting and long lines', async () => {
+    await initialize();
+    const uri = pathToFileURL(path.join(tmpDir, 'load.js')).href;
+    open(uri, SOURCE);
+
+    const { params } = await client.diagnostics(uri);
+    expect(params.version).toBe(1);
+    expect(params.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.range.start.line])).toEqual([
+      ['code-mood/hack', 0],
+      ['code-mood/fixme', 2],
+      ['code-mood/stress-word', 2],
+      ['code-mood/deep-nesting', 6],
+      ['code-mood/long-line', 10]
+    ]);
+    expect(params.diagnostics[0]).toEqual({
+      range: { start: { line: 0, character: 3 }, end: { line: 0, character: 7 } },
+      severity: 2,
+      code: 'code-mood/hack',
+      source: 'code-mood',
+      message: 'HACK marker left in a comment'
+    });
+  });
+
+  test('should re-analyze changed documents and clear closed ones', async () => {
+    await initialize();
+    const uri = pathToFileURL(path.join(tmpDir, 'load.js')).href;
+    open(uri, SOURCE);
+    await client.diagnostics(uri);
+
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: '// All good\r\nconst a = 1;\r\n' }] });
+    expect((await client.diagnostics(uri)).params).toEqual({ uri, version: 2, diagnostics: [] });
+
+    client.notify('textDocument/didChange', { textDocument: { uri, version: 3 }, contentChanges: [{ text: 'const a = 1; // HACK\n' }] });
+    expect((await client.diagnostics(uri)).params.diagnostics.map(diagnostic => diagnostic.range.start)).toEqual([{ line: 0, character: 16 }]);
+
+    client.notify('textDocument/didClose', { textDocument: { uri } });
+    expect((await client.diagnostics(uri)).params.diagnostics).toEqual([]);
+  });
+
+  test('should show the mood and suggestions on hover over the first line', async () => {
+    await initialize();
+    const uri = pathToFileURL(path.join(tmpDir, 'load.js')).href;
+    open(uri, SOURCE);
+    await client.diagnostics(uri);
+
+    const { result } = await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 5 } });
+    expect(result.contents.kind).toBe('markdown');
+    expect(result.contents.value).toMatch(/^\*\*\S+ Code mood: \w+\*\* \(score \d+\/100\)/);
+    expect(result.contents.value).toContain('- 🔄 Deep nesting detected!');
+
+    expect((await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 3, character: 0 } })).result).toBeNull();
+  });
+
+  test('should use the project configuration nearest to the document', async () => {
+    fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ thresholds: { findingLineLength: 20 } }));
+    await initialize();
+    const uri = pathToFileURL(path.join(tmpDir, 'short.js')).href;
+    open(uri, 'const greeting = "hello there, world";\n');
+
+    expect((await client.diagnostics(uri)).params.diagnostics.map(diagnostic => diagnostic.code)).toEqual(['code-mood/long-line']);
+  });
+
+  test('should log analyses that fail instead of stopping', async () => {
+    await initialize();
+    const bad = 'file://otherhost/x.js';
+    const logged = () => client.next(message => message.method === 'window/logMessage');
+    open(bad, SOURCE);
+    expect((await logged()).params).toEqual({ type: 1, message: expect.stringMatching(/^code-mood: cannot analyze file:\/\/otherhost\/x\.js: /) });
+
+    client.notify('textDocument/didChange', { textDocument: { uri: bad, version: 2 }, contentChanges: [{ text: '// HACK\n' }] });
+    await logged();
+
+    const uri = pathToFileURL(path.join(tmpDir, 'load.js')).href;
+    open(uri, SOURCE);
+    expect((await client.diagnostics(uri)).params.diagnostics).toHaveLength(5);
+    expect((await client.request('textDocument/hover', { textDocument: { uri: bad }, position: { line: 0, character: 0 } })).result).toBeNull();
+    expect(client.received.filter(message => message.error)).toEqual([]);
+  });
+
+  test('should answer failing requests with an internal error and never answer notifications', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const slow = startLanguageServer({ input, output, debounceMs: 60000 });
+    const slowClient = createClient(input, output);
+    try {
+      await slowClient.request('initialize', { processId: null, rootUri: null, capabilities: {} });
+      const bad = 'file://otherhost/x.js';
+      slowClient.notify('textDocument/didOpen', { textDocument: { uri: bad, languageId: 'javascript', version: 1, text: SOURCE } });
+      slowClient.notify('textDocument/didChange', { textDocument: { uri: bad, version: 2 }, contentChanges: [{ text: '// HACK\n' }] });
+      slowClient.notify('textDocument/didChange', { textDocument: null, contentChanges: [] });
+
+      const response = await slowClient.request('textDocument/hover', { textDocument: { uri: bad }, position: { line: 0, character: 0 } });
+      expect(response.id).toBe(2);
+      expect(response.error.code).toBe(-32603);
+      expect(slowClient.received.filter(message => message.id !== undefined)).toEqual([]);
+      expect(slowClient.received.map(message => message.params.message)).toEqual([
+        expect.stringMatching(/^code-mood: cannot analyze /),
+        expect.stringMatching(/^code-mood: textDocument\/didChange failed: /)
+      ]);
+    } finally {
+      slow.close();
+    }
+  });
+
+  test('should exit with 0 after shutdown', async () => {
+    await initialize();
+    expect((await client.request('shutdown')).result).toBeNull();
+    client.notify('exit');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(exitCode).toBe(0);
+  });
+
+  test('should exit with 1 when exit comes without shutdown', async () => {
+    await initialize();
+    client.notify('exit');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(exitCode).toBe(1);
+  });
+});
+
+describe('code-mood lsp', () => {
+  test('should speak LSP over stdio', async () => {
+    const child = spawn('node', [cliPath, 'lsp'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const client = createClient(child.stdin, child.stdout);
+    const uri = pathToFileURL(path.join(__dirname, '..', 'samples', 'stressed-code.js')).href;
+
+    await client.request('initialize', { processId: process.pid, rootUri: null, capabilities: {} });
+    client.notify('initialized', {});
+    client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'javascript', version: 1, text: SOURCE } });
+    expect((await client.diagnostics(uri)).params.diagnostics).toHaveLength(5);
+    await client.request('shutdown');
+    client.notify('exit');
+
+    expect(await exited).toBe(0);
+  });
+
+  test('should reload a saved JavaScript configuration and its plugins', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-lsp-'));
+    const configPath = path.join(tmpDir, 'code-mood.config.js');
+    const pluginPath = path.join(tmpDir, 'plugin.js');
+    const writeProject = (stressWords, suggestion) => {
+      fs.writeFileSync(configPath, `module.exports = { words: { stress: ${JSON.stringify(stressWords)} }, plugins: ['./plugin.js'] };\n`);
+      fs.writeFileSync(pluginPath, `module.exports = { name: 'note', suggest: () => [${JSON.stringify(suggestion)}] };\n`);
+    };
+    writeProject([], 'first');
+
+    const child = spawn('node', [cliPath, 'lsp'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    const client = createClient(child.stdin, child.stdout);
+    const uri = pathToFileURL(path.join(tmpDir, 'job.js')).href;
+    const codes = async () => (await client.diagnostics(uri)).params.diagnostics.map(diagnostic => diagnostic.code);
+    const hover = async () => (await client.request('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 0 } })).result.contents.value;
+
+    try {
+      await client.request('initialize', { processId: process.pid, rootUri: pathToFileURL(tmpDir).href, capabilities: {} });
+      client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'javascript', version: 1, text: '// this is wobbly\n' } });
+      expect(await codes()).toEqual([]);
+      expect(await hover()).toContain('- first');
+
+      writeProject(['wobbly'], 'second');
+      client.notify('textDocument/didSave', { textDocument: { uri: pathToFileURL(configPath).href } });
+      expect(await codes()).toEqual(['code-mood/stress-word']);
+      expect(await hover()).toContain('- second');
+
+      await client.request('shutdown');
+      client.notify('exit');
+      expect(await exited).toBe(0);
+    } finally {
+      child.kill();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
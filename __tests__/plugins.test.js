@@ -0,0 +1,162 @@
+/**
+ * Tests for plugins
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { BUILTIN_PLUGINS, loadPlugins, validatePlugin, toAdjustments, PluginError } = require('../lib/plugins');
+const { loadConfig } = require('../lib/config');
+const { analyzeCode, determineMood, generateSuggestions, DEFAULT_SCORING } = require('../lib/analyzer');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+/** Counts console calls left in code */
+const consolePlugin = {
+  name: 'no-console',
+  analyze(source, metrics) {
+    metrics.consoleCalls = (source.maskedLines.join('\n').match(/\bconsole\.\w+\(/g) || []).length;
+  },
+  score(metrics) {
+    return { points: -5 * metrics.consoleCalls, reason: 'console calls' };
+  },
+  suggest(metrics) {
+    return metrics.consoleCalls > 0 ? ['🧹 Remove leftover console calls'] : [];
+  }
+};
+
+const withPlugins = (...plugins) => ({ ...DEFAULT_SCORING, plugins });
+
+describe('built-in plugins', () => {
+  test('should provide the marker and nesting metrics', () => {
+    expect(BUILTIN_PLUGINS.map(plugin => plugin.name)).toEqual(['markers', 'nesting']);
+
+    const metrics = analyzeCode('// TODO: one\n// HACK: two\nif (a) { if (b) { c(); } }', 'test.js');
+    expect(metrics.todoCount).toBe(1);
+    expect(metrics.hackCount).toBe(1);
+    expect(metrics.nestingDepth).toBe(2);
+  });
+
+  test('should keep findings in source order across plugins', () => {
+    const metrics = analyzeCode('a(); // TODO later\n// FIXME now', 'test.js');
+
+    expect(metrics.findings.map(finding => [finding.kind, finding.line])).toEqual([['todo', 1], ['negative', 2], ['fixme', 2]]);
+  });
+});
+
+describe('custom plugins', () => {
+  const code = 'function run() {\n  console.log("a");\n  console.warn("b");\n}';
+
+  test('should contribute metrics to analyzeCode', () => {
+    const metrics = analyzeCode(code, 'test.js', { config: withPlugins(consolePlugin) });
+
+    expect(metrics.consoleCalls).toBe(2);
+  });
+
+  test('should adjust the score in determineMood', () => {
+    const config = withPlugins(consolePlugin);
+    const plain = determineMood(analyzeCode(code, 'test.js'));
+    const adjusted = determineMood(analyzeCode(code, 'test.js', { config }), config);
+
+    expect(adjusted.score).toBe(plain.score - 10);
+  });
+
+  test('should be able to claim a mood', () => {
+    const banned = { name: 'banned', score: () => ({ mood: 'frustrated', reason: 'banned API' }) };
+    const config = withPlugins(banned);
+
+    expect(determineMood(analyzeCode('// lovely clean code\nconst a = 1;', 'test.js'), config).mood).toBe('frustrated');
+  });
+
+  test('should reject unknown moods', () => {
+    const config = withPlugins({ name: 'odd', score: () => ({ mood: 'sleepy' }) });
+
+    expect(() => determineMood(analyzeCode('const a = 1;'), config)).toThrow('unknown mood "sleepy"');
+  });
+
+  test('should add suggestions', () => {
+    const config = withPlugins(consolePlugin);
+    const metrics = analyzeCode(code, 'test.js', { config });
+
+    expect(generateSuggestions(metrics, determineMood(metrics, config), config)).toContain('🧹 Remove leftover console calls');
+  });
+});
+
+describe('toAdjustments', () => {
+  test('should accept numbers, objects and arrays', () => {
+    const plugin = { name: 'p' };
+
+    expect(toAdjustments(-3, plugin)).toEqual([{ plugin: 'p', points: -3, reason: 'p', mood: null }]);
+    expect(toAdjustments([{ points: 2, reason: 'x' }, 1], plugin).map(adjustment => adjustment.points)).toEqual([2, 1]);
+    expect(toAdjustments(undefined, plugin)).toEqual([]);
+  });
+});
+
+describe('loading plugins', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writePlugin = (name, body) => {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, body);
+    return file;
+  };
+
+  test('should validate plugin objects', () => {
+    expect(validatePlugin(consolePlugin, 'p')).toBe(consolePlugin);
+    expect(() => validatePlugin(() => {}, 'p')).toThrow(PluginError);
+    expect(() => validatePlugin({ score() {} }, 'p')).toThrow('must have a "name"');
+    expect(() => validatePlugin({ name: 'p', scores() {} }, 'p')).toThrow('unknown key "scores"');
+    expect(() => validatePlugin({ name: 'p', score: 3 }, 'p')).toThrow('"score" must be a function');
+  });
+
+  test('should resolve paths against the base directory', () => {
+    writePlugin('plugin.js', 'module.exports = { name: "local" };');
+
+    expect(loadPlugins(['./plugin.js'], tmpDir).map(plugin => plugin.name)).toEqual(['local']);
+    expect(() => loadPlugins(['./missing.js'], tmpDir)).toThrow('could not be loaded');
+  });
+
+  test('should load plugins listed in the configuration file', () => {
+    writePlugin('plugin.js', 'module.exports = { name: "from-config" };');
+    writePlugin('extra.js', 'module.exports = { name: "from-flag" };');
+    fs.writeFileSync(path.join(tmpDir, '.codemoodrc.json'), JSON.stringify({ plugins: ['./plugin.js'] }));
+
+    const { config } = loadConfig({ target: tmpDir, pluginPaths: [path.join(tmpDir, 'extra.js')] });
+    expect(config.plugins.map(plugin => plugin.name)).toEqual(['from-config', 'from-flag']);
+  });
+
+  test('should load plugins from --plugin', () => {
+    const source = writePlugin('sample.js', 'console.log("hi");\n');
+    const plugin = writePlugin('plugin.js', `module.exports = {
+  name: 'no-console',
+  suggest: () => ['🧹 Remove leftover console calls']
+};`);
+
+    const output = execFileSync('node', [cliPath, source, '--plugin', plugin, '--no-cache'], { encoding: 'utf8' });
+    expect(output).toContain('🧹 Remove leftover console calls');
+  });
+
+  test('should exit with a clear error for a broken plugin', () => {
+    const source = writePlugin('sample.js', 'const a = 1;\n');
+    const plugin = writePlugin('plugin.js', 'module.exports = { name: "broken", analyse() {} };');
+
+    let error;
+    try {
+      execFileSync('node', [cliPath, source, '--plugin', plugin, '--no-cache'], { encoding: 'utf8', stdio: 'pipe' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.status).toBe(1);
+    expect(error.stderr).toContain('unknown key "analyse"');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for quality gates and baselines
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseGates, buildBaseline, readBaseline, checkGates, formatGateReport, GateError } = require('../lib/qualityGates');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+const samplesDir = path.join(__dirname, '..', 'samples');
+
+/**
+ * Builds an analysis result with just what the gates look at
+ * @param {string} name - File name
+ * @param {number} score - Mood score
+ * @param {string} mood - Mood name
+ * @param {number} hackCount - Number of HACKs
+ * @returns {object} Analysis result
+ */
+const result = (name, score, mood, hackCount) => ({
+  path: name,
+  absolutePath: path.join('/project', name),
+  metrics: { hackCount },
+  moodResult: { score, mood }
+});
+
+describe('parseGates', () => {
+  test('should parse every gate', () => {
+    expect(parseGates({ failUnder: '50', failOnMood: 'Chaotic, sad', maxHacks: '0' }))
+      .toEqual({ failUnder: 50, failOnMood: ['chaotic', 'sad'], maxHacks: 0 });
+    expect(parseGates({})).toEqual({ failUnder: null, failOnMood: [], maxHacks: null });
+  });
+
+  test('should reject invalid values', () => {
+    expect(() => parseGates({ failUnder: 'high' })).toThrow(GateError);
+    expect(() => parseGates({ failUnder: '101' })).toThrow('Invalid --fail-under');
+    expect(() => parseGates({ failOnMood: 'grumpy' })).toThrow('Invalid --fail-on-mood: grumpy');
+    expect(() => parseGates({ maxHacks: '1.5' })).toThrow('Invalid --max-hacks');
+  });
+});
+
+describe('checkGates', () => {
+  const results = [
+    result('a.js', 30, 'sad', 2),
+    result('b.js', 80, 'happy', 0),
+    result('c.js', 20, 'chaotic', 1)
+  ];
+  const gates = parseGates({ failUnder: '50', failOnMood: 'chaotic', maxHacks: '1' });
+
+  test('should list which files broke which rule', () => {
+    expect(checkGates(results, gates)).toEqual([
+      { path: 'a.js', rule: 'fail-under', message: 'score 30 is below 50' },
+      { path: 'a.js', rule: 'max-hacks', message: '2 HACKs exceed the maximum of 1' },
+      { path: 'c.js', rule: 'fail-under', message: 'score 20 is below 50' },
+      { path: 'c.js', rule: 'fail-on-mood', message: 'mood is chaotic' }
+    ]);
+  });
+
+  test('should only fail on regressions against a baseline', () => {
+    const baseline = buildBaseline([
+      result('a.js', 30, 'sad', 2),
+      result('c.js', 25, 'chaotic', 1)
+    ], '/project');
+
+    expect(checkGates(results, gates, { baseline, baseDir: '/project' })).toEqual([
+      { path: 'c.js', rule: 'fail-under', message: 'score 20 is below 50 (baseline 25)' }
+    ]);
+  });
+
+  test('should fail on any score drop with a baseline and no gates', () => {
+    const baseline = buildBaseline([result('b.js', 85, 'happy', 0)], '/project');
+
+    expect(checkGates(results, parseGates({}), { baseline, baseDir: '/project' })).toEqual([
+      { path: 'b.js', rule: 'baseline', message: 'score dropped from 85 to 80' }
+    ]);
+  });
+
+  test('should format violations by file', () => {
+    const output = formatGateReport(checkGates(results, gates));
+
+    expect(output).toContain('QUALITY GATES');
+    expect(output).toContain('4 gate violation(s) in 2 file(s)');
+    expect(output).toMatch(/ {2}a\.js\n {6}fail-under +score 30 is below 50/);
+    expect(formatGateReport([])).toContain('All quality gates passed');
+  });
+});
+
+describe('readBaseline', () => {
+  test('should explain a missing or foreign file', () => {
+    expect(() => readBaseline('/no/such/baseline.json')).toThrow('baseline update');
+    expect(() => readBaseline(path.join(__dirname, '..', 'package.json'))).toThrow('not a version 1 code-mood baseline');
+  });
+});
+
+describe('gates on the command line', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-gates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the CLI and captures how it exited
+   * @param {string[]} args - CLI arguments
+   * @returns {{status: number, stdout: string, stderr: string}} Exit status and output
+   */
+  const run = args => {
+    try {
+      return { status: 0, stdout: execFileSync('node', [cliPath, ...args], { encoding: 'utf8', stdio: 'pipe', cwd: tempDir }), stderr: '' };
+    } catch (error) {
+      return { status: error.status, stdout: error.stdout, stderr: error.stderr };
+    }
+  };
+
+  test('should exit with 2 when a gate fails and 1 on a tool error', () => {
+    const failed = run([samplesDir, '--max-hacks', '0']);
+    expect(failed.status).toBe(2);
+    expect(failed.stdout).toMatch(/stressed-code\.js\n {6}max-hacks +3 HACKs exceed the maximum of 0/);
+
+    expect(run([samplesDir, '--fail-under', '0']).status).toBe(0);
+    expect(run([samplesDir, '--fail-under', 'abc']).status).toBe(1);
+    expect(run([samplesDir, '--baseline', 'missing.json']).status).toBe(1);
+  });
+
+  test('should record a baseline and pass until something regresses', () => {
+    const recorded = run(['baseline', 'update', samplesDir]);
+    expect(recorded.stdout).toContain('Baseline of 4 files written to .code-mood-baseline.json');
+
+    const baseline = JSON.parse(fs.readFileSync(path.join(tempDir, '.code-mood-baseline.json'), 'utf8'));
+    expect(Object.keys(baseline.files)).toHaveLength(4);
+
+    const passed = run([samplesDir, '--baseline', '.code-mood-baseline.json', '--max-hacks', '0', '--format', 'json']);
+    expect(passed.status).toBe(0);
+    expect(JSON.parse(passed.stdout).gates).toEqual({ passed: true, violations: [] });
+
+    const key = Object.keys(baseline.files).find(file => file.endsWith('stressed-code.js'));
+    baseline.files[key].hackCount = 1;
+    fs.writeFileSync(path.join(tempDir, '.code-mood-baseline.json'), JSON.stringify(baseline));
+    const regressed = run([samplesDir, '--baseline=.code-mood-baseline.json', '--max-hacks=0', '--format=json']);
+    expect(regressed.status).toBe(2);
+    expect(JSON.parse(regressed.stdout).gates.violations).toEqual([
+      { path: 'stressed-code.js', rule: 'max-hacks', message: '3 HACKs exceed the maximum of 0 (baseline 1)' }
+    ]);
+  });
+
+  test('should score the baseline with the project\'s tests like a gated run', () => {
+    fs.mkdirSync(path.join(tempDir, 'src', '__tests__'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, 'src', 'parser.js'), '// Parses input\nfunction parse(text) {\n  return text.trim();\n}\n');
+    fs.writeFileSync(path.join(tempDir, 'src', '__tests__', 'parser.test.js'), 'test(\'parses\', () => {\n  expect(1).toBe(1);\n});\n');
+
+    run(['baseline', 'update', 'src', '--tests', 'exclude', '--no-cache']);
+    const baseline = JSON.parse(fs.readFileSync(path.join(tempDir, '.code-mood-baseline.json'), 'utf8'));
+    const gated = run(['src', '--tests', 'exclude', '--baseline', '.code-mood-baseline.json', '--format', 'json', '--no-cache']);
+    const [parser] = JSON.parse(gated.stdout).files;
+
+    expect(Object.keys(baseline.files)).toEqual([path.join('src', 'parser.js')]);
+    expect(parser.metrics.hasTests).toBe(true);
+    expect(baseline.files[path.join('src', 'parser.js')].score).toBe(parser.moodResult.score);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the result cache
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { openResultCache, clearResultCache, cacheFingerprint, DEFAULT_CACHE_DIR } = require('../lib/resultCache');
+const { loadConfig, resolveConfig } = require('../lib/config');
+const { analyzeFile } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+describe('openResultCache', () => {
+  let tmpDir;
+  let cacheDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-cache-'));
+    cacheDir = path.join(tmpDir, DEFAULT_CACHE_DIR);
+    file = path.join(tmpDir, 'app.js');
+    fs.writeFileSync(file, '// HACK: quick fix\nconst a = 1;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should return stored results of unchanged files on the next run', () => {
+    const config = resolveConfig();
+    const result = analyzeFile(file, config);
+    const cache = openResultCache(cacheDir, config);
+    expect(cache.lookup(file)).toBeNull();
+    cache.store(file, result);
+    cache.save();
+
+    expect(openResultCache(cacheDir, config).lookup(file)).toEqual(result);
+
+    fs.writeFileSync(file, '// Clean\nconst a = 1;\n');
+    expect(openResultCache(cacheDir, config).lookup(file)).toBeNull();
+  });
+
+  test('should drop every result when the configuration changes', () => {
+    const config = resolveConfig();
+    const cache = openResultCache(cacheDir, config);
+    cache.store(file, analyzeFile(file, config));
+    cache.save();
+
+    const stricter = resolveConfig({ weights: { hack: -50 } });
+    expect(openResultCache(cacheDir, stricter).lookup(file)).toBeNull();
+  });
+
+  test('should not read files over the size limit', () => {
+    const bundle = path.join(tmpDir, 'bundle.js');
+    fs.writeFileSync(bundle, 'x'.repeat(2048));
+    const readFileSync = jest.spyOn(fs, 'readFileSync');
+    try {
+      const cache = openResultCache(cacheDir, resolveConfig({ maxFileSize: 1024 }));
+      expect(cache.lookup(bundle)).toBeNull();
+      expect(readFileSync.mock.calls.map(call => call[0])).not.toContain(bundle);
+    } finally {
+      readFileSync.mockRestore();
+    }
+  });
+
+  test('should rebuild an unreadable cache file', () => {
+    fs.mkdirSync(cacheDir);
+    fs.writeFileSync(path.join(cacheDir, 'results.json'), '{"version": 1, "fing');
+    const cache = openResultCache(cacheDir, resolveConfig());
+    expect(cache.lookup(file)).toBeNull();
+    cache.store(file, analyzeFile(file));
+    cache.save();
+    expect(openResultCache(cacheDir, resolveConfig()).lookup(file)).not.toBeNull();
+  });
+
+  test('clearResultCache should delete the cache directory', () => {
+    const cache = openResultCache(cacheDir, resolveConfig());
+    cache.store(file, analyzeFile(file));
+    cache.save();
+
+    expect(clearResultCache(cacheDir)).toBe(true);
+    expect(fs.existsSync(cacheDir)).toBe(false);
+    expect(clearResultCache(cacheDir)).toBe(false);
+  });
+});
+
+describe('cacheFingerprint', () => {
+  test('should change when a plugin file changes', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-cache-plugin-'));
+    const plugin = path.join(tmpDir, 'plugin.js');
+    try {
+      fs.writeFileSync(plugin, 'const POINTS = -1;\nmodule.exports = { name: "flat", score: () => POINTS };\n');
+      const { config } = loadConfig({ target: tmpDir, pluginPaths: [plugin] });
+      const before = cacheFingerprint(config);
+
+      expect(cacheFingerprint(config)).toBe(before);
+      fs.writeFileSync(plugin, 'const POINTS = -9;\nmodule.exports = { name: "flat", score: () => POINTS };\n');
+      expect(cacheFingerprint(config)).not.toBe(before);
+      expect(cacheFingerprint(resolveConfig())).not.toBe(before);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('CLI cache', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-cache-cli-'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'a.js'), '// TODO: tidy up\nconst a = 1;\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), '// Clean and simple\nconst b = 2;\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const run = (...args) => execFileSync('node', [cliPath, ...args], { cwd: tmpDir, encoding: 'utf8' });
+  const scores = output => Object.fromEntries(JSON.parse(output).files.map(file => [file.path, file.moodResult.score]));
+
+  test('should reuse the results of unchanged files', () => {
+    const first = run('src', '--format', 'json');
+    const cacheFile = path.join(tmpDir, DEFAULT_CACHE_DIR, 'results.json');
+    expect(run('src', '--format', 'json')).toBe(first);
+
+    // A doctored entry shows up in the report only if the file was not analyzed again
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    cache.files['src/b.js'].result.moodResult.score = 42;
+    fs.writeFileSync(cacheFile, JSON.stringify(cache));
+    expect(scores(run('src', '--format', 'json'))['b.js']).toBe(42);
+    expect(scores(run('src', '--format', 'json', '--no-cache'))['b.js']).not.toBe(42);
+
+    fs.appendFileSync(path.join(tmpDir, 'src', 'b.js'), '// Elegant\n');
+    expect(scores(run('src', '--format', 'json'))['b.js']).not.toBe(42);
+  });
+
+  test('should not write a cache with --no-cache, and clear it with cache clear', () => {
+    run('src', '--no-cache');
+    expect(fs.existsSync(path.join(tmpDir, DEFAULT_CACHE_DIR))).toBe(false);
+
+    run('src');
+    expect(run('cache', 'clear')).toMatch('Cache .code-mood-cache/ cleared');
+    expect(fs.existsSync(path.join(tmpDir, DEFAULT_CACHE_DIR))).toBe(false);
+    expect(run('cache', 'clear')).toMatch('No cache to clear');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for the HTTP server
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createServer, parsePort, MAX_BATCH_FILES } = require('../lib/server');
+const { analyzeFile } = require('../src/cli');
+const { MOOD_EMOJIS, MOOD_DESCRIPTIONS } = require('../lib/analyzer');
+
+const samplesDir = path.join(__dirname, '..', 'samples');
+
+describe('parsePort', () => {
+  test('should accept port numbers', () => {
+    expect(parsePort('4000')).toBe(4000);
+    expect(parsePort(0)).toBe(0);
+    expect(parsePort('65536')).toBeNull();
+    expect(parsePort('http')).toBeNull();
+  });
+});
+
+describe('createServer', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = createServer({ maxBodyBytes: 64 * 1024 });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  /**
+   * Posts a JSON body
+   * @param {string} route - Path to post to
+   * @param {*} body - Value to send, or a string sent as is
+   * @param {object} [headers] - Request headers
+   * @returns {Promise<{status: number, body: object}>} Status and parsed response
+   */
+  const post = async (route, body, headers = { 'Content-Type': 'application/json' }) => {
+    const response = await fetch(baseUrl + route, {
+      method: 'POST',
+      headers,
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('POST /analyze should return the analysis of the posted code', async () => {
+    const file = path.join(samplesDir, 'stressed-code.js');
+    const { status, body } = await post('/analyze', { code: fs.readFileSync(file, 'utf8'), filename: 'stressed-code.js' });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({ filename: 'stressed-code.js', ...JSON.parse(JSON.stringify(analyzeFile(file))) });
+  });
+
+  test('POST /analyze-batch should analyze every file and summarize them', async () => {
+    const files = ['happy-code.js', 'zen-code.js'].map(name => ({ filename: name, code: fs.readFileSync(path.join(samplesDir, name), 'utf8') }));
+    const { status, body } = await post('/analyze-batch', { files });
+
+    expect(status).toBe(200);
+    expect(body.files.map(file => [file.filename, file.moodResult.mood])).toEqual([['happy-code.js', 'zen'], ['zen-code.js', 'zen']]);
+    expect(body.summary.fileCount).toBe(2);
+  });
+
+  test('GET /moods should list the moods', async () => {
+    const response = await fetch(`${baseUrl}/moods`);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ emojis: MOOD_EMOJIS, descriptions: MOOD_DESCRIPTIONS });
+  });
+
+  test('GET / should serve the dashboard', async () => {
+    const response = await fetch(baseUrl);
+    const html = await response.text();
+
+    expect(response.headers.get('content-type')).toBe('text/html; charset=utf-8');
+    expect(html).toContain('<textarea id="code"');
+    expect(html).toContain('fetch(\'/analyze\'');
+  });
+
+  test('should answer malformed requests with a 4xx error body', async () => {
+    expect(await post('/analyze', { code: 'const a = 1;' })).toEqual({
+      status: 400,
+      body: { error: { status: 400, message: '"filename" must be a non-empty string, e.g. "app.js"; its extension picks the language' } }
+    });
+    expect((await post('/analyze', '{"code": ')).body.error.message).toMatch(/^Request body is not valid JSON/);
+    expect((await post('/analyze', { code: 1, filename: 'a.js' })).body.error.message).toBe('"code" must be a string');
+    expect((await post('/analyze', 'code', { 'Content-Type': 'text/plain' })).status).toBe(415);
+    expect((await post('/analyze-batch', { files: [{ code: '', filename: 'a.js' }, { code: 'x' }] })).body.error.message)
+      .toBe('"files[1].filename" must be a non-empty string, e.g. "app.js"; its extension picks the language');
+    expect((await post('/analyze-batch', { files: [] })).status).toBe(400);
+  });
+
+  test('should reject bodies and batches over the limits with 413', async () => {
+    const large = await post('/analyze', { code: 'x'.repeat(100 * 1024), filename: 'a.js' });
+    expect(large).toEqual({ status: 413, body: { error: { status: 413, message: 'Request body is larger than the 64 KB limit' } } });
+
+    const files = Array.from({ length: MAX_BATCH_FILES + 1 }, () => ({ code: '', filename: 'a.js' }));
+    expect((await post('/analyze-batch', { files })).status).toBe(413);
+  });
+
+  test('should answer unknown routes with 404 and wrong methods with 405', async () => {
+    const missing = await fetch(`${baseUrl}/nope`);
+    expect(missing.status).toBe(404);
+    expect((await missing.json()).error.message).toBe('No such endpoint: GET /nope');
+
+    const wrongMethod = await fetch(`${baseUrl}/analyze`);
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('allow')).toBe('POST');
+  });
+});
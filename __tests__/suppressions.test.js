@@ -0,0 +1,174 @@
+/**
+ * Tests for inline suppression comments
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { findDirectives, applySuppressions } = require('../lib/suppressions');
+const { analyzeCode, analyzeSource } = require('../lib/analyzer');
+const { tokenize, groupSegmentsByLine } = require('../lib/tokenizer');
+const { resolveLanguage } = require('../lib/languages');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+/**
+ * Finds the directives of a snippet
+ * @param {string} code - Source code
+ * @param {string} filename - File name, which picks the language
+ * @returns {object[]} Directives
+ */
+function directivesOf(code, filename = 'a.js') {
+  const lines = code.split('\n');
+  return findDirectives(groupSegmentsByLine(tokenize(code, resolveLanguage(filename)), lines.length));
+}
+
+describe('findDirectives', () => {
+  test('should read directives and their rules in each comment syntax', () => {
+    const code = [
+      '// code-mood-disable-next-line stress, negative -- advisory wording',
+      'const a = 1; /* code-mood-disable */',
+      '  /** code-mood-enable hack */'
+    ].join('\n');
+
+    expect(directivesOf(code)).toEqual([
+      { type: 'disable-next-line', rules: ['stress', 'negative'], line: 1, column: 4, endColumn: 68, text: 'code-mood-disable-next-line stress, negative' },
+      { type: 'disable', rules: null, line: 2, column: 17, endColumn: 37, text: 'code-mood-disable' },
+      { type: 'enable', rules: ['hack'], line: 3, column: 7, endColumn: 31, text: 'code-mood-enable hack' }
+    ]);
+    expect(directivesOf('# code-mood-disable-file stress\n', 'a.py').map(directive => directive.rules)).toEqual([['stress']]);
+  });
+
+  test('should ignore directives that are not at the start of a comment or not in a comment', () => {
+    expect(directivesOf('// see code-mood-disable-file in the README\n')).toEqual([]);
+    expect(directivesOf('const a = "// code-mood-disable-file";\n')).toEqual([]);
+    expect(directivesOf('// code-mood-disable-line stress\n')).toEqual([]);
+  });
+});
+
+describe('applySuppressions', () => {
+  const finding = (kind, line, column = 4) => ({ kind, text: kind, line, column, context: '' });
+
+  test('should silence the next line, ranges and the whole file', () => {
+    const code = [
+      '// code-mood-disable-next-line stress',
+      '// critical',
+      '// code-mood-disable',
+      '// ugly',
+      '// code-mood-enable',
+      '// ugly'
+    ].join('\n');
+    const findings = [finding('stress', 2), finding('negative', 4), finding('negative', 6)];
+
+    const { findings: kept, suppressed, unused } = applySuppressions(findings, directivesOf(code));
+    expect(kept).toEqual([finding('negative', 6)]);
+    expect(suppressed).toEqual([finding('stress', 2), finding('negative', 4)]);
+    expect(unused).toEqual([]);
+
+    expect(applySuppressions(findings, directivesOf('# code-mood-disable-file\n', 'a.py')).findings).toEqual([]);
+  });
+
+  test('should only silence the named rules, and re-enable rules one by one', () => {
+    const code = [
+      '// code-mood-disable negative, stress',
+      '// code-mood-enable stress',
+      '// hack'
+    ].join('\n');
+    const findings = [finding('hack', 3), finding('negative', 3), finding('stress', 3)];
+
+    const { findings: kept } = applySuppressions(findings, directivesOf(code));
+    expect(kept.map(hit => hit.kind)).toEqual(['hack', 'stress']);
+  });
+
+  test('should report disable directives that silenced nothing', () => {
+    const code = '// code-mood-disable-next-line stress\nconst a = 1;\n// code-mood-enable\n';
+
+    expect(applySuppressions([], directivesOf(code)).unused).toEqual([{ line: 1, column: 4, text: 'code-mood-disable-next-line stress' }]);
+  });
+});
+
+describe('analyzeCode with suppressions', () => {
+  test('should leave suppressed hits out of the metrics and count them', () => {
+    const code = [
+      '# code-mood-disable-next-line negative -- the API really is deprecated',
+      '# deprecated endpoint, remove after the migration',
+      'def migrate():',
+      '    return True  # HACK: critical',
+      ''
+    ].join('\n');
+
+    const metrics = analyzeCode(code, 'migrate.py');
+    expect(metrics.negativeWords).toBe(1);
+    expect(metrics.stressWords).toBe(1);
+    expect(metrics.hackCount).toBe(1);
+    expect(metrics.suppressedCount).toBe(1);
+    expect(metrics.findings.map(hit => `${hit.kind}@${hit.line}`)).toEqual(['negative@4', 'hack@4', 'stress@4']);
+    expect(metrics.unusedSuppressions).toEqual([]);
+  });
+
+  test('should not count hits in the reason of a directive', () => {
+    const metrics = analyzeCode('// code-mood-disable-file hack -- urgent legacy bridge\nconst a = 1; // HACK\n', 'a.js');
+
+    expect(metrics.stressWords).toBe(0);
+    expect(metrics.negativeWords).toBe(1);
+    expect(metrics.hackCount).toBe(0);
+    expect(metrics.suppressedCount).toBe(1);
+  });
+});
+
+describe('scoring with suppressions', () => {
+  const longLine = `const message = '${'x'.repeat(130)}';`;
+  const nested = 'function f(a, b, c, d) {\n  if (a) { if (b) { if (c) { if (d) { return 1; } } } }\n  return 0;\n}';
+
+  test('should leave silenced long lines out of the score and suggestions', () => {
+    const plain = analyzeSource(`const a = 1;\n${longLine}\n`, 'a.js');
+    const silenced = analyzeSource(`const a = 1;\n// code-mood-disable-next-line long-line\n${longLine}\n`, 'a.js');
+
+    expect(plain.metrics.longestLine).toBe(longLine.length);
+    expect(silenced.metrics.longestLine).toBe('// code-mood-disable-next-line long-line'.length);
+    expect(silenced.moodResult.score).not.toBe(plain.moodResult.score);
+    expect(silenced.moodResult.contributions.map(contribution => contribution.label).join('\n')).not.toContain('longest line');
+    expect(plain.suggestions.join('\n')).toContain('Some lines are quite long');
+    expect(silenced.suggestions.join('\n')).not.toContain('Some lines are quite long');
+  });
+
+  test('should leave silenced deeply nested blocks out of the nesting depth', () => {
+    const plain = analyzeSource(nested, 'a.js');
+    const silenced = analyzeSource(`// code-mood-disable-next-line deep-nesting\n${nested.replace('\n  if', ' if')}`, 'a.js');
+    const elsewhere = analyzeSource(`${nested}\n// code-mood-disable-next-line deep-nesting\nconst a = 1;\n`, 'a.js');
+
+    expect(plain.metrics.nestingDepth).toBe(5);
+    expect(silenced.metrics.nestingDepth).toBe(4);
+    expect(silenced.moodResult.score).not.toBe(analyzeSource(nested.replace('\n  if', ' if'), 'a.js').moodResult.score);
+    expect(silenced.suggestions.join('\n')).not.toContain('Deep nesting detected');
+    expect(elsewhere.metrics.nestingDepth).toBe(5);
+  });
+});
+
+describe('code-mood --report-unused-suppressions', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-suppressions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should warn about stale directives and show suppressed counts', () => {
+    fs.writeFileSync(path.join(tmpDir, 'auth.js'), '// code-mood-disable-next-line stress\nconst level = "critical"; // critical\n');
+    fs.writeFileSync(path.join(tmpDir, 'old.js'), '// code-mood-disable-next-line stress\nconst a = 1;\n');
+
+    const run = (...args) => JSON.parse(execFileSync('node', [cliPath, '.', '--format', 'json', '--no-cache', ...args], { cwd: tmpDir, encoding: 'utf8', stdio: 'pipe' }));
+    const report = run('--report-unused-suppressions');
+
+    expect(report.summary.totals.suppressedCount).toBe(1);
+    expect(report.files.map(file => file.metrics.suppressedCount)).toEqual([1, 0]);
+    expect(report.warnings).toEqual([
+      { path: 'old.js', message: 'line 1: unused code-mood-disable-next-line stress comment, nothing to suppress' }
+    ]);
+    expect(run().warnings).toBeUndefined();
+  });
+});
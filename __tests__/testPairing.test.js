@@ -0,0 +1,204 @@
+/**
+ * Tests for test file detection and pairing
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isTestPath, testSubject, pairTestFiles } = require('../lib/testPairing');
+const { parseArgs } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+describe('isTestPath', () => {
+  test('should recognize test files by name in each convention', () => {
+    expect(isTestPath('src/parser.test.js')).toBe(true);
+    expect(isTestPath('src/parser.spec.ts')).toBe(true);
+    expect(isTestPath('test_parser.py')).toBe(true);
+    expect(isTestPath('pkg/parser_test.go')).toBe(true);
+    expect(isTestPath('ParserTest.java')).toBe(true);
+    expect(isTestPath('src/parser.js')).toBe(false);
+    expect(isTestPath('src/contest.js')).toBe(false);
+    expect(isTestPath('Test.java')).toBe(false);
+  });
+
+  test('should recognize files in test directories', () => {
+    expect(isTestPath('src/__tests__/parser.js')).toBe(true);
+    expect(isTestPath('tests/conftest.py')).toBe(true);
+    expect(isTestPath('src/test/java/app/Helpers.java')).toBe(true);
+    expect(isTestPath('src/testing/parser.js')).toBe(false);
+  });
+});
+
+describe('testSubject', () => {
+  test('should name the file under test', () => {
+    expect(testSubject('src/__tests__/parser.test.js')).toBe('parser');
+    expect(testSubject('tests/test_parser.py')).toBe('parser');
+    expect(testSubject('pkg/parser_test.go')).toBe('parser');
+    expect(testSubject('src/test/java/app/ParserTest.java')).toBe('Parser');
+    expect(testSubject('src/__tests__/parser.js')).toBe('parser');
+  });
+});
+
+describe('pairTestFiles', () => {
+  test('should pair tests with their sources in each layout', () => {
+    const { tests, testsBySource } = pairTestFiles([
+      'src/parser.js',
+      'src/__tests__/parser.test.js',
+      'src/lexer.ts',
+      'src/lexer.spec.ts',
+      'app/jobs.py',
+      'tests/test_jobs.py',
+      'pkg/store.go',
+      'pkg/store_test.go',
+      'src/main/java/app/Parser.java',
+      'src/test/java/app/ParserTest.java',
+      'src/untested.js'
+    ]);
+
+    expect([...tests].sort()).toEqual([
+      'pkg/store_test.go',
+      'src/__tests__/parser.test.js',
+      'src/lexer.spec.ts',
+      'src/test/java/app/ParserTest.java',
+      'tests/test_jobs.py'
+    ]);
+    expect(Object.fromEntries(testsBySource)).toEqual({
+      'src/parser.js': ['src/__tests__/parser.test.js'],
+      'src/lexer.ts': ['src/lexer.spec.ts'],
+      'app/jobs.py': ['tests/test_jobs.py'],
+      'pkg/store.go': ['pkg/store_test.go'],
+      'src/main/java/app/Parser.java': ['src/test/java/app/ParserTest.java']
+    });
+  });
+
+  test('should prefer the closest source and skip ambiguous tests', () => {
+    const { testsBySource } = pairTestFiles([
+      'client/util.js',
+      'server/util.js',
+      'server/__tests__/util.test.js',
+      'a/index.js',
+      'b/index.js',
+      'tests/index.test.js'
+    ]);
+
+    expect(Object.fromEntries(testsBySource)).toEqual({
+      'server/util.js': ['server/__tests__/util.test.js']
+    });
+  });
+
+  test('should only pair files of the same language family', () => {
+    const { testsBySource } = pairTestFiles(['src/parser.py', 'src/parser.test.js']);
+
+    expect(testsBySource.size).toBe(0);
+  });
+});
+
+describe('code-mood --tests', () => {
+  let tmpDir;
+
+  const functions = Array.from({ length: 4 }, (_, index) => `function step${index}() {\n  return ${index};\n}\n`).join('');
+
+  /**
+   * Runs the CLI in the temporary project and parses its JSON report
+   * @param {...string} args - Extra arguments
+   * @returns {object} JSON report
+   */
+  const run = (...args) => JSON.parse(execFileSync('node', [cliPath, 'src', '--format', 'json', '--no-cache', ...args], { cwd: tmpDir, encoding: 'utf8', stdio: 'pipe' }));
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-tests-'));
+    fs.mkdirSync(path.join(tmpDir, 'src', '__tests__'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'package.json'), '{}\n');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'parser.js'), functions);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'lexer.js'), functions);
+    fs.writeFileSync(path.join(tmpDir, 'src', '__tests__', 'parser.test.js'), 'test(\'parses\', () => {\n  expect(1).toBe(1);\n});\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should read the test mode', () => {
+    expect(parseArgs(['src', '--tests', 'separate']).tests).toBe('separate');
+    expect(parseArgs(['src', '--tests=exclude']).tests).toBe('exclude');
+    expect(parseArgs(['src']).tests).toBe('include');
+  });
+
+  test('should mark test files and the sources they cover, with tests relative to the current directory', () => {
+    const report = run();
+    const byPath = Object.fromEntries(report.files.map(file => [file.path, file]));
+
+    expect(byPath['parser.js'].metrics).toMatchObject({ isTest: false, hasTests: true, testFiles: ['src/__tests__/parser.test.js'] });
+    expect(byPath['lexer.js'].metrics).toMatchObject({ isTest: false, hasTests: false, testFiles: [] });
+    expect(byPath['__tests__/parser.test.js'].metrics).toMatchObject({ isTest: true, hasTests: false });
+    expect(byPath['parser.js'].suggestions.join('\n')).not.toContain('No tests detected');
+    expect(byPath['lexer.js'].suggestions.join('\n')).toContain('No tests detected');
+    expect(report.summary.fileCount).toBe(3);
+    expect(report.testSummary).toBeUndefined();
+  });
+
+  test('should pair tests outside the analyzed directory', () => {
+    fs.mkdirSync(path.join(tmpDir, 'tests'));
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'lexer.test.js'), 'test(\'lexes\', () => {});\n');
+
+    const lexer = run().files.find(file => file.path === 'lexer.js');
+    expect(lexer.metrics.testFiles).toEqual(['tests/lexer.test.js']);
+  });
+
+  test('should not look for tests in excluded directories', () => {
+    fs.mkdirSync(path.join(tmpDir, 'tests'));
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'lexer.test.js'), 'test(\'lexes\', () => {});\n');
+
+    expect(run('--exclude', 'tests').files.find(file => file.path === 'lexer.js').metrics.testFiles).toEqual([]);
+  });
+
+  test('should only look for tests under the project root', () => {
+    fs.mkdirSync(path.join(tmpDir, 'app', 'src'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'app', 'package.json'), '{}\n');
+    fs.writeFileSync(path.join(tmpDir, 'app', 'src', 'reader.js'), functions);
+    fs.mkdirSync(path.join(tmpDir, 'tests'));
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'reader.test.js'), 'test(\'reads\', () => {});\n');
+
+    const report = JSON.parse(execFileSync('node', [cliPath, 'app/src', '--format', 'json', '--no-cache'], { cwd: tmpDir, encoding: 'utf8', stdio: 'pipe' }));
+    expect(report.files[0].metrics.hasTests).toBe(false);
+  });
+
+  test('should treat directories named like ..cache as part of the project', () => {
+    fs.mkdirSync(path.join(tmpDir, '..cache'));
+    fs.writeFileSync(path.join(tmpDir, '..cache', 'tokens.js'), functions);
+    fs.mkdirSync(path.join(tmpDir, 'tests'));
+    fs.writeFileSync(path.join(tmpDir, 'tests', 'tokens.test.js'), 'test(\'tokenizes\', () => {});\n');
+
+    const report = JSON.parse(execFileSync('node', [cliPath, '..cache', '--format', 'json', '--no-cache'], { cwd: tmpDir, encoding: 'utf8', stdio: 'pipe' }));
+    expect(report.files[0].metrics.testFiles).toEqual(['tests/tokens.test.js']);
+  });
+
+  test('should summarize test files apart from production code', () => {
+    const report = run('--tests', 'separate');
+
+    expect(report.files).toHaveLength(3);
+    expect(report.summary.fileCount).toBe(2);
+    expect(report.testSummary.fileCount).toBe(1);
+  });
+
+  test('should leave test files out', () => {
+    const report = run('--tests', 'exclude');
+
+    expect(report.files.map(file => file.path)).toEqual(['lexer.js', 'parser.js']);
+    expect(report.files[1].metrics.hasTests).toBe(true);
+  });
+
+  test('should reject unknown modes', () => {
+    let error;
+    try {
+      run('--tests', 'only');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.status).toBe(1);
+    expect(error.stderr).toContain('Unknown --tests mode: only. Expected one of: include, separate, exclude');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the TODO tracker
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  extractMarkers,
+  parseMarker,
+  groupMarkers,
+  summarizeMarkers,
+  formatTodosText,
+  formatTodosMarkdown,
+  formatTodosCsv
+} = require('../lib/todos');
+const { parseArgs } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+const SOURCE = [
+  '// TODO(alice): migrate to the new API #123',
+  'function load() {',
+  '  // FIXME #45 race in the scheduler',
+  '  return cache; /* HACK until 2025-01-01 remove after the cutover */',
+  '}',
+  '// TODO [JIRA-42] handle unicode, see @bob',
+  '// code-mood-disable-next-line todo',
+  '// TODO: silenced',
+  ''
+].join('\n');
+
+describe('parseMarker', () => {
+  test('should read owners, issue references and due dates of conventional forms', () => {
+    expect(parseMarker('TODO(alice): migrate', 'TODO')).toEqual({ owner: 'alice', issues: [], due: null });
+    expect(parseMarker('FIXME #123 and acme/api#7', 'FIXME')).toEqual({ owner: null, issues: ['#123', 'acme/api#7'], due: null });
+    expect(parseMarker('TODO [JIRA-42] ask @carol', 'TODO')).toEqual({ owner: 'carol', issues: ['JIRA-42'], due: null });
+    expect(parseMarker('HACK until 2025-01-01', 'HACK')).toEqual({ owner: null, issues: [], due: '2025-01-01' });
+    expect(parseMarker('todo(@bob, #9, 2030-06-30) later', 'todo')).toEqual({ owner: 'bob', issues: ['#9'], due: '2030-06-30' });
+  });
+
+  test('should ignore dates that do not exist', () => {
+    expect(parseMarker('TODO by 2025-02-31', 'TODO').due).toBeNull();
+  });
+});
+
+describe('extractMarkers', () => {
+  test('should not list marker words used in prose', () => {
+    expect(extractMarkers('// a hacky workaround until the todos are done\n', 'src/load.js')).toEqual([]);
+  });
+
+  test('should locate every marker with its full text and flag overdue ones', () => {
+    const markers = extractMarkers(SOURCE, 'src/load.js', { today: '2025-06-01' });
+
+    expect(markers.map(marker => [marker.line, marker.tag, marker.text])).toEqual([
+      [1, 'TODO', 'TODO(alice): migrate to the new API #123'],
+      [3, 'FIXME', 'FIXME #45 race in the scheduler'],
+      [4, 'HACK', 'HACK until 2025-01-01 remove after the cutover'],
+      [6, 'TODO', 'TODO [JIRA-42] handle unicode, see @bob']
+    ]);
+    expect(markers[2]).toEqual({
+      path: 'src/load.js',
+      line: 4,
+      column: 20,
+      tag: 'HACK',
+      text: 'HACK until 2025-01-01 remove after the cutover',
+      owner: null,
+      issues: [],
+      due: '2025-01-01',
+      overdue: true
+    });
+    expect(extractMarkers(SOURCE, 'src/load.js', { today: '2024-12-31' }).some(marker => marker.overdue)).toBe(false);
+  });
+
+  test('should strip docstring closers in Python', () => {
+    expect(extractMarkers('"""TODO: document me"""\n', 'a.py').map(marker => marker.text)).toEqual(['TODO: document me']);
+  });
+});
+
+describe('groupMarkers', () => {
+  const markers = extractMarkers(SOURCE, 'src/load.js', { today: '2025-06-01' });
+
+  test('should group by owner with unassigned markers last', () => {
+    expect(groupMarkers(markers, 'owner').map(group => [group.name, group.markers.length])).toEqual([
+      ['alice', 1],
+      ['bob', 1],
+      ['(unassigned)', 2]
+    ]);
+  });
+
+  test('should group by tag in TODO, FIXME, HACK order and by file', () => {
+    expect(groupMarkers(markers, 'tag').map(group => group.name)).toEqual(['TODO', 'FIXME', 'HACK']);
+    expect(groupMarkers([...markers, { ...markers[0], path: 'a.js' }], 'file').map(group => group.name)).toEqual(['a.js', 'src/load.js']);
+  });
+});
+
+describe('todo report formats', () => {
+  const markers = extractMarkers(SOURCE, 'src/load.js', { today: '2025-06-01' });
+  const groups = groupMarkers(markers, 'tag');
+  const summary = summarizeMarkers(markers);
+
+  test('should summarize the markers', () => {
+    expect(summary).toEqual({ total: 4, todo: 2, fixme: 1, hack: 1, overdue: 1 });
+    expect(formatTodosText(groups, summary, { target: 'src' })).toContain('⏰ overdue since 2025-01-01');
+    expect(formatTodosText([], summarizeMarkers([]), { target: 'src' })).toBe('No TODO, FIXME or HACK markers found in src.');
+  });
+
+  test('should write one Markdown table per group', () => {
+    const markdown = formatTodosMarkdown(groupMarkers([{ ...markers[0], text: 'TODO(alice): a | b' }], 'owner'), summary, { target: 'src' });
+
+    expect(markdown).toContain('## alice (1)');
+    expect(markdown).toContain('| `src/load.js:1` | TODO | TODO(alice): a \\| b | alice | #123 |  |');
+  });
+
+  test('should write CSV rows in group order', () => {
+    expect(formatTodosCsv(groups).split('\n')).toEqual([
+      'path,line,column,tag,owner,issues,due,overdue,text',
+      'src/load.js,1,4,TODO,alice,#123,,false,TODO(alice): migrate to the new API #123',
+      'src/load.js,6,4,TODO,bob,JIRA-42,,false,"TODO [JIRA-42] handle unicode, see @bob"',
+      'src/load.js,3,6,FIXME,,#45,,false,FIXME #45 race in the scheduler',
+      'src/load.js,4,20,HACK,,,2025-01-01,true,HACK until 2025-01-01 remove after the cutover'
+    ]);
+  });
+});
+
+describe('code-mood todos', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-todos-'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'src', 'load.js'), SOURCE);
+    fs.writeFileSync(path.join(tmpDir, 'src', 'jobs.py'), '# TODO(alice): retry by 2000-01-01\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should read the grouping option', () => {
+    expect(parseArgs(['todos', 'src', '--group-by', 'owner'])).toMatchObject({ command: 'todos', paths: ['src'], groupBy: 'owner' });
+  });
+
+  test('should export the markers of a directory as JSON', () => {
+    const report = JSON.parse(execFileSync('node', [cliPath, 'todos', '--group-by', 'owner', '--format', 'json'], { cwd: tmpDir, encoding: 'utf8' }));
+
+    expect(report.summary).toEqual({ total: 5, todo: 3, fixme: 1, hack: 1, overdue: 2 });
+    expect(report.groups[0]).toMatchObject({ name: 'alice' });
+    expect(report.groups[0].markers.map(marker => `${marker.path}:${marker.line}`)).toEqual(['src/jobs.py:1', 'src/load.js:1']);
+  });
+
+  test('should write the report to --out', () => {
+    const output = execFileSync('node', [cliPath, 'todos', 'src', '--format', 'markdown', '--out', 'todos.md'], { cwd: tmpDir, encoding: 'utf8' });
+
+    expect(output).toContain('📝 TODO report written to todos.md (5 markers, 2 overdue)');
+    expect(fs.readFileSync(path.join(tmpDir, 'todos.md'), 'utf8')).toMatch(/^# TODO report: src\n/);
+  });
+
+  test('should reject unknown groupings', () => {
+    let error;
+    try {
+      execFileSync('node', [cliPath, 'todos', '--group-by', 'mood'], { cwd: tmpDir, encoding: 'utf8', stdio: 'pipe' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.status).toBe(1);
+    expect(error.stderr).toContain('Unknown --group-by: mood. Expected one of: file, owner, tag');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the tokenizer
+ */
+
+const { tokenize, groupSegmentsByLine } = require('../lib/tokenizer');
+const { resolveLanguage } = require('../lib/languages');
+
+const typesOf = (code, filename) => tokenize(code, resolveLanguage(filename)).map(segment => [segment.type, segment.text]);
+
+describe('tokenize', () => {
+  test('should split code, strings and comments', () => {
+    expect(typesOf('const s = "a { b"; // note', 'test.js')).toEqual([
+      ['code', 'const s = '],
+      ['string', '"a { b"'],
+      ['code', '; '],
+      ['comment', '// note']
+    ]);
+  });
+
+  test('should treat template interpolations as code', () => {
+    expect(typesOf('`a ${b} c`', 'test.js')).toEqual([
+      ['string', '`a ${'],
+      ['code', 'b'],
+      ['string', '} c`']
+    ]);
+  });
+
+  test('should recognize regex literals but not division', () => {
+    expect(typesOf('x = /a{2}/g', 'test.js')).toEqual([['code', 'x = '], ['regex', '/a{2}/g']]);
+    expect(typesOf('x = a / b / c', 'test.js')).toEqual([['code', 'x = a / b / c']]);
+  });
+
+  test('should split multi-line block comments into one segment per line', () => {
+    const segments = tokenize('/*\nplain\n*/\nx();', resolveLanguage('test.js'));
+
+    expect(segments.map(segment => [segment.type, segment.line])).toEqual([
+      ['comment', 1],
+      ['comment', 2],
+      ['comment', 3],
+      ['code', 4]
+    ]);
+  });
+
+  test('should treat Python docstrings as comments and other triple quotes as strings', () => {
+    const segments = tokenize('"""Doc"""\nx = """text"""', resolveLanguage('test.py'));
+
+    expect(segments.map(segment => segment.type)).toEqual(['comment', 'code', 'string']);
+  });
+
+  test('should only recognize Ruby =begin at line start', () => {
+    expect(typesOf('=begin\nnote\n=end', 'test.rb').map(([type]) => type)).toEqual(['comment', 'comment', 'comment']);
+    expect(typesOf('x =begin', 'test.rb')).toEqual([['code', 'x =begin']]);
+  });
+
+  test('should not mistake Rust lifetimes for char literals', () => {
+    expect(typesOf('fn f<\'a>(c: \'{\')', 'test.rs')).toEqual([
+      ['code', 'fn f<\'a>(c: '],
+      ['string', '\'{\''],
+      ['code', ')']
+    ]);
+  });
+
+  test('should record 1-based columns', () => {
+    const segments = tokenize('x(); // hi', resolveLanguage('test.js'));
+
+    expect(segments[1].column).toBe(6);
+  });
+});
+
+describe('groupSegmentsByLine', () => {
+  test('should return one array per line', () => {
+    const segments = tokenize('a\n\n// b', resolveLanguage('test.js'));
+    const lines = groupSegmentsByLine(segments, 3);
+
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toEqual([]);
+    expect(lines[2][0].type).toBe('comment');
+  });
+});
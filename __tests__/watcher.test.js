@@ -0,0 +1,201 @@
+/**
+ * Tests for watch mode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { watchDirectory, applyChanges, formatChanges, isEditorTempFile } = require('../lib/watcher');
+const { analyzeFile } = require('../src/cli');
+
+describe('isEditorTempFile', () => {
+  test('should recognize editor temp and backup files', () => {
+    for (const name of ['a.js~', '.#a.js', '#a.js#', '.a.js.swp', 'src/.a.js.swx', '4913', 'a.js.tmp', 'a.js___jb_tmp___']) {
+      expect(isEditorTempFile(name)).toBe(true);
+    }
+    expect(isEditorTempFile('src/a.js')).toBe(false);
+    expect(isEditorTempFile('swap.js')).toBe(false);
+  });
+});
+
+describe('watching a directory', () => {
+  let root;
+  let results;
+  const file = name => path.join(root, name);
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(file(name)), { recursive: true });
+    fs.writeFileSync(file(name), content);
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-watch-'));
+    write('utils.js', '// HACK: urgent, broken!!!\nconst a = 1;\n');
+    write('calm.js', '// Clean\nconst b = 1;\n');
+    results = new Map([file('utils.js'), file('calm.js')].map(filePath => [filePath, analyzeFile(filePath)]));
+  });
+
+  /**
+   * Waits for the next call of an onUpdate mock
+   * @param {Function} onUpdate - jest.fn() passed as onUpdate
+   * @returns {Promise<void>} Resolves once it is called
+   */
+  const nextUpdate = onUpdate => new Promise(resolve => onUpdate.mockImplementationOnce(() => resolve()));
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should re-analyze only changed, added and removed files', async () => {
+    const analyzed = [];
+    const analyze = filePath => {
+      analyzed.push(path.basename(filePath));
+      return analyzeFile(filePath);
+    };
+    write('utils.js', '// Clean and simple\nconst a = 1;\n');
+    write('lib/new.py', '# nice\nx = 1\n');
+    fs.unlinkSync(file('calm.js'));
+
+    const changes = await applyChanges(results, [file('utils.js'), file('lib'), file('calm.js')], analyze);
+
+    expect(analyzed.sort()).toEqual(['new.py', 'utils.js']);
+    expect([...results.keys()].sort()).toEqual([file('lib/new.py'), file('utils.js')]);
+    expect(formatChanges(changes, root)).toEqual([
+      'calm.js: removed',
+      expect.stringMatching(/^lib\/new\.py: added, \S+ zen \(70\)$/),
+      expect.stringMatching(/^utils\.js: chaotic → \S+ \w+ \(\+\d+\)$/)
+    ]);
+  });
+
+  test('should drop the files of a removed directory', async () => {
+    write('lib/a.js', '// ok\n');
+    results.set(file('lib/a.js'), analyzeFile(file('lib/a.js')));
+    fs.rmSync(file('lib'), { recursive: true });
+
+    expect((await applyChanges(results, [file('lib')], analyzeFile)).map(change => change.after)).toEqual([null]);
+    expect(results.has(file('lib/a.js'))).toBe(false);
+  });
+
+  test('should list changes in the same path order as a normal run', async () => {
+    write('Zeta.js', '// nice\n');
+    write('alpha.js', '// nice\n');
+
+    const changes = await applyChanges(results, [file('alpha.js'), file('Zeta.js')], analyzeFile);
+    expect(changes.map(change => path.basename(change.absolutePath))).toEqual(['Zeta.js', 'alpha.js']);
+  });
+
+  test('should not report saves that keep the same mood', async () => {
+    expect(await applyChanges(results, [file('utils.js')], analyzeFile)).toEqual([]);
+  });
+
+  test('should not analyze files below the depth limit', async () => {
+    write('a/b/shallow.js', '// ok\n');
+    write('a/b/c/deep.js', '// ok\n');
+    const scan = { root, maxDepth: 2 };
+
+    await applyChanges(results, [file('a'), file('a/b/c/deep.js')], analyzeFile, scan);
+    expect([...results.keys()].map(filePath => path.relative(root, filePath)).sort()).toEqual([
+      path.join('a', 'b', 'shallow.js'),
+      'calm.js',
+      'utils.js'
+    ]);
+  });
+
+  test('should debounce bursts of events and ignore temp files', async () => {
+    jest.useFakeTimers();
+    let emit;
+    const close = jest.fn();
+    const onUpdate = jest.fn();
+    const updated = nextUpdate(onUpdate);
+    const watcher = watchDirectory({
+      root,
+      results,
+      analyze: analyzeFile,
+      onUpdate,
+      debounceMs: 100,
+      watch: (dir, options, listener) => {
+        expect(options).toEqual({ recursive: true });
+        emit = listener;
+        return { close, on: () => {} };
+      }
+    });
+
+    write('utils.js', '// Clean and simple\nconst a = 1;\n');
+    emit('change', 'utils.js');
+    jest.advanceTimersByTime(50);
+    emit('change', 'utils.js');
+    emit('rename', '.utils.js.swp');
+    emit('rename', 'node_modules/dep/index.js');
+    jest.advanceTimersByTime(99);
+    expect(onUpdate).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await updated;
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    expect(onUpdate.mock.calls[0][0].map(change => change.absolutePath)).toEqual([file('utils.js')]);
+
+    watcher.close();
+    expect(close).toHaveBeenCalled();
+  });
+
+  /**
+   * Stands in for fs.watch on a platform without recursive watching
+   * @returns {object} The watch function and the listeners of the watched directories
+   */
+  const nonRecursiveWatch = () => {
+    const listeners = new Map();
+    const watch = (dir, options, listener) => {
+      if (options.recursive) throw Object.assign(new TypeError('The feature watch recursively is unavailable on the current platform'), { code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM' });
+      listeners.set(dir, listener);
+      return {
+        close: () => listeners.delete(dir),
+        on: (event, handler) => listeners.set(`${dir}:${event}`, handler)
+      };
+    };
+    return { watch, listeners };
+  };
+
+  test('should watch each directory where recursive watching is unavailable', async () => {
+    jest.useFakeTimers();
+    write('lib/deep/a.js', '// ok\n');
+    write('node_modules/dep/index.js', '// dep\n');
+    const { watch, listeners } = nonRecursiveWatch();
+    const onUpdate = jest.fn();
+    const watcher = watchDirectory({ root, results, analyze: analyzeFile, onUpdate, debounceMs: 10, watch });
+
+    const watched = () => [...listeners.keys()].filter(key => !key.includes(':')).map(dir => path.relative(root, dir)).sort();
+    expect(watched()).toEqual(['', 'lib', path.join('lib', 'deep')]);
+
+    write('lib/deep/next/b.js', '// nice\n');
+    let updated = nextUpdate(onUpdate);
+    listeners.get(file('lib/deep'))('rename', 'next');
+    jest.advanceTimersByTime(10);
+    await updated;
+    expect(watched()).toContain(path.join('lib', 'deep', 'next'));
+    expect(onUpdate.mock.calls[0][0].map(change => path.relative(root, change.absolutePath))).toEqual([path.join('lib', 'deep', 'next', 'b.js')]);
+
+    fs.rmSync(file('lib'), { recursive: true });
+    updated = nextUpdate(onUpdate);
+    listeners.get(root)('rename', 'lib');
+    jest.advanceTimersByTime(10);
+    await updated;
+    expect(watched()).toEqual(['']);
+
+    watcher.close();
+    expect(watched()).toEqual([]);
+  });
+
+  test('should report errors of the watched directory instead of throwing', () => {
+    const { watch, listeners } = nonRecursiveWatch();
+    write('lib/a.js', '// ok\n');
+    const onError = jest.fn();
+    watchDirectory({ root, results, analyze: analyzeFile, onUpdate: () => {}, onError, watch });
+
+    listeners.get(`${file('lib')}:error`)(new Error('EPERM'));
+    expect(onError).not.toHaveBeenCalled();
+    expect(listeners.has(file('lib'))).toBe(false);
+
+    listeners.get(`${root}:error`)(new Error('EPERM'));
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'EPERM' }));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for parallel analysis
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { analyzeInWorkers, parseJobs } = require('../lib/workerPool');
+const { analyzeFile } = require('../src/cli');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+const samplesDir = path.join(__dirname, '..', 'samples');
+
+describe('parseJobs', () => {
+  test('should accept whole numbers of 1 or more', () => {
+    expect(parseJobs('4')).toBe(4);
+    expect(parseJobs(1)).toBe(1);
+    expect(parseJobs('0')).toBeNull();
+    expect(parseJobs('two')).toBeNull();
+  });
+});
+
+describe('analyzeInWorkers', () => {
+  test('should return the same results as in-process analysis, in input order', async () => {
+    const files = fs.readdirSync(samplesDir).sort().map(file => path.join(samplesDir, file));
+    const paths = [...files, path.join(samplesDir, 'missing.js'), ...files];
+
+    const results = await analyzeInWorkers(paths, { jobs: 2, configOptions: { target: samplesDir } });
+
+    expect(results).toHaveLength(paths.length);
+    expect(results[files.length]).toEqual({ skipped: 'cannot read file (ENOENT)' });
+    expect(results[0]).toEqual(analyzeFile(files[0]));
+    expect(results.map(result => (result.moodResult ? result.moodResult.score : null)))
+      .toEqual(paths.map(file => (fs.existsSync(file) ? analyzeFile(file).moodResult.score : null)));
+  });
+});
+
+describe('--jobs', () => {
+  let root;
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-jobs-'));
+    for (let i = 0; i < 40; i++) {
+      const dir = path.join(root, `pkg${i % 4}`);
+      fs.mkdirSync(dir, { recursive: true });
+      const mood = ['// HACK: broken', '// Clean and simple', '// TODO: later', ''][i % 4];
+      fs.writeFileSync(path.join(dir, `file${i}.js`), `${mood}\nfunction f${i}(a) {\n  return a + ${i};\n}\n`);
+    }
+    fs.writeFileSync(path.join(root, 'plugin.js'), 'module.exports = { name: "odd", score: metrics => (metrics.totalLines % 2 ? -3 : 0) };\n');
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('should print the same report, sorted by path, whatever the number of workers', () => {
+    const run = jobs => execFileSync('node', [cliPath, root, '--format', 'json', '--plugin', path.join(root, 'plugin.js'), '--exclude', 'plugin.js', '--jobs', jobs, '--no-cache'], { encoding: 'utf8' });
+    const sequential = run('1');
+    const parallel = run('3');
+    const paths = JSON.parse(parallel).files.map(file => file.path);
+
+    expect(parallel).toBe(sequential);
+    expect(paths).toHaveLength(40);
+    expect(paths).toEqual([...paths].sort());
+  });
+
+  test('should reject an invalid number of jobs', () => {
+    expect(() => execFileSync('node', [cliPath, root, '--jobs', '0', '--no-cache'], { stdio: 'pipe' })).toThrow('Invalid --jobs: 0');
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Worker thread of the parallel analysis
+ * Loads the configuration once, then analyzes each batch of files it is sent
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { analyzeSource } = require('./analyzer');
+const { loadConfig } = require('./config');
+const { readSourceFile } = require('./fileUtils');
+
+const { config } = loadConfig(workerData.configOptions);
+
+parentPort.on('message', ({ start, filePaths }) => {
+  const results = filePaths.map(filePath => {
+    const source = readSourceFile(filePath, { maxFileSize: config.maxFileSize });
+    if (source.skipped) return { skipped: source.skipped };
+    return source.code ? analyzeSource(source.code, filePath, config) : null;
+  });
+  parentPort.postMessage({ start, results });
+});
@@ -3,6 +3,14 @@
  * Analyzes code files and determines their "mood" based on various metrics
  */
 
+const path = require('path');
+const { resolveLanguage } = require('./languages');
+const { tokenize, groupSegmentsByLine } = require('./tokenizer');
+const { findFunctions } = require('./functions');
+const { BUILTIN_PLUGINS, toAdjustments, measureNesting } = require('./plugins');
+const { findDirectives, applySuppressions } = require('./suppressions');
+const { isTestPath } = require('./testPairing');
+
 const MOOD_INDICATORS = {
   // Positive indicators
   positive: {
@@ -26,6 +34,91 @@ const MOOD_INDICATORS = {
   }
 };
 
+/** Points added to (or, when negative, removed from) the mood score by each signal */
+const DEFAULT_WEIGHTS = {
+  baseScore: 50,
+  highCommentRatio: 15,
+  mediumCommentRatio: 5,
+  lowCommentRatio: -10,
+  positiveWord: 5,
+  negativeWord: -8,
+  stressWord: -10,
+  todo: -3,
+  fixme: -5,
+  hack: -7,
+  deepNesting: -15,
+  moderateNesting: -5,
+  veryLongLine: -10,
+  longLine: -5,
+  excessivePunctuation: -15,
+  tests: 10
+};
+
+/** Limits at which a signal starts counting, and the zen/chaotic/mysterious conditions */
+const DEFAULT_THRESHOLDS = {
+  highCommentRatio: 0.2,
+  mediumCommentRatio: 0.1,
+  lowCommentRatio: 0.05,
+  deepNesting: 5,
+  moderateNesting: 3,
+  veryLongLine: 150,
+  longLine: 100,
+  excessivePunctuation: 0.5,
+  zenCommentRatio: 0.15,
+  zenMaxNesting: 3,
+  zenMinScore: 60,
+  chaoticNesting: 5,
+  chaoticPunctuation: 0.3,
+  chaoticMaxScore: 40,
+  mysteriousCommentRatio: 0.02,
+  mysteriousMinLines: 50,
+  findingNestingDepth: 4,
+  findingLineLength: 120,
+  todoPileUp: 3
+};
+
+/** Lowest score of each mood band; anything below `frustrated` is sad */
+const MOOD_CUTOFFS = {
+  ecstatic: 80,
+  happy: 65,
+  content: 55,
+  neutral: 45,
+  stressed: 35,
+  frustrated: 25
+};
+
+/** Scoring configuration used when none is given */
+const DEFAULT_SCORING = {
+  words: {
+    positive: MOOD_INDICATORS.positive.words,
+    negative: MOOD_INDICATORS.negative.words,
+    stress: MOOD_INDICATORS.stress.words
+  },
+  weights: DEFAULT_WEIGHTS,
+  thresholds: DEFAULT_THRESHOLDS,
+  moods: MOOD_CUTOFFS,
+  sentimentInStrings: false,
+  plugins: []
+};
+
+/** Finding kind reported for each configured word list */
+const MOOD_WORD_KINDS = {
+  positive: 'positive',
+  negative: 'negative',
+  stress: 'stress'
+};
+
+/**
+ * Builds a pattern matching any of the words as whole words
+ * @param {string[]} words - Words to match
+ * @returns {RegExp|null} Global case-insensitive pattern, or null for an empty list
+ */
+function wordPattern(words) {
+  if (words.length === 0) return null;
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi');
+}
+
 const MOOD_EMOJIS = {
   ecstatic: '🎉',
   happy: '😊',
@@ -52,16 +145,74 @@ const MOOD_DESCRIPTIONS = {
   mysterious: 'Enigmatic code that keeps its secrets close. What does it really do?'
 };
 
+/**
+ * Lists the plugins to run for a configuration, built-in ones first
+ * @param {object} config - Scoring configuration
+ * @returns {object[]} Plugins
+ */
+function pluginsFor(config) {
+  return [...BUILTIN_PLUGINS, ...(config.plugins || [])];
+}
+
+/**
+ * Builds the code-only view of a line: comments become spaces and literal contents
+ * become quotes, so columns are preserved and patterns still see `x = "..."`
+ * without ever matching inside the literal
+ * @param {object[]} segments - Segments on the line
+ * @returns {string} Masked text of the line
+ */
+function maskLine(segments) {
+  return segments
+    .map(segment => {
+      if (segment.type === 'code') return segment.text;
+      return (segment.type === 'comment' ? ' ' : '"').repeat(segment.text.length);
+    })
+    .join('');
+}
+
+/** Finding kinds counted by a metric, with the metric each one counts towards */
+const FINDING_METRICS = {
+  todo: 'todoCount',
+  fixme: 'fixmeCount',
+  hack: 'hackCount',
+  positive: 'positiveWords',
+  negative: 'negativeWords',
+  stress: 'stressWords'
+};
+
+/**
+ * Counts the findings of one kind
+ * @param {object[]} findings - Findings of a file
+ * @param {string} kind - Finding kind
+ * @returns {number} Number of findings of that kind
+ */
+function countFindings(findings, kind) {
+  return findings.filter(finding => finding.kind === kind).length;
+}
+
 /**
  * Analyzes a code string and returns mood metrics
  * @param {string} code - The source code to analyze
  * @param {string} filename - Optional filename for context
+ * @param {object} options - Analysis options
+ * @param {object} options.config - Scoring configuration, see DEFAULT_SCORING
+ * @param {boolean} options.sentimentInStrings - Also count mood words inside string literals
+ *   (defaults to the configuration's setting)
  * @returns {object} Analysis results
  */
-function analyzeCode(code, filename = 'unknown') {
+function analyzeCode(code, filename = 'unknown', options = {}) {
+  const config = options.config || DEFAULT_SCORING;
+  const { thresholds } = config;
+  const sentimentInStrings = options.sentimentInStrings ?? config.sentimentInStrings;
+  const moodWordPatterns = Object.entries(MOOD_WORD_KINDS)
+    .map(([kind, list]) => [kind, wordPattern(config.words[list])])
+    .filter(([, pattern]) => pattern);
   const lines = code.split('\n');
+  const language = resolveLanguage(filename);
+  const segmentsByLine = groupSegmentsByLine(tokenize(code, language), lines.length);
   const metrics = {
     filename,
+    language: language.id,
     totalLines: lines.length,
     codeLines: 0,
     commentLines: 0,
@@ -80,187 +231,391 @@ function analyzeCode(code, filename = 'unknown') {
     functionCount: 0,
     variableDeclarations: 0,
     nestingDepth: 0,
-    hasTests: false
+    isTest: false,
+    hasTests: false,
+    testFiles: [],
+    functions: [],
+    findings: [],
+    suppressedCount: 0,
+    unusedSuppressions: []
   };
 
-  let currentDepth = 0;
-  let maxDepth = 0;
   let totalLength = 0;
+  const lineLengths = [];
+  const commentTexts = [];
+  const stringTexts = [];
+  const maskedLines = [];
 
-  for (const line of lines) {
+  lines.forEach((line, index) => {
     const trimmed = line.trim();
-    
+    const segments = segmentsByLine[index];
+    const masked = maskLine(segments);
+    const comments = segments.filter(segment => segment.type === 'comment').map(segment => segment.text);
+    const strings = segments.filter(segment => segment.type === 'string').map(segment => segment.text);
+
     if (trimmed === '') {
       metrics.blankLines++;
-    } else if (trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*')) {
+    } else if (comments.length > 0 && masked.trim() === '') {
       metrics.commentLines++;
     } else {
       metrics.codeLines++;
     }
 
     // Track line lengths
+    lineLengths.push(trimmed.length);
     if (trimmed.length > 0) {
       totalLength += trimmed.length;
       metrics.longestLine = Math.max(metrics.longestLine, trimmed.length);
       metrics.shortestNonEmptyLine = Math.min(metrics.shortestNonEmptyLine, trimmed.length);
     }
 
-    // Count punctuation mood indicators
-    metrics.exclamationMarks += (line.match(/!/g) || []).length;
-    metrics.questionMarks += (line.match(/\?/g) || []).length;
+    // Count punctuation mood indicators in prose only, not in operators
+    for (const prose of [...comments, ...strings]) {
+      metrics.exclamationMarks += (prose.match(/!/g) || []).length;
+      metrics.questionMarks += (prose.match(/\?/g) || []).length;
+    }
 
-    // Track nesting depth
-    currentDepth += (line.match(/{/g) || []).length;
-    currentDepth -= (line.match(/}/g) || []).length;
-    maxDepth = Math.max(maxDepth, currentDepth);
+    // Locate mood words in comments (and optionally strings), never in identifiers
+    for (const segment of segments) {
+      if (segment.type !== 'comment' && !(segment.type === 'string' && sentimentInStrings)) continue;
+      for (const [kind, pattern] of moodWordPatterns) {
+        for (const match of segment.text.matchAll(pattern)) {
+          metrics.findings.push({ kind, text: match[0], line: index + 1, column: segment.column + match.index, context: segment.text.trim() });
+        }
+      }
+    }
 
-    // Count functions: matches 'function name', arrow functions '=>', and function expressions
-    if (/function\s+\w+|=>\s*{|\bconst\s+\w+\s*=\s*(?:async\s+)?(?:function|\()/.test(line)) {
-      metrics.functionCount++;
+    if (trimmed.length > thresholds.findingLineLength) {
+      metrics.findings.push({ kind: 'long-line', text: `line length ${trimmed.length}`, line: index + 1, column: 1, context: trimmed });
     }
-    if (/(?:const|let|var)\s+\w+/.test(line)) {
+
+    // Count declarations using the language's own patterns
+    if (language.variablePatterns.some(pattern => pattern.test(masked))) {
       metrics.variableDeclarations++;
     }
-  }
+
+    commentTexts.push(...comments);
+    stringTexts.push(...strings);
+    maskedLines.push(masked);
+  });
 
   const nonBlankLines = metrics.totalLines - metrics.blankLines;
   metrics.avgLineLength = nonBlankLines > 0 ? Math.round(totalLength / nonBlankLines) : 0;
-  metrics.nestingDepth = maxDepth;
   if (metrics.shortestNonEmptyLine === Infinity) metrics.shortestNonEmptyLine = 0;
 
-  // Count mood words
-  const lowerCode = code.toLowerCase();
-  
-  for (const word of MOOD_INDICATORS.positive.words) {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    metrics.positiveWords += (code.match(regex) || []).length;
+  // Analyze each function on its own
+  metrics.functions = findFunctions(maskedLines, language).map(fn => ({ ...fn, ...determineFunctionMood(fn, config) }));
+  metrics.functionCount = metrics.functions.length;
+
+  // Test files are told by name here; test directories and whether tests cover the file are
+  // only known project-wide, see pairTestFiles
+  metrics.isTest = isTestPath(path.basename(filename));
+  metrics.hasTests = false;
+
+  // Let plugins (including the built-in marker and nesting ones) add their metrics
+  const source = { code, filename, language, lines, segmentsByLine, maskedLines, commentTexts, stringTexts };
+  for (const plugin of pluginsFor(config)) {
+    if (plugin.analyze) plugin.analyze(source, metrics, config);
   }
-  
-  for (const word of MOOD_INDICATORS.negative.words) {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    metrics.negativeWords += (code.match(regex) || []).length;
+  metrics.findings.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  // Drop the hits silenced by code-mood-disable comments, then derive the counters from what is left
+  const suppressions = applySuppressions(metrics.findings, findDirectives(segmentsByLine));
+  metrics.findings = suppressions.findings;
+  metrics.suppressedCount = suppressions.suppressed.length;
+  metrics.unusedSuppressions = suppressions.unused;
+  for (const [kind, metric] of Object.entries(FINDING_METRICS)) {
+    metrics[metric] = countFindings(metrics.findings, kind);
   }
 
-  for (const word of MOOD_INDICATORS.stress.words) {
-    const regex = new RegExp(`\\b${word}\\b`, 'gi');
-    metrics.stressWords += (code.match(regex) || []).length;
+  // Silenced long lines and deeply nested blocks no longer count towards the measures scored from them
+  const silenced = kind => new Set(suppressions.suppressed.filter(finding => finding.kind === kind).map(finding => `${finding.line}:${finding.column}`));
+  const silencedLines = silenced('long-line');
+  if (silencedLines.size > 0) {
+    metrics.longestLine = Math.max(0, ...lineLengths.filter((length, index) => !silencedLines.has(`${index + 1}:1`)));
+  }
+  const silencedBlocks = silenced('deep-nesting');
+  if (silencedBlocks.size > 0) {
+    metrics.nestingDepth = measureNesting(segmentsByLine, thresholds.findingNestingDepth, (line, column) => silencedBlocks.has(`${line}:${column}`)).depth;
   }
 
-  // Count specific markers
-  metrics.todoCount = (lowerCode.match(/todo/g) || []).length;
-  metrics.fixmeCount = (lowerCode.match(/fixme/g) || []).length;
-  metrics.hackCount = (lowerCode.match(/hack/g) || []).length;
+  return metrics;
+}
+
+/**
+ * Splits the metrics of a file into groups of lines, such as the lines of each
+ * author or the lines added by a change, so each group can be scored on its own
+ * @param {string} code - Source code of the file
+ * @param {object} metrics - Metrics from analyzeCode
+ * @param {Function} keyOfLine - Called with a 1-based line number; returns the line's group, or null to leave it out
+ * @returns {Map<string, object>} Metrics of each group, ready for determineMood
+ */
+function sliceMetrics(code, metrics, keyOfLine) {
+  const lines = code.split('\n');
+  const segmentsByLine = groupSegmentsByLine(tokenize(code, resolveLanguage(metrics.filename)), lines.length);
+  const slices = new Map();
+
+  const sliceFor = lineNumber => {
+    const key = keyOfLine(lineNumber);
+    if (key === null || key === undefined) return null;
+    if (!slices.has(key)) {
+      slices.set(key, {
+        filename: metrics.filename,
+        language: metrics.language,
+        totalLines: 0,
+        codeLines: 0,
+        commentLines: 0,
+        blankLines: 0,
+        longestLine: 0,
+        exclamationMarks: 0,
+        questionMarks: 0,
+        positiveWords: 0,
+        negativeWords: 0,
+        stressWords: 0,
+        todoCount: 0,
+        fixmeCount: 0,
+        hackCount: 0,
+        functionCount: 0,
+        nestingDepth: 0,
+        hasTests: false,
+        findings: []
+      });
+    }
+    return slices.get(key);
+  };
+
+  lines.forEach((line, index) => {
+    const slice = sliceFor(index + 1);
+    if (!slice) return;
+    const trimmed = line.trim();
+    const segments = segmentsByLine[index];
+    slice.totalLines++;
+    if (trimmed === '') slice.blankLines++;
+    else if (segments.some(segment => segment.type === 'comment') && maskLine(segments).trim() === '') slice.commentLines++;
+    else slice.codeLines++;
+    slice.longestLine = Math.max(slice.longestLine, trimmed.length);
+  });
+
+  for (const finding of metrics.findings) {
+    const slice = sliceFor(finding.line);
+    if (!slice) continue;
+    slice.findings.push(finding);
+    if (FINDING_METRICS[finding.kind]) slice[FINDING_METRICS[finding.kind]]++;
+  }
 
-  // Check for test patterns
-  metrics.hasTests = /(?:describe|it|test|expect|assert)\s*\(/.test(code);
+  for (const fn of metrics.functions) {
+    const slice = sliceFor(fn.startLine);
+    if (slice) slice.functionCount++;
+  }
 
-  return metrics;
+  return slices;
+}
+
+/**
+ * Maps a mood score onto the score bands shared by files and functions
+ * @param {number} score - Mood score
+ * @param {object} cutoffs - Lowest score of each band, see MOOD_CUTOFFS
+ * @returns {string} Mood name
+ */
+function moodForScore(score, cutoffs = MOOD_CUTOFFS) {
+  const band = Object.entries(cutoffs)
+    .sort((a, b) => b[1] - a[1])
+    .find(([, cutoff]) => score >= cutoff);
+  return band ? band[0] : 'sad';
+}
+
+/**
+ * Determines the mood of a single function from its size and complexity
+ * @param {object} fn - Function metrics from findFunctions
+ * @param {object} config - Scoring configuration, see DEFAULT_SCORING
+ * @returns {object} { mood, score, emoji }
+ */
+function determineFunctionMood(fn, config = DEFAULT_SCORING) {
+  let score = 65;
+
+  // Small, simple functions are a joy
+  if (fn.cyclomaticComplexity <= 3 && fn.length <= 20 && fn.parameterCount <= 3) score += 15;
+
+  if (fn.cyclomaticComplexity > 10) score -= 20;
+  else if (fn.cyclomaticComplexity > 5) score -= 10;
+
+  if (fn.cognitiveComplexity > 15) score -= 25;
+  else if (fn.cognitiveComplexity > 8) score -= 10;
+
+  if (fn.parameterCount > 7) score -= 30;
+  else if (fn.parameterCount > 5) score -= 20;
+  else if (fn.parameterCount > 3) score -= 5;
+
+  if (fn.length > 60) score -= 15;
+  else if (fn.length > 30) score -= 5;
+
+  if (fn.nestingDepth > 4) score -= 20;
+  else if (fn.nestingDepth > 3) score -= 5;
+
+  const isChaotic = fn.nestingDepth > 4 || fn.cognitiveComplexity > 15;
+  const mood = isChaotic && score < 40 ? 'chaotic' : moodForScore(score, config.moods);
+
+  return {
+    mood,
+    score: Math.max(0, Math.min(100, score)),
+    emoji: MOOD_EMOJIS[mood]
+  };
+}
+
+/**
+ * Formats a count with a singular or plural noun
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 hack" or "3 hacks"
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
 }
 
 /**
  * Determines the mood based on collected metrics
  * @param {object} metrics - The analysis metrics
- * @returns {object} Mood determination with score and description
+ * @param {object} config - Scoring configuration, see DEFAULT_SCORING
+ * @returns {object} Mood determination with score and description, the ordered
+ *   `contributions` ({ label, points }) that add up to the score, and the `moodRule`
+ *   ({ type, description }) that chose the mood
  */
-function determineMood(metrics) {
-  let moodScore = 50; // Start neutral
+function determineMood(metrics, config = DEFAULT_SCORING) {
+  const { weights, thresholds } = config;
+  const contributions = [];
+  const contribute = (label, points) => {
+    if (points !== 0) contributions.push({ label, points });
+  };
+
+  contribute('base score', weights.baseScore); // Start neutral
 
   // Comment ratio affects zen
   const commentRatio = metrics.commentLines / (metrics.codeLines || 1);
-  if (commentRatio >= 0.2) moodScore += 15;
-  else if (commentRatio >= 0.1) moodScore += 5;
-  else if (commentRatio < 0.05) moodScore -= 10;
+  const ratioLabel = `comment ratio ${commentRatio.toFixed(2)}`;
+  if (commentRatio >= thresholds.highCommentRatio) contribute(ratioLabel, weights.highCommentRatio);
+  else if (commentRatio >= thresholds.mediumCommentRatio) contribute(ratioLabel, weights.mediumCommentRatio);
+  else if (commentRatio < thresholds.lowCommentRatio) contribute(ratioLabel, weights.lowCommentRatio);
 
   // Positive vs negative words
-  moodScore += metrics.positiveWords * 5;
-  moodScore -= metrics.negativeWords * 8;
-  moodScore -= metrics.stressWords * 10;
-
-  // TODOs and FIXMEs indicate work stress
-  moodScore -= metrics.todoCount * 3;
-  moodScore -= metrics.fixmeCount * 5;
-  moodScore -= metrics.hackCount * 7;
-
-  // Deep nesting is stressful
-  if (metrics.nestingDepth > 5) moodScore -= 15;
-  else if (metrics.nestingDepth > 3) moodScore -= 5;
+  contribute(plural(metrics.positiveWords, 'positive word'), metrics.positiveWords * weights.positiveWord);
+  contribute(plural(metrics.negativeWords, 'negative word'), metrics.negativeWords * weights.negativeWord);
+  contribute(plural(metrics.stressWords, 'stress word'), metrics.stressWords * weights.stressWord);
+
+  // Plugin adjustments (TODOs, hacks and nesting among them), which may also claim a mood outright
+  const adjustments = pluginsFor(config).flatMap(plugin => (plugin.score ? toAdjustments(plugin.score(metrics, config), plugin) : []));
+  for (const adjustment of adjustments) {
+    if (adjustment.mood && !MOOD_EMOJIS[adjustment.mood]) {
+      throw new Error(`Plugin ${adjustment.plugin} returned unknown mood "${adjustment.mood}"`);
+    }
+    contribute(adjustment.reason, adjustment.points);
+  }
+  const pluginMood = adjustments.find(adjustment => adjustment.mood);
 
   // Very long lines suggest frustration
-  if (metrics.longestLine > 150) moodScore -= 10;
-  else if (metrics.longestLine > 100) moodScore -= 5;
+  const lineLabel = `longest line ${metrics.longestLine} chars`;
+  if (metrics.longestLine > thresholds.veryLongLine) contribute(lineLabel, weights.veryLongLine);
+  else if (metrics.longestLine > thresholds.longLine) contribute(lineLabel, weights.longLine);
 
   // Excessive punctuation
   const punctuationDensity = (metrics.exclamationMarks + metrics.questionMarks) / (metrics.totalLines || 1);
-  if (punctuationDensity > 0.5) moodScore -= 15;
+  if (punctuationDensity > thresholds.excessivePunctuation) {
+    contribute(`punctuation density ${punctuationDensity.toFixed(2)} per line`, weights.excessivePunctuation);
+  }
 
   // Tests are positive!
-  if (metrics.hasTests) moodScore += 10;
+  if (metrics.hasTests) contribute('tests detected', weights.tests);
+
+  const moodScore = contributions.reduce((total, contribution) => total + contribution.points, 0);
+  const score = Math.max(0, Math.min(100, moodScore));
 
   // Determine mood category
   let mood;
-  const isZen = commentRatio >= 0.15 && metrics.nestingDepth <= 3 && metrics.hackCount === 0;
-  const isChaotic = metrics.nestingDepth > 5 || punctuationDensity > 0.3;
-  const isMysterious = commentRatio < 0.02 && metrics.totalLines > 50;
-
-  if (isZen && moodScore >= 60) {
+  let moodRule;
+  const isZen = commentRatio >= thresholds.zenCommentRatio && metrics.nestingDepth <= thresholds.zenMaxNesting && metrics.hackCount === 0;
+  const isChaotic = metrics.nestingDepth > thresholds.chaoticNesting || punctuationDensity > thresholds.chaoticPunctuation;
+  const isMysterious = commentRatio < thresholds.mysteriousCommentRatio && metrics.totalLines > thresholds.mysteriousMinLines;
+
+  if (pluginMood) {
+    mood = pluginMood.mood;
+    moodRule = { type: 'plugin', description: `${pluginMood.plugin} plugin chose ${mood}: ${pluginMood.reason}` };
+  } else if (isZen && moodScore >= thresholds.zenMinScore) {
     mood = 'zen';
-  } else if (isChaotic && moodScore < 40) {
+    moodRule = {
+      type: 'override',
+      description: `zen: comment ratio ${commentRatio.toFixed(2)} >= ${thresholds.zenCommentRatio}, nesting ${metrics.nestingDepth} <= ${thresholds.zenMaxNesting}, no hacks and score ${moodScore} >= ${thresholds.zenMinScore}`
+    };
+  } else if (isChaotic && moodScore < thresholds.chaoticMaxScore) {
     mood = 'chaotic';
+    const cause = metrics.nestingDepth > thresholds.chaoticNesting
+      ? `nesting ${metrics.nestingDepth} > ${thresholds.chaoticNesting}`
+      : `punctuation density ${punctuationDensity.toFixed(2)} > ${thresholds.chaoticPunctuation}`;
+    moodRule = { type: 'override', description: `chaotic: ${cause} and score ${moodScore} < ${thresholds.chaoticMaxScore}` };
   } else if (isMysterious) {
     mood = 'mysterious';
-  } else if (moodScore >= 80) {
-    mood = 'ecstatic';
-  } else if (moodScore >= 65) {
-    mood = 'happy';
-  } else if (moodScore >= 55) {
-    mood = 'content';
-  } else if (moodScore >= 45) {
-    mood = 'neutral';
-  } else if (moodScore >= 35) {
-    mood = 'stressed';
-  } else if (moodScore >= 25) {
-    mood = 'frustrated';
+    moodRule = {
+      type: 'override',
+      description: `mysterious: comment ratio ${commentRatio.toFixed(2)} < ${thresholds.mysteriousCommentRatio} over ${metrics.totalLines} lines`
+    };
   } else {
-    mood = 'sad';
+    mood = moodForScore(moodScore, config.moods);
+    const cutoff = config.moods[mood];
+    moodRule = {
+      type: 'band',
+      description: cutoff === undefined
+        ? `score ${score} is below every mood band`
+        : `score ${score} is in the ${mood} band (${cutoff} and up)`
+    };
   }
 
   return {
     mood,
-    score: Math.max(0, Math.min(100, moodScore)),
+    score,
     emoji: MOOD_EMOJIS[mood],
     description: MOOD_DESCRIPTIONS[mood],
     isZen,
     isChaotic,
-    isMysterious
+    isMysterious,
+    contributions,
+    moodRule
   };
 }
 
+/**
+ * Formats the score breakdown of a mood result
+ * @param {object} moodResult - The mood determination result
+ * @returns {string[]} One line per contribution, then the total and the mood rule
+ */
+function formatExplanation(moodResult) {
+  const total = moodResult.contributions.reduce((sum, contribution) => sum + contribution.points, 0);
+  const width = Math.max(0, ...moodResult.contributions.map(contribution => contribution.label.length));
+  const lines = moodResult.contributions.map(contribution =>
+    `${contribution.label.padEnd(width)} → ${contribution.points > 0 ? '+' : ''}${contribution.points}`
+  );
+  lines.push(`${'total'.padEnd(width)} = ${total}${total === moodResult.score ? '' : ` (clamped to ${moodResult.score})`}`);
+  lines.push(`Mood: ${moodResult.moodRule.description}`);
+  return lines;
+}
+
 /**
  * Generates suggestions based on the mood analysis
  * @param {object} metrics - The analysis metrics
  * @param {object} moodResult - The mood determination result
+ * @param {object} config - Scoring configuration, see DEFAULT_SCORING
  * @returns {string[]} Array of suggestions
  */
-function generateSuggestions(metrics, moodResult) {
+function generateSuggestions(metrics, moodResult, config = DEFAULT_SCORING) {
+  const { thresholds } = config;
   const suggestions = [];
 
-  if (metrics.commentLines / (metrics.codeLines || 1) < 0.1) {
+  if (metrics.commentLines / (metrics.codeLines || 1) < thresholds.mediumCommentRatio) {
     suggestions.push('💡 Consider adding more comments to explain your code\'s intent');
   }
 
-  if (metrics.nestingDepth > 4) {
-    suggestions.push('🔄 Deep nesting detected! Consider extracting some logic into separate functions');
-  }
-
-  if (metrics.hackCount > 0) {
-    suggestions.push('🔧 You have ' + metrics.hackCount + ' hack(s) in your code. Time for some cleanup?');
-  }
-
-  if (metrics.todoCount > 3) {
-    suggestions.push('📝 Lots of TODOs piling up! Maybe tackle a few today?');
+  for (const plugin of pluginsFor(config)) {
+    if (plugin.suggest) suggestions.push(...(plugin.suggest(metrics, moodResult, config) || []));
   }
 
-  if (metrics.longestLine > 120) {
+  if (metrics.longestLine > thresholds.findingLineLength) {
     suggestions.push('📏 Some lines are quite long. Consider breaking them up for readability');
   }
 
@@ -272,21 +627,104 @@ function generateSuggestions(metrics, moodResult) {
     suggestions.push('🔮 Your code is shrouded in mystery. Future you will thank present you for comments!');
   }
 
-  if (!metrics.hasTests && metrics.functionCount > 3) {
+  if (!metrics.hasTests && !metrics.isTest && metrics.functionCount > 3) {
     suggestions.push('🧪 No tests detected! Consider adding some to ensure reliability');
   }
 
   return suggestions;
 }
 
+/**
+ * Analyzes source code and returns the result
+ * @param {string} code - Source code
+ * @param {string} filePath - Path of the code, used to pick its language
+ * @param {object} [config] - Scoring configuration from loadConfig
+ * @returns {object} Analysis result of shape { metrics, moodResult, suggestions }
+ */
+function analyzeSource(code, filePath, config = DEFAULT_SCORING) {
+  const metrics = analyzeCode(code, path.basename(filePath), { config });
+  const moodResult = determineMood(metrics, config);
+  const suggestions = generateSuggestions(metrics, moodResult, config);
+
+  return { metrics, moodResult, suggestions };
+}
+
+/**
+ * Calculates aggregate mood for multiple files
+ * @param {object[]} results - Array of analysis results
+ * @returns {object} Aggregate result
+ */
+function calculateAggregateMood(results) {
+  const totals = {
+    totalLines: 0,
+    codeLines: 0,
+    commentLines: 0,
+    positiveWords: 0,
+    negativeWords: 0,
+    stressWords: 0,
+    todoCount: 0,
+    fixmeCount: 0,
+    hackCount: 0,
+    functionCount: 0,
+    suppressedCount: 0
+  };
+
+  let totalScore = 0;
+  const moodCounts = {};
+
+  for (const result of results) {
+    totals.totalLines += result.metrics.totalLines;
+    totals.codeLines += result.metrics.codeLines;
+    totals.commentLines += result.metrics.commentLines;
+    totals.positiveWords += result.metrics.positiveWords;
+    totals.negativeWords += result.metrics.negativeWords;
+    totals.stressWords += result.metrics.stressWords;
+    totals.todoCount += result.metrics.todoCount;
+    totals.fixmeCount += result.metrics.fixmeCount;
+    totals.hackCount += result.metrics.hackCount;
+    totals.functionCount += result.metrics.functionCount;
+    totals.suppressedCount += result.metrics.suppressedCount || 0;
+    totalScore += result.moodResult.score;
+    
+    moodCounts[result.moodResult.mood] = (moodCounts[result.moodResult.mood] || 0) + 1;
+  }
+
+  const avgScore = Math.round(totalScore / results.length);
+  const dominantMood = Object.entries(moodCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+  return {
+    fileCount: results.length,
+    totals,
+    avgScore,
+    dominantMood,
+    moodCounts
+  };
+}
+
+/**
+ * Picks the functions most in need of attention, worst first
+ * @param {object} metrics - The analysis metrics
+ * @param {number} limit - Maximum number of functions to return
+ * @returns {object[]} Functions scoring below the happy band
+ */
+function getWorstFunctions(metrics, limit = 3) {
+  return (metrics.functions || [])
+    .filter(fn => fn.score < 65)
+    .sort((a, b) => a.score - b.score || b.cognitiveComplexity - a.cognitiveComplexity)
+    .slice(0, limit);
+}
+
 /**
  * Formats the analysis results for display
  * @param {object} metrics - The analysis metrics
  * @param {object} moodResult - The mood determination result
  * @param {string[]} suggestions - The generated suggestions
+ * @param {object} options - Display options
+ * @param {boolean} options.explain - Include the score breakdown
+ * @param {boolean} options.details - Include every finding with its location
  * @returns {string} Formatted output string
  */
-function formatResults(metrics, moodResult, suggestions) {
+function formatResults(metrics, moodResult, suggestions, options = {}) {
   const divider = '═'.repeat(50);
   const thinDivider = '─'.repeat(50);
   
@@ -320,6 +758,37 @@ ${thinDivider}
   FIXMEs:          ${metrics.fixmeCount}
   Hacks:           ${metrics.hackCount}
 `;
+  if (metrics.suppressedCount > 0) output += `  Suppressed:      ${metrics.suppressedCount} 🔕\n`;
+
+  if (options.explain) {
+    output += `
+${thinDivider}
+🧮 SCORE BREAKDOWN
+${thinDivider}
+${formatExplanation(moodResult).map(line => '  ' + line).join('\n')}
+`;
+  }
+
+  if (options.details && metrics.findings.length > 0) {
+    output += `
+${thinDivider}
+📍 FINDINGS
+${thinDivider}
+${metrics.findings.map(finding => `  ${`${finding.line}:${finding.column}`.padEnd(8)} ${finding.kind.padEnd(13)} ${finding.text}
+      ${finding.context}`).join('\n')}
+`;
+  }
+
+  const worstFunctions = getWorstFunctions(metrics);
+  if (worstFunctions.length > 0) {
+    output += `
+${thinDivider}
+🔥 FUNCTIONS NEEDING ATTENTION
+${thinDivider}
+${worstFunctions.map(fn => `  ${fn.emoji} ${fn.name} (line ${fn.startLine}) - ${fn.mood} (${fn.score})
+      cyclomatic ${fn.cyclomaticComplexity}, cognitive ${fn.cognitiveComplexity}, ${fn.parameterCount} params, nesting ${fn.nestingDepth}, ${fn.length} lines`).join('\n')}
+`;
+  }
 
   if (suggestions.length > 0) {
     output += `
@@ -339,9 +808,16 @@ ${divider}
 
 module.exports = {
   analyzeCode,
+  analyzeSource,
   determineMood,
+  determineFunctionMood,
+  getWorstFunctions,
   generateSuggestions,
+  calculateAggregateMood,
+  sliceMetrics,
   formatResults,
+  formatExplanation,
+  DEFAULT_SCORING,
   MOOD_EMOJIS,
   MOOD_DESCRIPTIONS
 };
@@ -0,0 +1,177 @@
+/**
+ * Mood by author for the Code Mood Analyzer
+ * Attributes each line of a file to its author with `git blame --porcelain`
+ * and scores the lines of every author on their own
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { determineMood, calculateAggregateMood, sliceMetrics, DEFAULT_SCORING, MOOD_EMOJIS } = require('./analyzer');
+
+/** Largest blame output accepted, in bytes */
+const MAX_BLAME_OUTPUT = 256 * 1024 * 1024;
+
+/**
+ * Parses `git blame --porcelain` output
+ * @param {string} output - Porcelain output
+ * @returns {object[]} Author of each line, of shape { name, email }, indexed by line number - 1
+ */
+function parseBlamePorcelain(output) {
+  const commits = new Map();
+  const authors = [];
+  const lines = output.split('\n');
+  let i = 0;
+
+  while (i < lines.length && lines[i]) {
+    const [sha, , finalLine] = lines[i].split(' ');
+    if (!commits.has(sha)) commits.set(sha, { name: '', email: '' });
+    const commit = commits.get(sha);
+    i++;
+
+    // Commit details only follow the first line blamed on each commit
+    for (; i < lines.length && !lines[i].startsWith('\t'); i++) {
+      if (lines[i].startsWith('author ')) commit.name = lines[i].slice('author '.length);
+      else if (lines[i].startsWith('author-mail ')) commit.email = lines[i].slice('author-mail '.length).replace(/^<|>$/g, '');
+    }
+    i++; // the line's content
+
+    authors[Number(finalLine) - 1] = commit;
+  }
+
+  return authors;
+}
+
+/**
+ * Finds the author of every line of a file
+ * @param {string} filePath - File tracked by git
+ * @returns {object[]|null} Author of each line, or null if git cannot blame the file
+ */
+function blameFile(filePath) {
+  try {
+    const output = execFileSync('git', ['blame', '--porcelain', '--', path.basename(filePath)], {
+      cwd: path.dirname(filePath),
+      encoding: 'utf8',
+      maxBuffer: MAX_BLAME_OUTPUT,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return parseBlamePorcelain(output);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Picks the secret key that anonymized identities are derived from
+ * @param {boolean|string|Buffer} anonymize - False, true for a random key, or the key itself
+ * @returns {string|Buffer|null} Key, or null when identities are shown as they are
+ */
+function anonymizationKey(anonymize) {
+  if (!anonymize) return null;
+  return anonymize === true ? crypto.randomBytes(32) : anonymize;
+}
+
+/**
+ * Turns an author into the identity shown in reports
+ * @param {object} author - Author of shape { name, email }
+ * @param {string|Buffer|null} key - Secret key of anonymizationKey; without one the identity is kept.
+ *   A keyed hash cannot be reversed by hashing a list of known emails, as a plain one could.
+ * @returns {object} Identity of shape { key, name, email }
+ */
+function identify(author, key) {
+  const id = (author.email || author.name).toLowerCase();
+  if (!key) return { key: id, name: author.name, email: author.email };
+  const hashed = `author-${crypto.createHmac('sha256', key).update(id).digest('hex').slice(0, 10)}`;
+  return { key: id, name: hashed, email: null };
+}
+
+/**
+ * Splits the metrics of a file into the share of each author
+ * @param {string} code - Source code of the file
+ * @param {object} metrics - Metrics from analyzeCode
+ * @param {object[]} lineAuthors - Author of each line, from blameFile
+ * @param {boolean|string|Buffer} anonymize - Replace identities with keyed hashes: true for a random
+ *   key, or the key to use
+ * @returns {Map<string, object>} Per-author identity and metrics, by identity key
+ */
+function splitByAuthor(code, metrics, lineAuthors, anonymize) {
+  const key = anonymizationKey(anonymize);
+  const identities = new Map();
+  const slices = sliceMetrics(code, metrics, lineNumber => {
+    const author = lineAuthors[lineNumber - 1];
+    if (!author) return null;
+    const identity = identify(author, key);
+    identities.set(identity.key, identity);
+    return identity.key;
+  });
+  return new Map([...slices].map(([key, slice]) => [key, { identity: identities.get(key), metrics: slice }]));
+}
+
+/**
+ * Aggregates the mood of each author over the analyzed files
+ * @param {object[]} files - Files of shape { absolutePath, code, metrics }
+ * @param {object} options - Attribution options
+ * @param {boolean|string|Buffer} options.anonymize - Replace identities with keyed hashes: true for a
+ *   key drawn at random for this run, so labels are only stable within it, or the key to use
+ * @param {object} [options.config] - Scoring configuration
+ * @param {Function} [options.blame] - Returns the author of each line of a file (defaults to git blame)
+ * @returns {{authors: object[], skipped: string[]}} Per-author aggregates, saddest first, and
+ *   the files that could not be blamed
+ */
+function aggregateByAuthor(files, { anonymize = false, config = DEFAULT_SCORING, blame = blameFile } = {}) {
+  const byAuthor = new Map();
+  const skipped = [];
+  // One key for all files, so an author gets the same label throughout the report
+  const key = anonymizationKey(anonymize);
+  // Configured plugins score metrics of their own, which author slices do not have
+  const scoring = { ...config, plugins: [] };
+
+  for (const file of files) {
+    const lineAuthors = blame(file.absolutePath);
+    if (!lineAuthors) {
+      skipped.push(file.absolutePath);
+      continue;
+    }
+    for (const [id, { identity, metrics }] of splitByAuthor(file.code, file.metrics, lineAuthors, key)) {
+      if (!byAuthor.has(id)) byAuthor.set(id, { identity, results: [] });
+      byAuthor.get(id).results.push({ metrics, moodResult: determineMood(metrics, scoring) });
+    }
+  }
+
+  const authors = [...byAuthor.values()]
+    .map(({ identity, results }) => ({ name: identity.name, email: identity.email, ...calculateAggregateMood(results) }))
+    .sort((a, b) => a.avgScore - b.avgScore || a.name.localeCompare(b.name));
+
+  return { authors, skipped };
+}
+
+/**
+ * Formats the per-author aggregates as terminal text
+ * @param {object[]} authors - Result of aggregateByAuthor
+ * @returns {string} Formatted section
+ */
+function formatAuthorReport(authors) {
+  const thinDivider = '─'.repeat(50);
+  const rows = authors.map(author => {
+    const { totals } = author;
+    const label = author.email ? `${author.name} <${author.email}>` : author.name;
+    return `  ${MOOD_EMOJIS[author.dominantMood]} ${label}
+      avg ${author.avgScore}/100 over ${author.fileCount} files, ${totals.totalLines} lines (${totals.commentLines} comment)
+      TODOs ${totals.todoCount}, FIXMEs ${totals.fixmeCount}, hacks ${totals.hackCount}, negative words ${totals.negativeWords}, stress words ${totals.stressWords}`;
+  });
+
+  return `
+${thinDivider}
+👥 MOOD BY AUTHOR
+${thinDivider}
+${rows.join('\n')}
+`;
+}
+
+module.exports = {
+  aggregateByAuthor,
+  blameFile,
+  parseBlamePorcelain,
+  splitByAuthor,
+  formatAuthorReport
+};
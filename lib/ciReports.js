@@ -0,0 +1,200 @@
+/**
+ * CI reports for the Code Mood Analyzer
+ * Turns located findings into SARIF 2.1.0, GitHub Actions workflow commands
+ * and GitLab Code Quality reports so they show up inline in code review
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+/** Rules reported for each finding kind, with their default severity */
+const FINDING_RULES = {
+  todo: {
+    id: 'code-mood/todo',
+    name: 'Todo',
+    level: 'note',
+    title: 'TODO',
+    describe: () => 'TODO marker left in a comment'
+  },
+  fixme: {
+    id: 'code-mood/fixme',
+    name: 'Fixme',
+    level: 'warning',
+    title: 'FIXME',
+    describe: () => 'FIXME marker left in a comment'
+  },
+  hack: {
+    id: 'code-mood/hack',
+    name: 'Hack',
+    level: 'warning',
+    title: 'HACK',
+    describe: () => 'HACK marker left in a comment'
+  },
+  stress: {
+    id: 'code-mood/stress-word',
+    name: 'StressWord',
+    level: 'warning',
+    title: 'Stress word',
+    describe: finding => `Stress word "${finding.text}" in a comment`
+  },
+  'deep-nesting': {
+    id: 'code-mood/deep-nesting',
+    name: 'DeepNesting',
+    level: 'warning',
+    title: 'Deep nesting',
+    describe: finding => `Deep nesting (${finding.text}); consider extracting some logic into separate functions`
+  },
+  'long-line': {
+    id: 'code-mood/long-line',
+    name: 'LongLine',
+    level: 'note',
+    title: 'Long line',
+    describe: finding => `Long line (${finding.text}); consider breaking it up for readability`
+  }
+};
+
+/** GitHub workflow command for each SARIF level */
+const GITHUB_COMMANDS = {
+  note: 'notice',
+  warning: 'warning',
+  error: 'error'
+};
+
+/** GitLab Code Quality severity for each SARIF level */
+const GITLAB_SEVERITIES = {
+  note: 'info',
+  warning: 'minor',
+  error: 'major'
+};
+
+/**
+ * Flattens the findings of every analyzed file into reportable issues
+ * @param {object[]} results - Analysis results, each { absolutePath, metrics }
+ * @param {string} baseDir - Directory that reported paths are relative to
+ * @returns {object[]} Issues of shape { path, finding, rule }
+ */
+function collectIssues(results, baseDir) {
+  const issues = [];
+  for (const result of results) {
+    const relativePath = path.relative(baseDir, result.absolutePath).split(path.sep).join('/');
+    for (const finding of result.metrics.findings || []) {
+      const rule = FINDING_RULES[finding.kind];
+      if (rule) issues.push({ path: relativePath, finding, rule });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Builds a SARIF 2.1.0 log
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @param {object} meta - Run information
+ * @param {string} meta.version - Analyzer version
+ * @param {string} meta.baseDir - Directory that reported paths are relative to
+ * @returns {object} SARIF log
+ */
+function buildSarifReport(results, meta) {
+  const rules = Object.values(FINDING_RULES);
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'code-mood-analyzer',
+          version: meta.version,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.title },
+            defaultConfiguration: { level: rule.level }
+          }))
+        }
+      },
+      results: collectIssues(results, meta.baseDir).map(({ path: uri, finding, rule }) => ({
+        ruleId: rule.id,
+        ruleIndex: rules.indexOf(rule),
+        level: rule.level,
+        message: { text: rule.describe(finding) },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri },
+            region: { startLine: finding.line, startColumn: finding.column }
+          }
+        }]
+      }))
+    }]
+  };
+}
+
+/**
+ * Escapes a workflow command message
+ * @param {string} value - Message text
+ * @returns {string} Escaped text
+ */
+function escapeGithubData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * Escapes a workflow command property value
+ * @param {string} value - Property value
+ * @returns {string} Escaped value
+ */
+function escapeGithubProperty(value) {
+  return escapeGithubData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+/**
+ * Formats findings as GitHub Actions workflow commands, one per line
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @param {object} meta - Run information
+ * @param {string} meta.baseDir - Directory that reported paths are relative to
+ * @returns {string} Workflow commands
+ */
+function formatGithubAnnotations(results, meta) {
+  return collectIssues(results, meta.baseDir).map(({ path: file, finding, rule }) => {
+    const properties = [
+      `file=${escapeGithubProperty(file)}`,
+      `line=${finding.line}`,
+      `col=${finding.column}`,
+      `title=${escapeGithubProperty(rule.title)}`
+    ].join(',');
+    return `::${GITHUB_COMMANDS[rule.level]} ${properties}::${escapeGithubData(rule.describe(finding))}`;
+  }).join('\n');
+}
+
+/**
+ * Builds a GitLab Code Quality report. Fingerprints leave the line out, so a finding keeps its
+ * fingerprint when code above it moves; identical findings in a file are told apart by the order
+ * they occur in.
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @param {object} meta - Run information
+ * @param {string} meta.baseDir - Directory that reported paths are relative to
+ * @returns {object[]} Code Quality issues
+ */
+function buildGitlabReport(results, meta) {
+  const occurrences = new Map();
+  return collectIssues(results, meta.baseDir).map(({ path: file, finding, rule }) => {
+    const key = JSON.stringify([file, finding.kind, finding.text, (finding.context || '').trim()]);
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    return {
+      description: rule.describe(finding),
+      check_name: rule.id,
+      fingerprint: crypto.createHash('md5').update(`${key}:${occurrence}`).digest('hex'),
+      severity: GITLAB_SEVERITIES[rule.level],
+      location: {
+        path: file,
+        lines: { begin: finding.line }
+      }
+    };
+  });
+}
+
+module.exports = {
+  buildSarifReport,
+  formatGithubAnnotations,
+  buildGitlabReport,
+  FINDING_RULES
+};
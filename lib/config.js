@@ -0,0 +1,263 @@
+/**
+ * Project configuration for the Code Mood Analyzer
+ * Finds, validates and merges `.codemoodrc.json` / `code-mood.config.js` files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_SCORING } = require('./analyzer');
+const { EXCLUDED_DIRECTORIES, DEFAULT_MAX_DEPTH, DEFAULT_MAX_FILE_SIZE, parseMaxDepth, parseFileSize } = require('./fileUtils');
+const { loadPlugins, requireFresh } = require('./plugins');
+
+/** Configuration file names, in order of precedence within a directory */
+const CONFIG_FILENAMES = ['.codemoodrc.json', 'code-mood.config.js'];
+
+/** Configuration used when no file is found */
+const DEFAULT_CONFIG = {
+  ...DEFAULT_SCORING,
+  excludeDirectories: EXCLUDED_DIRECTORIES,
+  maxDepth: DEFAULT_MAX_DEPTH,
+  maxFileSize: DEFAULT_MAX_FILE_SIZE
+};
+
+/** Keys allowed at the top level of a configuration file */
+const TOP_LEVEL_KEYS = ['words', 'weights', 'thresholds', 'moods', 'sentimentInStrings', 'excludeDirectories', 'maxDepth', 'maxFileSize', 'plugins'];
+
+/**
+ * Raised when a configuration file cannot be read or is invalid
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {string} source - Path of the offending configuration file
+   */
+  constructor(message, source) {
+    super(source ? `${source}: ${message}` : message);
+    this.name = 'ConfigError';
+    this.source = source;
+  }
+}
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether a value is an array of strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for string arrays
+ */
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validates a list setting, given either as a replacement array or as
+ * `{ add, remove }` changes to the default list
+ * @param {*} value - Setting value
+ * @param {string} name - Dotted setting name for messages
+ * @param {string[]} errors - Collected error messages
+ */
+function validateList(value, name, errors) {
+  if (isStringArray(value)) return;
+  if (!isPlainObject(value)) {
+    errors.push(`"${name}" must be an array of strings or an object with "add"/"remove" arrays`);
+    return;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (key !== 'add' && key !== 'remove') {
+      errors.push(`Unknown key "${name}.${key}" (expected "add" or "remove")`);
+    } else if (!isStringArray(item)) {
+      errors.push(`"${name}.${key}" must be an array of strings`);
+    }
+  }
+}
+
+/**
+ * Validates a group of numeric settings against the known keys
+ * @param {*} value - Group value
+ * @param {string} name - Group name
+ * @param {object} defaults - Default values, whose keys are the allowed keys
+ * @param {string[]} errors - Collected error messages
+ */
+function validateNumbers(value, name, defaults, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`"${name}" must be an object`);
+    return;
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (!(key in defaults)) {
+      errors.push(`Unknown key "${name}.${key}" (expected one of: ${Object.keys(defaults).join(', ')})`);
+    } else if (typeof item !== 'number' || !Number.isFinite(item)) {
+      errors.push(`"${name}.${key}" must be a number`);
+    }
+  }
+}
+
+/**
+ * Validates a raw configuration object
+ * @param {*} raw - Parsed configuration
+ * @param {string} source - Path of the configuration file, for messages
+ * @throws {ConfigError} Listing every problem found
+ */
+function validateConfig(raw, source) {
+  if (!isPlainObject(raw)) {
+    throw new ConfigError('Configuration must be an object', source);
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(raw)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      errors.push(`Unknown key "${key}" (expected one of: ${TOP_LEVEL_KEYS.join(', ')})`);
+    } else if (key === 'words') {
+      if (!isPlainObject(value)) {
+        errors.push('"words" must be an object');
+        continue;
+      }
+      for (const [kind, list] of Object.entries(value)) {
+        if (!(kind in DEFAULT_CONFIG.words)) {
+          errors.push(`Unknown key "words.${kind}" (expected one of: ${Object.keys(DEFAULT_CONFIG.words).join(', ')})`);
+        } else {
+          validateList(list, `words.${kind}`, errors);
+        }
+      }
+    } else if (key === 'excludeDirectories') {
+      validateList(value, key, errors);
+    } else if (key === 'maxDepth') {
+      if (parseMaxDepth(value) === null) errors.push('"maxDepth" must be a whole number of 0 or more, or "unlimited"');
+    } else if (key === 'maxFileSize') {
+      if (parseFileSize(value) === null) errors.push('"maxFileSize" must be a number of bytes, a size such as "2mb", or "unlimited"');
+    } else if (key === 'plugins') {
+      if (!isStringArray(value)) errors.push('"plugins" must be an array of module paths');
+    } else if (key === 'sentimentInStrings') {
+      if (typeof value !== 'boolean') errors.push('"sentimentInStrings" must be true or false');
+    } else {
+      validateNumbers(value, key, DEFAULT_CONFIG[key], errors);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration:\n  - ${errors.join('\n  - ')}`, source);
+  }
+}
+
+/**
+ * Applies a list setting to a default list
+ * @param {string[]} defaults - Default list
+ * @param {string[]|object|undefined} setting - Replacement array or { add, remove } changes
+ * @returns {string[]} Resulting list
+ */
+function mergeList(defaults, setting) {
+  if (setting === undefined) return defaults;
+  if (Array.isArray(setting)) return [...setting];
+  const removed = (setting.remove || []).map(item => item.toLowerCase());
+  const kept = defaults.filter(item => !removed.includes(item.toLowerCase()));
+  return [...kept, ...(setting.add || []).filter(item => !kept.includes(item))];
+}
+
+/**
+ * Merges a validated configuration onto the defaults
+ * @param {object} raw - Validated configuration, with `plugins` already loaded
+ * @returns {object} Complete configuration
+ */
+function resolveConfig(raw = {}) {
+  const words = {};
+  for (const kind of Object.keys(DEFAULT_CONFIG.words)) {
+    words[kind] = mergeList(DEFAULT_CONFIG.words[kind], raw.words && raw.words[kind]);
+  }
+
+  return {
+    words,
+    weights: { ...DEFAULT_CONFIG.weights, ...raw.weights },
+    thresholds: { ...DEFAULT_CONFIG.thresholds, ...raw.thresholds },
+    moods: { ...DEFAULT_CONFIG.moods, ...raw.moods },
+    sentimentInStrings: raw.sentimentInStrings ?? DEFAULT_CONFIG.sentimentInStrings,
+    excludeDirectories: mergeList(DEFAULT_CONFIG.excludeDirectories, raw.excludeDirectories),
+    maxDepth: raw.maxDepth === undefined ? DEFAULT_CONFIG.maxDepth : parseMaxDepth(raw.maxDepth),
+    maxFileSize: raw.maxFileSize === undefined ? DEFAULT_CONFIG.maxFileSize : parseFileSize(raw.maxFileSize),
+    plugins: raw.plugins || []
+  };
+}
+
+/**
+ * Finds the nearest configuration file by walking up from a directory
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Path of the configuration file, or null if none exists
+ */
+function findConfigFile(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const name of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Reads a configuration file without validating it
+ * @param {string} filePath - Path of a .json or .js configuration file
+ * @returns {*} Parsed configuration
+ * @throws {ConfigError} If the file cannot be read or parsed
+ */
+function readConfigFile(filePath) {
+  const fullPath = path.resolve(filePath);
+  try {
+    if (fullPath.endsWith('.js') || fullPath.endsWith('.cjs')) {
+      return requireFresh(fullPath);
+    }
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Could not load configuration: ${error.message}`, filePath);
+  }
+}
+
+/**
+ * Loads the configuration for an analysis target
+ * @param {object} options - Where to look
+ * @param {string} options.target - File or directory being analyzed
+ * @param {string} [options.configPath] - Explicit configuration file (--config)
+ * @param {string[]} [options.pluginPaths] - Extra plugin modules (--plugin), relative to the current directory
+ * @param {object} [options.overrides] - Validated settings given on the command line, taking precedence over the file
+ * @returns {{config: object, path: string|null}} Complete configuration and the file it came from
+ * @throws {ConfigError} If the configuration file is missing, unreadable or invalid
+ * @throws {PluginError} If a plugin cannot be loaded or is malformed
+ */
+function loadConfig({ target, configPath, pluginPaths = [], overrides = {} }) {
+  let filePath = configPath || null;
+  if (filePath && !fs.existsSync(filePath)) {
+    throw new ConfigError('Configuration file does not exist', filePath);
+  }
+  if (!filePath) {
+    const targetPath = path.resolve(target);
+    const startDir = fs.existsSync(targetPath) && fs.statSync(targetPath).isDirectory() ? targetPath : path.dirname(targetPath);
+    filePath = findConfigFile(startDir);
+  }
+  const extraPlugins = loadPlugins(pluginPaths, process.cwd());
+  if (!filePath) {
+    return { config: resolveConfig({ ...overrides, plugins: extraPlugins }), path: null };
+  }
+
+  const raw = readConfigFile(filePath);
+  validateConfig(raw, filePath);
+  const plugins = [...loadPlugins(raw.plugins || [], path.dirname(filePath)), ...extraPlugins];
+  return { config: resolveConfig({ ...raw, ...overrides, plugins }), path: filePath };
+}
+
+module.exports = {
+  loadConfig,
+  findConfigFile,
+  validateConfig,
+  resolveConfig,
+  ConfigError,
+  CONFIG_FILENAMES,
+  DEFAULT_CONFIG
+};
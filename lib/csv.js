@@ -0,0 +1,29 @@
+/**
+ * CSV output for the Code Mood Analyzer
+ * Shared by the reports that can be exported as CSV, such as the mood history
+ * and the TODO tracker
+ */
+
+/**
+ * Quotes a CSV field when needed
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as CSV
+ * @param {Array[]} rows - Rows of field values, the header row first
+ * @returns {string} CSV, one line per row
+ */
+function formatCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+module.exports = {
+  csvField,
+  formatCsv
+};
@@ -5,12 +5,140 @@
 
 const fs = require('fs');
 const path = require('path');
+const { LANGUAGES } = require('./languages');
 
-const SUPPORTED_EXTENSIONS = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.c', '.cpp', '.cs', '.go', '.rb', '.rs', '.php', '.swift'];
+/** File extensions of every language in the registry */
+const SUPPORTED_EXTENSIONS = LANGUAGES.flatMap(language => language.extensions);
 
 /** Directories to skip when scanning for code files */
 const EXCLUDED_DIRECTORIES = ['node_modules', '.git', 'dist', 'build', 'coverage', '__pycache__', '.next'];
 
+/** Deepest directory level read below a scanned directory by default */
+const DEFAULT_MAX_DEPTH = 5;
+
+/** Largest file analyzed by default, in bytes; bigger files are usually generated */
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+/** Bytes inspected when guessing whether a file is text */
+const SNIFF_BYTES = 8000;
+
+/** Multipliers of the size units accepted by parseFileSize */
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Parses a traversal depth limit
+ * @param {number|string} value - Whole number of 0 or more, or "unlimited"
+ * @returns {number|null} The limit (Infinity when unlimited), or null if the value is invalid
+ */
+function parseMaxDepth(value) {
+  if (String(value).toLowerCase() === 'unlimited') return Infinity;
+  const depth = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(depth) && depth >= 0 ? depth : null;
+}
+
+/**
+ * Parses a file size limit
+ * @param {number|string} value - Bytes, a size such as "500kb" or "2mb", or "unlimited"
+ * @returns {number|null} The limit in bytes (Infinity when unlimited), or null if the value is invalid
+ */
+function parseFileSize(value) {
+  if (String(value).toLowerCase() === 'unlimited') return Infinity;
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value));
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : null;
+}
+
+/**
+ * Formats a size in bytes for messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "512 KB" or "3.4 MB"
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+}
+
+/**
+ * Guesses the text encoding of file contents from a byte order mark or, without one,
+ * from the bytes themselves
+ * @param {Buffer} buffer - File contents
+ * @returns {{encoding: string, bomLength: number}|null} utf8, utf16le, utf16be or latin1 and the
+ *   length of the byte order mark, or null for binary contents
+ */
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { encoding: 'utf8', bomLength: 3 };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { encoding: 'utf16le', bomLength: 2 };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { encoding: 'utf16be', bomLength: 2 };
+
+  // Mostly-ASCII UTF-16 has a zero in every other byte
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  const zeros = [0, 0];
+  sample.forEach((byte, index) => {
+    if (byte === 0) zeros[index % 2]++;
+  });
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs > 0 && zeros[1] > pairs * 0.3 && zeros[0] < pairs * 0.02) return { encoding: 'utf16le', bomLength: 0 };
+  if (pairs > 0 && zeros[0] > pairs * 0.3 && zeros[1] < pairs * 0.02) return { encoding: 'utf16be', bomLength: 0 };
+  if (zeros[0] + zeros[1] > 0) return null;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf8', bomLength: 0 };
+  } catch {
+    // Not UTF-8: legacy single-byte text, unless it is full of control characters
+    const controls = sample.filter(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20)).length;
+    return controls > sample.length * 0.1 ? null : { encoding: 'latin1', bomLength: 0 };
+  }
+}
+
+/**
+ * Converts CRLF and lone CR line endings to LF
+ * @param {string} text - Text with any line endings
+ * @returns {string} Text with LF line endings
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Decodes file contents into source text with LF line endings
+ * @param {Buffer} buffer - File contents
+ * @returns {{code: string|null, encoding: string|null}} Decoded text and its encoding, or nulls for binary contents
+ */
+function decodeSource(buffer) {
+  const detected = detectEncoding(buffer);
+  if (!detected) return { code: null, encoding: null };
+
+  let bytes = buffer.subarray(detected.bomLength);
+  if (detected.encoding === 'utf16be') {
+    // Node decodes UTF-16 little-endian only; a dangling odd byte cannot be part of a character
+    bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2))).swap16();
+  }
+  const encoding = detected.encoding === 'utf16be' ? 'utf16le' : detected.encoding;
+  return { code: normalizeLineEndings(bytes.toString(encoding)), encoding: detected.encoding };
+}
+
+/**
+ * Reads a source file, skipping files that are too large, binary or unreadable
+ * @param {string} filePath - Path to the file
+ * @param {object} [options] - Read options
+ * @param {number} [options.maxFileSize] - Largest file to read, in bytes
+ * @returns {{code: string|null, encoding: string|null, skipped: string|null}} Decoded text with LF
+ *   line endings and its encoding, or the reason the file was skipped
+ */
+function readSourceFile(filePath, { maxFileSize = DEFAULT_MAX_FILE_SIZE } = {}) {
+  const skip = reason => ({ code: null, encoding: null, skipped: reason });
+  try {
+    const { size } = fs.statSync(filePath);
+    if (size > maxFileSize) return skip(`larger than the ${formatFileSize(maxFileSize)} size limit (${formatFileSize(size)})`);
+    const { code, encoding } = decodeSource(fs.readFileSync(filePath));
+    return code === null ? skip('binary content') : { code, encoding, skipped: null };
+  } catch (error) {
+    return skip(`cannot read file (${error.code || error.message})`);
+  }
+}
+
 /**
  * Checks if a file has a supported extension
  * @param {string} filename - The filename to check
@@ -24,46 +152,151 @@ function isSupportedFile(filename) {
 /**
  * Reads a file and returns its contents
  * @param {string} filePath - Path to the file
- * @returns {string|null} File contents or null if error
+ * @returns {string|null} File contents with LF line endings, or null if error
  */
 function readFile(filePath) {
-  try {
-    return fs.readFileSync(filePath, 'utf8');
-  } catch (error) {
-    console.error(`Error reading file ${filePath}: ${error.message}`);
+  const source = readSourceFile(filePath, { maxFileSize: Infinity });
+  if (source.skipped) {
+    console.error(`Error reading file ${filePath}: ${source.skipped}`);
     return null;
   }
+  return source.code;
+}
+
+/**
+ * Compares two paths by their UTF-16 code units, independent of the locale
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {number} Negative, zero or positive, for Array.prototype.sort
+ */
+function comparePaths(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Scans a directory tree for code files, reading directories concurrently
+ * @param {string} dirPath - Path to the directory
+ * @param {object} [options] - Scan options
+ * @param {number} [options.maxDepth] - Deepest directory level to read below dirPath; Infinity for no limit
+ * @param {string[]} [options.excludedDirectories] - Directory names to skip
+ * @param {Function} [options.filter] - Called with (fullPath, isDir); returns false to skip a file or directory
+ * @param {boolean} [options.followSymlinks] - Follow symbolic links to files and directories
+ * @returns {Promise<{files: string[], skippedDirectories: string[], warnings: object[]}>} Code files,
+ *   the directories left out because of the depth limit, and warnings of shape { path, message },
+ *   each sorted by path
+ */
+async function scanCodeFiles(dirPath, {
+  maxDepth = DEFAULT_MAX_DEPTH,
+  excludedDirectories = EXCLUDED_DIRECTORIES,
+  filter = () => true,
+  followSymlinks = false
+} = {}) {
+  const scan = { files: [], skippedDirectories: [], warnings: [] };
+  // Directories by device and inode, so links back into the tree are only read once
+  const visited = new Set();
+  // Linked directories are read after the real tree, so files are found under their real paths
+  const links = [];
+
+  const enter = async (dir, depth, ancestors) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      scan.warnings.push({ path: dir, message: `Cannot read directory: ${error.code || error.message}` });
+      return;
+    }
+
+    await Promise.all(entries.map(async entry => {
+      const fullPath = path.join(dir, entry.name);
+      let stats = null;
+      if (entry.isSymbolicLink()) {
+        if (!followSymlinks) return;
+        try {
+          stats = await fs.promises.stat(fullPath);
+        } catch (error) {
+          scan.warnings.push({ path: fullPath, message: `Broken symbolic link: ${error.code || error.message}` });
+          return;
+        }
+      }
+
+      if (stats ? stats.isDirectory() : entry.isDirectory()) {
+        // Skip excluded directories
+        if (excludedDirectories.includes(entry.name) || !filter(fullPath, true)) return;
+        if (depth + 1 > maxDepth) {
+          scan.skippedDirectories.push(fullPath);
+        } else if (!followSymlinks) {
+          await enter(fullPath, depth + 1, ancestors);
+        } else if (stats) {
+          links.push({ fullPath, depth: depth + 1, ancestors, stats });
+        } else {
+          await visit(fullPath, depth + 1, ancestors, await fs.promises.stat(fullPath));
+        }
+      } else if ((stats ? stats.isFile() : entry.isFile()) && isSupportedFile(entry.name) && filter(fullPath, false)) {
+        scan.files.push(fullPath);
+      }
+    }));
+  };
+
+  const visit = async (dir, depth, ancestors, stats) => {
+    const inode = `${stats.dev}:${stats.ino}`;
+    if (ancestors.includes(inode)) {
+      scan.warnings.push({ path: dir, message: 'Symbolic link loop, not followed' });
+    } else if (!visited.has(inode)) {
+      visited.add(inode);
+      await enter(dir, depth, [...ancestors, inode]);
+    }
+  };
+
+  const rootStats = followSymlinks ? await fs.promises.stat(dirPath).catch(() => null) : null;
+  await (rootStats ? visit(dirPath, 0, [], rootStats) : enter(dirPath, 0, []));
+  while (links.length > 0) {
+    for (const link of links.splice(0).sort((a, b) => comparePaths(a.fullPath, b.fullPath))) {
+      await visit(link.fullPath, link.depth, link.ancestors, link.stats);
+    }
+  }
+
+  scan.files.sort(comparePaths);
+  scan.skippedDirectories.sort(comparePaths);
+  scan.warnings.sort((a, b) => comparePaths(a.path, b.path));
+  return scan;
 }
 
 /**
- * Gets all code files from a directory recursively
+ * Gets all code files from a directory recursively. scanCodeFiles is the asynchronous variant
+ * used by the CLI.
  * @param {string} dirPath - Path to the directory
  * @param {number} depth - Current recursion depth
  * @param {number} maxDepth - Maximum recursion depth
+ * @param {string[]} excludedDirectories - Directory names to skip
+ * @param {Function} [filter] - Called with (fullPath, isDir); returns false to skip a file or directory
+ * @param {object[]} [warnings] - Receives a warning of shape { path, message } for each directory
+ *   that cannot be read, as from scanCodeFiles
  * @returns {string[]} Array of file paths
  */
-function getCodeFiles(dirPath, depth = 0, maxDepth = 5) {
+function getCodeFiles(dirPath, depth = 0, maxDepth = DEFAULT_MAX_DEPTH, excludedDirectories = EXCLUDED_DIRECTORIES, filter = () => true, warnings = []) {
   const files = [];
   
   if (depth > maxDepth) return files;
   
+  let entries;
   try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    entries = fs.readdirSync(dirPath, { withFileTypes: true });
+  } catch (error) {
+    warnings.push({ path: dirPath, message: `Cannot read directory: ${error.code || error.message}` });
+    return files;
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(dirPath, entry.name);
     
-    for (const entry of entries) {
-      const fullPath = path.join(dirPath, entry.name);
-      
-      // Skip excluded directories
-      if (entry.isDirectory()) {
-        if (!EXCLUDED_DIRECTORIES.includes(entry.name)) {
-          files.push(...getCodeFiles(fullPath, depth + 1, maxDepth));
-        }
-      } else if (entry.isFile() && isSupportedFile(entry.name)) {
-        files.push(fullPath);
+    // Skip excluded directories
+    if (entry.isDirectory()) {
+      if (!excludedDirectories.includes(entry.name) && filter(fullPath, true)) {
+        files.push(...getCodeFiles(fullPath, depth + 1, maxDepth, excludedDirectories, filter, warnings));
       }
+    } else if (entry.isFile() && isSupportedFile(entry.name) && filter(fullPath, false)) {
+      files.push(fullPath);
     }
-  } catch (error) {
-    console.error(`Error reading directory ${dirPath}: ${error.message}`);
   }
   
   return files;
@@ -94,8 +327,20 @@ function pathExists(pathToCheck) {
 module.exports = {
   isSupportedFile,
   readFile,
+  readSourceFile,
+  decodeSource,
+  detectEncoding,
+  normalizeLineEndings,
   getCodeFiles,
+  scanCodeFiles,
+  comparePaths,
+  parseMaxDepth,
+  parseFileSize,
+  formatFileSize,
   isDirectory,
   pathExists,
-  SUPPORTED_EXTENSIONS
+  SUPPORTED_EXTENSIONS,
+  EXCLUDED_DIRECTORIES,
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_MAX_FILE_SIZE
 };
@@ -0,0 +1,347 @@
+/**
+ * Code Mood Analyzer - Function Analysis
+ * Finds function boundaries and measures the complexity of each function
+ */
+
+/** Tokens adding a path through a function, for cyclomatic complexity */
+const DECISION_PATTERN = /\b(?:if|elif|elsif|unless|for|foreach|while|until|case|when|catch|except|rescue|and|or)\b|&&|\|\||\?(?![?.:)\],>=])/g;
+
+/** Structures that break linear flow, for cognitive complexity */
+const COGNITIVE_PATTERN = /\belse\s+if\b|\b(?:if|elif|elsif|else|unless|for|foreach|while|until|switch|match|catch|except|rescue)\b|&&|\|\||\b(?:and|or)\b|\?(?![?.:)\],>=])/g;
+
+/** Structures whose cognitive cost grows with nesting */
+const NESTED_STRUCTURES = ['if', 'unless', 'for', 'foreach', 'while', 'until', 'switch', 'match', 'catch', 'except', 'rescue', '?'];
+
+/** Logical operators, which cost one point per run of the same operator */
+const LOGICAL_OPERATORS = ['&&', '||', 'and', 'or'];
+
+/**
+ * Returns the indentation width of a line
+ * @param {string} line - Source line
+ * @returns {number} Number of leading whitespace characters
+ */
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+/**
+ * Finds the index of the bracket closing the one at `open`
+ * @param {string} text - Masked source text
+ * @param {number} open - Index of the opening bracket
+ * @param {string} openChar - Opening bracket character
+ * @param {string} closeChar - Closing bracket character
+ * @returns {number} Index of the closing bracket, or -1 if unbalanced
+ */
+function findClosing(text, open, openChar, closeChar) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === openChar) depth++;
+    else if (text[i] === closeChar && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Counts the parameters in a parameter list
+ * @param {string} params - Text between the parentheses
+ * @returns {number} Parameter count
+ */
+function countParameters(params) {
+  if (params.trim() === '') return 0;
+  let depth = 0;
+  let count = 1;
+  for (const char of params) {
+    if ('([{<'.includes(char)) depth++;
+    else if (')]}>'.includes(char)) depth--;
+    else if (char === ',' && depth === 0) count++;
+  }
+  return count;
+}
+
+/**
+ * Infers a name for an anonymous function from what it is assigned to,
+ * e.g. `const handler = function() {` or `onClick: () => {`
+ * @param {string} prefix - Line text before the function
+ * @returns {string|null} Inferred name
+ */
+function inferName(prefix) {
+  const match = prefix.match(/([\w$.]+)\s*(?:[:=]|\?\?=|\|\|=)\s*(?:async\s+)?$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Locates the parameter list of a declaration match
+ * @param {string} text - Masked source text
+ * @param {number} start - Offset of the match
+ * @param {string} matched - Matched text
+ * @param {string|null} name - Captured function name
+ * @returns {object|null} { open, close, count } offsets of the list and its parameter count
+ */
+function locateParameters(text, start, matched, name) {
+  const arrow = matched.lastIndexOf('=>');
+  if (arrow !== -1) {
+    let close = start + arrow - 1;
+    while (close > 0 && /\s/.test(text[close])) close--;
+    if (text[close] !== ')') {
+      // Single bare parameter, e.g. `x => {`
+      const bare = text.slice(0, close + 1).match(/[\w$]+$/);
+      return bare ? { open: close - bare[0].length + 1, close, count: 1, arrow: start + arrow } : null;
+    }
+    let depth = 0;
+    let open = close;
+    for (; open >= 0; open--) {
+      if (text[open] === ')') depth++;
+      else if (text[open] === '(' && --depth === 0) break;
+    }
+    if (open < 0) return null;
+    return { open, close, count: countParameters(text.slice(open + 1, close)), arrow: start + arrow };
+  }
+
+  let open = start + (name ? nameEndOffset(matched, name) : matched.lastIndexOf('('));
+  while (text[open] === ' ' || text[open] === '\t') open++;
+  if (text[open] !== '(') {
+    // Parameters without parentheses, e.g. Ruby's `def greet name, greeting`
+    const lineEnd = text.indexOf('\n', open);
+    const bare = text.slice(open, lineEnd === -1 ? text.length : lineEnd).split(';')[0];
+    return { open: open - 1, close: open - 1, count: countParameters(bare) };
+  }
+  const close = findClosing(text, open, '(', ')');
+  if (close === -1) return null;
+  return { open, close, count: countParameters(text.slice(open + 1, close)) };
+}
+
+/**
+ * Finds where a captured function name ends within a match, preferring the
+ * occurrence followed by the parameter list
+ * @param {string} matched - Matched text
+ * @param {string} name - Captured function name
+ * @returns {number} Offset just after the name
+ */
+function nameEndOffset(matched, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const call = matched.search(new RegExp(`${escaped}\\s*\\(`));
+  return (call !== -1 ? call : matched.lastIndexOf(name)) + name.length;
+}
+
+/**
+ * Finds the opening brace of a body following a parameter list. The brace must be
+ * on the same line or start the next non-blank line; a `;` first means there is
+ * no body (a prototype, abstract method or plain call).
+ * @param {string} text - Masked source text
+ * @param {number} from - Offset just after the parameter list
+ * @returns {object|null} { open } for a block body, { expression } for an arrow expression body
+ */
+function locateBraceBody(text, from) {
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (char === '{') return { open: i };
+    if (text.startsWith('=>', i)) {
+      const next = i + 2 + text.slice(i + 2).search(/\S|$/);
+      return text[next] === '{' ? { open: next } : { expression: next };
+    }
+    if (char === ';' || char === '}' || char === '=') return null;
+    if (char === '\n') {
+      const next = text.slice(i).search(/\S/);
+      return next !== -1 && text[i + next] === '{' ? { open: i + next } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores the complexity of a function body
+ * @param {object[]} bodyLines - { text, nesting } for each line of the body, where
+ *   nesting(column) gives the structural nesting level at that column
+ * @returns {object} { cyclomatic, cognitive }
+ */
+function measureComplexity(bodyLines) {
+  let cyclomatic = 1;
+  let cognitive = 0;
+
+  for (const { text, nesting } of bodyLines) {
+    cyclomatic += (text.match(DECISION_PATTERN) || []).length;
+
+    let previousOperator = null;
+    for (const match of text.matchAll(COGNITIVE_PATTERN)) {
+      const token = match[0].startsWith('else') && match[0] !== 'else' ? 'else if' : match[0];
+      if (LOGICAL_OPERATORS.includes(token)) {
+        if (token !== previousOperator) cognitive++;
+        previousOperator = token;
+        continue;
+      }
+      previousOperator = null;
+      cognitive += 1 + (NESTED_STRUCTURES.includes(token) ? nesting(match.index) : 0);
+    }
+  }
+
+  return { cyclomatic, cognitive };
+}
+
+/**
+ * Builds the body description of a brace-delimited function
+ * @param {string} text - Masked source text
+ * @param {number[]} lineStarts - Offset of each line start
+ * @param {number} open - Offset of the opening brace
+ * @param {number} close - Offset of the closing brace
+ * @returns {object} { bodyLines, nestingDepth }
+ */
+function braceBody(text, lineStarts, open, close) {
+  const bodyLines = [];
+  let depth = 0;
+  let maxDepth = 0;
+  let lineIndex = lineIndexAt(lineStarts, open);
+
+  while (lineIndex < lineStarts.length && lineStarts[lineIndex] <= close) {
+    const lineStart = Math.max(lineStarts[lineIndex], open);
+    const lineEnd = Math.min(lineIndex + 1 < lineStarts.length ? lineStarts[lineIndex + 1] - 1 : text.length, close + 1);
+    const lineText = text.slice(lineStart, lineEnd);
+    const depthAt = [];
+    for (const char of lineText) {
+      depthAt.push(depth);
+      if (char === '{') maxDepth = Math.max(maxDepth, ++depth);
+      else if (char === '}') depth--;
+    }
+    bodyLines.push({ text: lineText, nesting: column => Math.max(0, (depthAt[column] || 0) - 1) });
+    lineIndex++;
+  }
+
+  return { bodyLines, nestingDepth: Math.max(0, maxDepth - 1) };
+}
+
+/**
+ * Builds the body description of an indentation- or `end`-delimited function
+ * @param {string[]} lines - Masked source lines
+ * @param {number} first - Index of the first body line
+ * @param {number} last - Index of the last body line
+ * @returns {object} { bodyLines, nestingDepth }
+ */
+function indentedBody(lines, first, last) {
+  const codeLines = lines.slice(first, last + 1).filter(line => line.trim() !== '');
+  const baseIndent = codeLines.length > 0 ? Math.min(...codeLines.map(indentOf)) : 0;
+  const deeper = codeLines.map(indentOf).filter(indent => indent > baseIndent);
+  const unit = deeper.length > 0 ? Math.min(...deeper) - baseIndent : 4;
+  const levelOf = line => Math.round((indentOf(line) - baseIndent) / unit);
+
+  const bodyLines = codeLines.map(line => ({ text: line, nesting: () => levelOf(line) }));
+  const nestingDepth = Math.max(0, ...codeLines.map(levelOf));
+  return { bodyLines, nestingDepth };
+}
+
+/**
+ * Finds the index of the line containing an offset
+ * @param {number[]} lineStarts - Offset of each line start
+ * @param {number} offset - Offset into the text
+ * @returns {number} Zero-based line index
+ */
+function lineIndexAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (lineStarts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Finds the functions in a file and measures each one
+ * @param {string[]} lines - Source lines with comments blanked and literal contents masked
+ * @param {object} language - Language definition from the registry
+ * @returns {object[]} Functions of shape { name, startLine, endLine, length, parameterCount,
+ *   cyclomaticComplexity, cognitiveComplexity, nestingDepth }, ordered by start line
+ */
+function findFunctions(lines, language) {
+  const text = lines.join('\n');
+  const lineStarts = [];
+  let offset = 0;
+  for (const line of lines) {
+    lineStarts.push(offset);
+    offset += line.length + 1;
+  }
+
+  const functions = [];
+  const seenBodies = new Set();
+
+  lines.forEach((line, index) => {
+    for (const pattern of language.functionPatterns) {
+      const globalPattern = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'g');
+      for (const match of line.matchAll(globalPattern)) {
+        const start = lineStarts[index] + match.index;
+        const declaredName = match.groups && match.groups.name;
+        const params = locateParameters(text, start, match[0], declaredName);
+        if (!params) continue;
+
+        const prefix = line.slice(0, Math.min(match.index, params.open - lineStarts[index]));
+        const name = declaredName || inferName(prefix) || '<anonymous>';
+        let endIndex;
+        let body;
+
+        if (language.blockStyle === 'braces') {
+          const located = params.arrow !== undefined && params.arrow > params.close
+            ? locateBraceBody(text, params.arrow)
+            : locateBraceBody(text, params.close + 1);
+          if (!located) continue;
+          const bodyStart = located.open !== undefined ? located.open : located.expression;
+          if (seenBodies.has(bodyStart)) continue;
+          seenBodies.add(bodyStart);
+
+          if (located.open !== undefined) {
+            const close = findClosing(text, located.open, '{', '}');
+            const bodyEnd = close === -1 ? text.length - 1 : close;
+            endIndex = lineIndexAt(lineStarts, bodyEnd);
+            body = braceBody(text, lineStarts, located.open, bodyEnd);
+          } else {
+            endIndex = lineIndexAt(lineStarts, located.expression);
+            body = { bodyLines: [{ text: lines[endIndex].slice(located.expression - lineStarts[endIndex]), nesting: () => 0 }], nestingDepth: 0 };
+          }
+        } else {
+          const headerEnd = lineIndexAt(lineStarts, params.close);
+          if (seenBodies.has(headerEnd)) continue;
+          seenBodies.add(headerEnd);
+          const defIndent = indentOf(line);
+          endIndex = headerEnd;
+
+          if (language.blockStyle === 'indent') {
+            for (let i = headerEnd + 1; i < lines.length; i++) {
+              if (lines[i].trim() === '') continue;
+              if (indentOf(lines[i]) <= defIndent) break;
+              endIndex = i;
+            }
+          } else {
+            const inline = /\bend\b/.test(lines[headerEnd].slice(params.close - lineStarts[headerEnd]));
+            for (let i = headerEnd + 1; !inline && i < lines.length; i++) {
+              if (indentOf(lines[i]) === defIndent && /^end\b/.test(lines[i].trim())) {
+                endIndex = i;
+                break;
+              }
+              endIndex = i;
+            }
+          }
+
+          body = endIndex > headerEnd
+            ? indentedBody(lines, headerEnd + 1, language.blockStyle === 'end' ? endIndex - 1 : endIndex)
+            : { bodyLines: [{ text: lines[headerEnd].slice(params.close - lineStarts[headerEnd] + 1), nesting: () => 0 }], nestingDepth: 0 };
+        }
+
+        const { cyclomatic, cognitive } = measureComplexity(body.bodyLines);
+        functions.push({
+          name,
+          startLine: index + 1,
+          endLine: endIndex + 1,
+          length: endIndex - index + 1,
+          parameterCount: params.count,
+          cyclomaticComplexity: cyclomatic,
+          cognitiveComplexity: cognitive,
+          nestingDepth: body.nestingDepth
+        });
+      }
+    }
+  });
+
+  return functions.sort((a, b) => a.startLine - b.startLine);
+}
+
+module.exports = {
+  findFunctions
+};
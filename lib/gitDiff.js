@@ -0,0 +1,222 @@
+/**
+ * Diff mode for the Code Mood Analyzer
+ * Reads the unified diff of the local repository and scores the lines a change
+ * adds, next to the mood of each touched file before and after the change
+ */
+
+const { runGit, readBlobs } = require('./gitHistory');
+const { determineMood, sliceMetrics, calculateAggregateMood, DEFAULT_SCORING, MOOD_EMOJIS } = require('./analyzer');
+
+/** Finding kinds that flag a change on their own */
+const FLAGGED_FINDINGS = ['hack', 'fixme', 'stress'];
+
+/**
+ * Decodes a path that git quoted because of special characters
+ * @param {string} quoted - Path, possibly in C-style double quotes
+ * @returns {string} Decoded path
+ */
+function unquotePath(quoted) {
+  if (!quoted.startsWith('"')) return quoted;
+  const escapes = { n: 10, t: 9, r: 13, b: 8, f: 12, a: 7, v: 11, '"': 34, '\\': 92 };
+  const bytes = [];
+  for (let i = 1; i < quoted.length - 1; i++) {
+    if (quoted[i] !== '\\') {
+      bytes.push(...Buffer.from(quoted[i]));
+    } else if (/[0-7]/.test(quoted[i + 1])) {
+      bytes.push(parseInt(quoted.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[quoted[i + 1]] ?? quoted.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Reads a path from a `---`/`+++` header line
+ * @param {string} value - Header value, e.g. `a/src/x.js` or `/dev/null`
+ * @returns {string|null} Path without its a/ or b/ prefix, or null for /dev/null
+ */
+function headerPath(value) {
+  const decoded = unquotePath(value.replace(/\t.*$/, ''));
+  return decoded === '/dev/null' ? null : decoded.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parses a unified diff produced with --unified=0
+ * @param {string} patch - Diff output
+ * @returns {object[]} Files of shape { oldPath, newPath, status, addedLines }, where status is
+ *   added, modified, renamed or deleted and addedLines lists the new line numbers
+ */
+function parseUnifiedDiff(patch) {
+  const files = [];
+  let file = null;
+  let inHunk = false;
+  let newLine = 0;
+
+  for (const line of patch.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = { oldPath: null, newPath: null, status: 'modified', addedLines: [] };
+      files.push(file);
+      inHunk = false;
+    } else if (!file) {
+      continue;
+    } else if (!inHunk) {
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) file.status = 'renamed';
+      else if (line.startsWith('--- ')) file.oldPath = headerPath(line.slice(4));
+      else if (line.startsWith('+++ ')) file.newPath = headerPath(line.slice(4));
+    }
+
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (file && hunk) {
+      inHunk = true;
+      newLine = Number(hunk[1]);
+    } else if (inHunk && line.startsWith('+')) {
+      file.addedLines.push(newLine++);
+    } else if (inHunk && line.startsWith(' ')) {
+      newLine++;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Analyzes the files touched by a change
+ * @param {object} options - What to compare
+ * @param {string} options.repoRoot - Repository root
+ * @param {string} options.pathspec - Path relative to the repository root ('' for everything)
+ * @param {string} [options.base] - Ref to compare HEAD against, from their merge base
+ * @param {boolean} [options.staged] - Compare the index against HEAD instead
+ * @param {Function} options.isIncluded - Called with a file path; false skips the file
+ * @param {Function} options.analyze - Called with (code, filePath); returns an analysis result
+ * @param {object} [options.config] - Scoring configuration
+ * @returns {object} { repoRoot, base, head, files } where each file is { path, oldPath, status,
+ *   addedLines, before, after, delta, added, findings, flagged }
+ * @throws {GitError} If git fails, e.g. because the base ref does not exist
+ */
+function collectDiff({ repoRoot, pathspec, base, staged = false, isIncluded, analyze, config = DEFAULT_SCORING }) {
+  const baseRev = staged ? 'HEAD' : runGit(['merge-base', base, 'HEAD'], repoRoot).toString().trim();
+  const headRev = staged ? '' : 'HEAD';
+  const args = ['diff', '--unified=0', '--no-color', '--no-ext-diff', '-M'];
+  args.push(...(staged ? ['--cached', 'HEAD'] : [baseRev, 'HEAD']));
+  if (pathspec) args.push('--', pathspec);
+
+  const touched = parseUnifiedDiff(runGit(args, repoRoot).toString())
+    .filter(file => file.status !== 'deleted' && file.newPath && isIncluded(file.newPath));
+  const contents = readBlobs(repoRoot, touched.flatMap(file => [
+    ...(file.oldPath ? [`${baseRev}:${file.oldPath}`] : []),
+    `${headRev}:${file.newPath}`
+  ]));
+  // Configured plugins score metrics of their own, which the added-lines slice does not have
+  const scoring = { ...config, plugins: [] };
+
+  const files = touched.filter(file => contents.has(`${headRev}:${file.newPath}`)).map(file => {
+    const code = contents.get(`${headRev}:${file.newPath}`);
+    const after = analyze(code, file.newPath);
+    const baseName = `${baseRev}:${file.oldPath}`;
+    const before = file.oldPath && contents.has(baseName) ? analyze(contents.get(baseName), file.oldPath) : null;
+
+    const addedSet = new Set(file.addedLines);
+    const slice = sliceMetrics(code, after.metrics, lineNumber => (addedSet.has(lineNumber) ? 'added' : null)).get('added');
+    const added = slice ? { metrics: slice, moodResult: determineMood(slice, scoring) } : null;
+    const findings = slice ? slice.findings : [];
+
+    return {
+      path: file.newPath,
+      oldPath: file.oldPath !== file.newPath ? file.oldPath : null,
+      status: file.status,
+      addedLines: file.addedLines.length,
+      before: before && before.moodResult,
+      after: after.moodResult,
+      delta: before ? after.moodResult.score - before.moodResult.score : null,
+      added,
+      findings,
+      flagged: Boolean(added) && (
+        added.moodResult.score < config.moods.neutral ||
+        findings.some(finding => FLAGGED_FINDINGS.includes(finding.kind))
+      )
+    };
+  });
+
+  return { repoRoot, base: staged ? 'HEAD' : base, head: staged ? 'index' : 'HEAD', files };
+}
+
+/**
+ * Summarizes the files of a diff
+ * @param {object[]} files - Files from collectDiff
+ * @returns {object} { fileCount, addedLines, flaggedCount, avgDelta, added } where added is the
+ *   calculateAggregateMood result of the added lines, or null when nothing was added
+ */
+function summarizeDiff(files) {
+  const deltas = files.filter(file => file.delta !== null).map(file => file.delta);
+  const added = files.filter(file => file.added).map(file => file.added);
+  return {
+    fileCount: files.length,
+    addedLines: files.reduce((sum, file) => sum + file.addedLines, 0),
+    flaggedCount: files.filter(file => file.flagged).length,
+    avgDelta: deltas.length > 0 ? Math.round(deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length) : null,
+    added: added.length > 0 ? calculateAggregateMood(added) : null
+  };
+}
+
+/**
+ * Formats a mood result as "emoji mood score"
+ * @param {object} moodResult - Mood determination result
+ * @returns {string} Short mood label
+ */
+function moodLabel(moodResult) {
+  return `${moodResult.emoji} ${moodResult.mood} ${moodResult.score}`;
+}
+
+/**
+ * Formats a diff analysis as terminal text
+ * @param {object} diff - Result of collectDiff
+ * @param {object} summary - Result of summarizeDiff
+ * @returns {string} Formatted output
+ */
+function formatDiffText(diff, summary) {
+  const divider = '═'.repeat(50);
+  const thinDivider = '─'.repeat(50);
+
+  const files = diff.files.map(file => {
+    const name = file.oldPath ? `${file.oldPath} → ${file.path}` : file.path;
+    const lines = [`  ${file.flagged ? '⚠️ ' : '✅'} ${name}  +${file.addedLines} lines${file.status === 'added' ? ' (new file)' : ''}`];
+    if (file.before) {
+      const sign = file.delta > 0 ? '+' : '';
+      lines.push(`      file:  ${moodLabel(file.before)} → ${moodLabel(file.after)} (${sign}${file.delta})`);
+    } else {
+      lines.push(`      file:  ${moodLabel(file.after)}`);
+    }
+    if (file.added) lines.push(`      added: ${moodLabel(file.added.moodResult)}`);
+    for (const finding of file.findings) {
+      lines.push(`      ${`${finding.line}:${finding.column}`.padEnd(8)} ${finding.kind.padEnd(13)} ${finding.context}`);
+    }
+    return lines.join('\n');
+  });
+
+  const delta = summary.avgDelta === null ? 'n/a' : `${summary.avgDelta > 0 ? '+' : ''}${summary.avgDelta}`;
+  return `
+${divider}
+  🔀 DIFF MOOD: ${diff.head === 'index' ? 'staged changes' : `${diff.base}...${diff.head}`}
+${divider}
+${files.length > 0 ? files.join('\n\n') : '  No supported files changed.'}
+
+${thinDivider}
+  Files touched:  ${summary.fileCount}
+  Added lines:    ${summary.addedLines}
+  Flagged files:  ${summary.flaggedCount}
+  Average delta:  ${delta}
+${summary.added ? `  Added code:     ${MOOD_EMOJIS[summary.added.dominantMood]} ${summary.added.dominantMood} (avg ${summary.added.avgScore})\n` : ''}${divider}
+`;
+}
+
+module.exports = {
+  collectDiff,
+  summarizeDiff,
+  parseUnifiedDiff,
+  formatDiffText
+};
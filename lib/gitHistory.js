@@ -0,0 +1,279 @@
+/**
+ * Git history for the Code Mood Analyzer
+ * Samples commits of a local repository and reads file contents straight from
+ * the object database, so no checkout is needed and nothing touches the network
+ */
+
+const { execFileSync } = require('child_process');
+const { MOOD_EMOJIS } = require('./analyzer');
+const { decodeSource } = require('./fileUtils');
+const { formatCsv } = require('./csv');
+
+/** Largest git output accepted, in bytes */
+const MAX_GIT_OUTPUT = 512 * 1024 * 1024;
+
+/** Length of each unit accepted by --every, in seconds */
+const INTERVAL_UNITS = {
+  second: 1,
+  minute: 60,
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+  week: 7 * 24 * 60 * 60,
+  month: 30 * 24 * 60 * 60,
+  year: 365 * 24 * 60 * 60
+};
+
+/** Characters of the terminal sparkline, lowest first */
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+/**
+ * Raised when git fails or the repository cannot be read
+ */
+class GitError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'GitError';
+  }
+}
+
+/**
+ * Runs a git command
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Directory to run in
+ * @param {string} [input] - Data for stdin
+ * @returns {Buffer} Raw stdout
+ * @throws {GitError} If git fails
+ */
+function runGit(args, cwd, input) {
+  try {
+    return execFileSync('git', args, { cwd, input, maxBuffer: MAX_GIT_OUTPUT, stdio: ['pipe', 'pipe', 'pipe'] });
+  } catch (error) {
+    const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+    throw new GitError(`git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Finds the root of the repository containing a directory
+ * @param {string} dir - Directory inside the repository
+ * @returns {string} Repository root
+ * @throws {GitError} If the directory is not inside a git repository
+ */
+function findRepositoryRoot(dir) {
+  try {
+    return runGit(['rev-parse', '--show-toplevel'], dir).toString().trim();
+  } catch {
+    throw new GitError(`${dir} is not inside a git repository`);
+  }
+}
+
+/**
+ * Parses a sampling interval such as "1.week", "3.days" or "12 hours"
+ * @param {string} text - Interval
+ * @returns {number} Interval in seconds
+ * @throws {GitError} If the interval cannot be parsed
+ */
+function parseInterval(text) {
+  const match = /^(\d+)[.\s]*([a-z]+?)s?$/i.exec(String(text).trim());
+  const unit = match && INTERVAL_UNITS[match[2].toLowerCase()];
+  if (!unit || Number(match[1]) === 0) {
+    throw new GitError(`Invalid interval: ${text}. Expected e.g. 1.week, 3.days or 12.hours`);
+  }
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Lists the commits on the first-parent line of HEAD, newest first
+ * @param {string} repoRoot - Repository root
+ * @param {string} since - Any date git understands, e.g. "6.months" or "2024-01-01"
+ * @returns {object[]} Commits of shape { sha, timestamp }
+ */
+function listCommits(repoRoot, since) {
+  const output = runGit(['log', '--first-parent', '--format=%H %ct', `--since=${since}`, 'HEAD'], repoRoot).toString();
+  return output.split('\n').filter(Boolean).map(line => {
+    const [sha, timestamp] = line.split(' ');
+    return { sha, timestamp: Number(timestamp) };
+  });
+}
+
+/**
+ * Keeps the newest commit of each interval
+ * @param {object[]} commits - Commits, newest first
+ * @param {number} interval - Minimum time between samples, in seconds
+ * @returns {object[]} Sampled commits, oldest first
+ */
+function sampleCommits(commits, interval) {
+  const sampled = [];
+  for (const commit of commits) {
+    const previous = sampled[sampled.length - 1];
+    if (!previous || previous.timestamp - commit.timestamp >= interval) sampled.push(commit);
+  }
+  return sampled.reverse();
+}
+
+/**
+ * Lists the files of a revision
+ * @param {string} repoRoot - Repository root
+ * @param {string} sha - Commit to read
+ * @param {string} pathspec - Path relative to the repository root ('' for everything)
+ * @returns {object[]} Files of shape { path, blob }
+ */
+function listFiles(repoRoot, sha, pathspec) {
+  const args = ['ls-tree', '-r', '-z', '--full-tree', sha];
+  if (pathspec) args.push('--', pathspec);
+  return runGit(args, repoRoot).toString().split('\0').filter(Boolean).flatMap(entry => {
+    const [info, filePath] = entry.split('\t');
+    const [, type, blob] = info.split(' ');
+    return type === 'blob' ? [{ path: filePath, blob }] : [];
+  });
+}
+
+/**
+ * Reads blob contents from the object database in a single git process
+ * @param {string} repoRoot - Repository root
+ * @param {string[]} objects - Blob ids, or names such as `HEAD:src/a.js` and `:src/a.js` (the index)
+ * @returns {Map<string, string>} Decoded contents with LF line endings by requested id or name;
+ *   missing objects and binary blobs are left out
+ */
+function readBlobs(repoRoot, objects) {
+  const contents = new Map();
+  if (objects.length === 0) return contents;
+
+  // Entries come back in request order, each headed by "<id> <type> <size>" or "<name> missing"
+  const output = runGit(['cat-file', '--batch'], repoRoot, objects.join('\n') + '\n');
+  let offset = 0;
+  for (const object of objects) {
+    const headerEnd = output.indexOf(10, offset);
+    const header = output.subarray(offset, headerEnd).toString().split(' ');
+    offset = headerEnd + 1;
+    if (header[header.length - 1] === 'missing' || header[header.length - 1] === 'ambiguous') continue;
+    const size = Number(header[2]);
+    const { code } = header[1] === 'blob' ? decodeSource(output.subarray(offset, offset + size)) : { code: null };
+    if (code !== null) contents.set(object, code);
+    offset += size + 1;
+  }
+  return contents;
+}
+
+/**
+ * Analyzes sampled revisions of a repository
+ * @param {object} options - What to analyze
+ * @param {string} options.repoRoot - Repository root
+ * @param {string} options.pathspec - Path relative to the repository root ('' for everything)
+ * @param {string} options.since - Earliest commit date, in any form git understands
+ * @param {number} options.interval - Minimum time between samples, in seconds
+ * @param {Function} options.isIncluded - Called with a file path; false skips the file
+ * @param {Function} options.analyze - Called with (code, filePath); returns an analysis result
+ * @returns {object[]} Samples of shape { commit, timestamp, results }, oldest first
+ */
+function collectHistory({ repoRoot, pathspec, since, interval, isIncluded, analyze }) {
+  const analyzed = new Map();
+
+  return sampleCommits(listCommits(repoRoot, since), interval).map(commit => {
+    const files = listFiles(repoRoot, commit.sha, pathspec).filter(file => isIncluded(file.path));
+
+    // Unchanged files keep their blob id, so each version is only analyzed once
+    const pending = [...new Set(files.map(file => file.blob).filter(blob => !analyzed.has(blob)))];
+    const contents = readBlobs(repoRoot, pending);
+    for (const file of files) {
+      if (!analyzed.has(file.blob) && contents.has(file.blob)) {
+        analyzed.set(file.blob, analyze(contents.get(file.blob), file.path));
+      }
+    }
+
+    return {
+      commit: commit.sha,
+      timestamp: commit.timestamp,
+      results: files.filter(file => analyzed.get(file.blob)).map(file => ({ path: file.path, ...analyzed.get(file.blob) }))
+    };
+  });
+}
+
+/**
+ * Draws a sparkline scaled between the lowest and highest value
+ * @param {number[]} values - Values to draw
+ * @returns {string} One character per value
+ */
+function formatSparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return values
+    .map(value => SPARK_CHARS[range === 0 ? 3 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+/**
+ * Formats the history as terminal text
+ * @param {object[]} points - Series points, each { date, commit, fileCount, avgScore, dominantMood, moodCounts }
+ * @param {object} meta - Run information
+ * @param {string} meta.target - Path that was analyzed
+ * @param {string} meta.since - Earliest commit date as given
+ * @param {string} meta.every - Sampling interval as given
+ * @returns {string} Formatted output
+ */
+function formatHistoryText(points, meta) {
+  const divider = '═'.repeat(50);
+  const thinDivider = '─'.repeat(50);
+  const scored = points.filter(point => point.avgScore !== null);
+
+  if (scored.length === 0) {
+    return `No commits with supported code files in ${meta.target} since ${meta.since}.`;
+  }
+
+  const first = scored[0].avgScore;
+  const last = scored[scored.length - 1].avgScore;
+  const trend = last > first ? '📈 getting happier' : last < first ? '📉 getting sadder' : '➡️  holding steady';
+
+  return `
+${divider}
+  🕰️  MOOD HISTORY: ${meta.target}
+${divider}
+
+  ${points.length} samples since ${meta.since}, every ${meta.every}
+
+  ${formatSparkline(scored.map(point => point.avgScore))}  ${first} → ${last}  ${trend}
+
+${thinDivider}
+${points.map(point => {
+    const day = point.date.slice(0, 10);
+    if (point.avgScore === null) return `  ${day}  ${point.commit.slice(0, 7)}   -  (no files)`;
+    return `  ${day}  ${point.commit.slice(0, 7)}  ${String(point.avgScore).padStart(3)}  ${MOOD_EMOJIS[point.dominantMood]} ${point.dominantMood.padEnd(12)} (${point.fileCount} files)`;
+  }).join('\n')}
+${divider}
+`;
+}
+
+/**
+ * Formats the history as CSV, with one column per mood
+ * @param {object[]} points - Series points
+ * @returns {string} CSV with a header row
+ */
+function formatHistoryCsv(points) {
+  const moods = Object.keys(MOOD_EMOJIS);
+  const rows = points.map(point => [
+    point.date,
+    point.commit,
+    point.fileCount,
+    point.avgScore,
+    point.dominantMood,
+    ...moods.map(mood => point.moodCounts[mood] || 0)
+  ]);
+  return formatCsv([['date', 'commit', 'files', 'avgScore', 'dominantMood', ...moods], ...rows]);
+}
+
+module.exports = {
+  collectHistory,
+  runGit,
+  readBlobs,
+  findRepositoryRoot,
+  listCommits,
+  sampleCommits,
+  parseInterval,
+  formatSparkline,
+  formatHistoryText,
+  formatHistoryCsv,
+  GitError
+};
@@ -0,0 +1,231 @@
+/**
+ * HTML report for the Code Mood Analyzer
+ * Renders a single offline HTML file with no external assets
+ */
+
+const { getWorstFunctions, MOOD_EMOJIS } = require('./analyzer');
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Maps a mood score onto a red-to-green color
+ * @param {number} score - Mood score from 0 to 100
+ * @returns {string} CSS color
+ */
+function scoreColor(score) {
+  return `hsl(${Math.round(score * 1.2)}, 65%, 42%)`;
+}
+
+/**
+ * Builds a directory tree with the average score of the files under each directory
+ * @param {object[]} results - Analysis results with their relative paths
+ * @returns {object} Root node of shape { name, files, children, totalScore, fileCount }
+ */
+function buildTree(results) {
+  const root = { name: '.', files: [], children: {}, totalScore: 0, fileCount: 0 };
+  for (const result of results) {
+    const parts = result.path.split(/[\\/]/);
+    let node = root;
+    node.totalScore += result.moodResult.score;
+    node.fileCount++;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.children[part]) {
+        node.children[part] = { name: part, files: [], children: {}, totalScore: 0, fileCount: 0 };
+      }
+      node = node.children[part];
+      node.totalScore += result.moodResult.score;
+      node.fileCount++;
+    }
+    node.files.push({ name: parts[parts.length - 1], result });
+  }
+  return root;
+}
+
+/**
+ * Renders a directory tree node and its descendants
+ * @param {object} node - Tree node from buildTree
+ * @returns {string} HTML list
+ */
+function renderTree(node) {
+  const average = Math.round(node.totalScore / node.fileCount);
+  const directories = Object.values(node.children)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(renderTree);
+  const files = node.files
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(({ name, result }) => `<li><span class="badge" style="background:${scoreColor(result.moodResult.score)}">${result.moodResult.score}</span> ${MOOD_EMOJIS[result.moodResult.mood]} ${escapeHtml(name)}</li>`);
+
+  return `<li class="dir"><span class="badge" style="background:${scoreColor(average)}">${average}</span> <strong>${escapeHtml(node.name)}/</strong>
+<ul>${[...directories, ...files].join('\n')}</ul></li>`;
+}
+
+/**
+ * Renders the mood distribution chart
+ * @param {object} aggregate - Result of calculateAggregateMood
+ * @returns {string} HTML chart
+ */
+function renderDistribution(aggregate) {
+  return Object.entries(aggregate.moodCounts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([mood, count]) => {
+      const percentage = Math.round((count / aggregate.fileCount) * 100);
+      return `<div class="bar-row"><span class="bar-label">${MOOD_EMOJIS[mood]} ${escapeHtml(mood)}</span>
+<span class="bar-track"><span class="bar" style="width:${percentage}%"></span></span>
+<span class="bar-value">${percentage}% (${count} files)</span></div>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Renders the expandable statistics panel of one file
+ * @param {object} result - Analysis result with its relative path
+ * @returns {string} HTML details element
+ */
+function renderFilePanel(result) {
+  const { metrics, moodResult, suggestions } = result;
+  const stats = [
+    ['Total Lines', metrics.totalLines],
+    ['Code Lines', metrics.codeLines],
+    ['Comment Lines', metrics.commentLines],
+    ['Blank Lines', metrics.blankLines],
+    ['Functions', metrics.functionCount],
+    ['Max Nesting', `${metrics.nestingDepth} levels`],
+    ['Positive Words', metrics.positiveWords],
+    ['Negative Words', metrics.negativeWords],
+    ['Stress Words', metrics.stressWords],
+    ['TODOs', metrics.todoCount],
+    ['FIXMEs', metrics.fixmeCount],
+    ['Hacks', metrics.hackCount],
+    ['Suppressed Hits', metrics.suppressedCount]
+  ];
+  const worstFunctions = getWorstFunctions(metrics);
+
+  return `<details>
+<summary>${moodResult.emoji} <strong>${escapeHtml(result.path)}</strong> &mdash; ${escapeHtml(moodResult.mood)} (${moodResult.score}/100)</summary>
+<p class="description">&ldquo;${escapeHtml(moodResult.description)}&rdquo;</p>
+<table class="stats">${stats.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('')}</table>
+${worstFunctions.length > 0 ? `<h4>Functions needing attention</h4>
+<ul>${worstFunctions.map(fn => `<li>${fn.emoji} ${escapeHtml(fn.name)} (line ${fn.startLine}) &mdash; ${escapeHtml(fn.mood)} (${fn.score}): cyclomatic ${fn.cyclomaticComplexity}, cognitive ${fn.cognitiveComplexity}, ${fn.parameterCount} params, nesting ${fn.nestingDepth}</li>`).join('')}</ul>` : ''}
+${suggestions.length > 0 ? `<h4>Suggestions</h4>
+<ul>${suggestions.map(suggestion => `<li>${escapeHtml(suggestion)}</li>`).join('')}</ul>` : ''}
+</details>`;
+}
+
+/** Inline styles of the report */
+const STYLES = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; padding: 0 1rem; }
+h1 { margin-bottom: 0; }
+.summary { color: #555; }
+.bar-row { display: flex; align-items: center; gap: 0.75rem; margin: 0.25rem 0; }
+.bar-label { width: 9rem; }
+.bar-track { flex: 1; background: #eee; border-radius: 4px; height: 1rem; }
+.bar { display: block; background: #6b8cff; height: 100%; border-radius: 4px; }
+.bar-value { width: 8rem; text-align: right; color: #555; }
+table.files { border-collapse: collapse; width: 100%; }
+table.files th, table.files td { padding: 0.35rem 0.6rem; border-bottom: 1px solid #ddd; text-align: left; }
+table.files th { cursor: pointer; user-select: none; background: #f5f5f5; }
+table.files th::after { content: ' \\2195'; color: #aaa; }
+.badge { display: inline-block; min-width: 2rem; text-align: center; color: #fff; border-radius: 4px; font-size: 0.85em; padding: 0 0.25rem; }
+.tree ul { list-style: none; padding-left: 1.25rem; }
+.tree > ul { padding-left: 0; }
+details { border: 1px solid #ddd; border-radius: 6px; padding: 0.5rem 0.75rem; margin: 0.5rem 0; }
+summary { cursor: pointer; }
+.description { font-style: italic; color: #555; }
+table.stats th { text-align: left; font-weight: normal; color: #555; padding-right: 1.5rem; }
+`;
+
+/** Inline script making the file table sortable */
+const SORT_SCRIPT = `
+document.querySelectorAll('table.files th').forEach(function (header, column) {
+  header.addEventListener('click', function () {
+    var table = header.closest('table');
+    var body = table.tBodies[0];
+    var ascending = header.dataset.order !== 'asc';
+    table.querySelectorAll('th').forEach(function (th) { delete th.dataset.order; });
+    header.dataset.order = ascending ? 'asc' : 'desc';
+    Array.from(body.rows)
+      .sort(function (a, b) {
+        var x = a.cells[column].dataset.sort;
+        var y = b.cells[column].dataset.sort;
+        var result = header.dataset.type === 'number' ? Number(x) - Number(y) : x.localeCompare(y);
+        return ascending ? result : -result;
+      })
+      .forEach(function (row) { body.appendChild(row); });
+  });
+});
+`;
+
+/**
+ * Builds the HTML report
+ * @param {object[]} results - Analysis results, each { path, metrics, moodResult, suggestions }
+ * @param {object} aggregate - Result of calculateAggregateMood
+ * @param {object} meta - Run information
+ * @param {string} meta.version - Analyzer version
+ * @param {string} meta.target - Path that was analyzed
+ * @returns {string} Complete HTML document
+ */
+function buildHtmlReport(results, aggregate, meta) {
+  const sorted = [...results].sort((a, b) => a.path.localeCompare(b.path));
+  const rows = sorted.map(result => `<tr>
+<td data-sort="${escapeHtml(result.path)}">${escapeHtml(result.path)}</td>
+<td data-sort="${escapeHtml(result.metrics.language || '')}">${escapeHtml(result.metrics.language || '')}</td>
+<td data-sort="${result.moodResult.score}"><span class="badge" style="background:${scoreColor(result.moodResult.score)}">${result.moodResult.score}</span></td>
+<td data-sort="${escapeHtml(result.moodResult.mood)}">${result.moodResult.emoji} ${escapeHtml(result.moodResult.mood)}</td>
+<td data-sort="${result.metrics.totalLines}">${result.metrics.totalLines}</td>
+</tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Code Mood Report &mdash; ${escapeHtml(meta.target)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>🎭 Code Mood Report</h1>
+<p class="summary">${escapeHtml(meta.target)} &middot; ${aggregate.fileCount} files &middot; average score
+<span class="badge" style="background:${scoreColor(aggregate.avgScore)}">${aggregate.avgScore}</span> &middot;
+dominant mood ${MOOD_EMOJIS[aggregate.dominantMood]} ${escapeHtml(aggregate.dominantMood)} &middot; code-mood-analyzer v${escapeHtml(meta.version)}</p>
+
+<h2>Mood Distribution</h2>
+<div class="chart">
+${renderDistribution(aggregate)}
+</div>
+
+<h2>Files</h2>
+<table class="files">
+<thead><tr><th>File</th><th>Language</th><th data-type="number">Score</th><th>Mood</th><th data-type="number">Lines</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+
+<h2>Directory Tree</h2>
+<div class="tree"><ul>${renderTree(buildTree(sorted))}</ul></div>
+
+<h2>File Details</h2>
+${sorted.map(renderFilePanel).join('\n')}
+
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildHtmlReport,
+  escapeHtml
+};
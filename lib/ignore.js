@@ -0,0 +1,167 @@
+/**
+ * Ignore files and globs for the Code Mood Analyzer
+ * Applies .gitignore and .codemoodignore files with gitignore semantics, plus
+ * --include and --exclude globs, to directory scans
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/** Ignore files read from every scanned directory, later files taking precedence */
+const IGNORE_FILENAMES = ['.gitignore', '.codemoodignore'];
+
+/**
+ * Translates a glob into a regular expression source, without anchors
+ * @param {string} glob - Glob using `*`, `**`, `?`, `[...]` and `\` escapes
+ * @returns {string} Regular expression source
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    const atSegmentStart = i === 0 || glob[i - 1] === '/';
+    if (char === '*' && glob[i + 1] === '*' && atSegmentStart && (glob[i + 2] === '/' || i + 2 === glob.length)) {
+      // `**/` matches any number of directories, a trailing `**` everything inside
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += 2;
+    } else if (char === '*') {
+      source += '[^/]*';
+      while (glob[i + 1] === '*') i++;
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${body}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compiles one gitignore-style pattern
+ * @param {string} pattern - Pattern; a leading `!` negates it, a trailing `/` only matches directories,
+ *   and a `/` anywhere else anchors it to its base directory instead of matching at any depth
+ * @returns {object|null} Rule of shape { regex, negate, dirOnly }, or null for blank lines and comments
+ */
+function compilePattern(pattern) {
+  let text = pattern.replace(/(?<!\\)\s+$/, '');
+  if (text === '' || text.startsWith('#')) return null;
+
+  const negate = text.startsWith('!');
+  if (negate) text = text.slice(1);
+  else if (text.startsWith('\\!') || text.startsWith('\\#')) text = text.slice(1);
+
+  const dirOnly = text.endsWith('/');
+  if (dirOnly) text = text.slice(0, -1);
+  const anchored = text.includes('/');
+  text = text.replace(/^\//, '');
+  if (text === '') return null;
+
+  const prefix = anchored ? '' : '(?:.*/)?';
+  return { regex: new RegExp(`^${prefix}${globToRegExpSource(text)}$`), negate, dirOnly };
+}
+
+/**
+ * Parses the contents of an ignore file
+ * @param {string} content - File contents
+ * @returns {object[]} Rules in file order
+ */
+function parseIgnoreFile(content) {
+  return content.split(/\r?\n/).map(compilePattern).filter(Boolean);
+}
+
+/**
+ * Applies rules to a path, the last matching rule winning
+ * @param {object[]} rules - Compiled rules
+ * @param {string} relativePath - Path relative to the rules' base directory, with forward slashes
+ * @param {boolean} isDir - Whether the path is a directory
+ * @param {boolean} [ignored] - Decision of earlier rules
+ * @returns {boolean} True if the path is ignored
+ */
+function matchRules(rules, relativePath, isDir, ignored = false) {
+  for (const rule of rules) {
+    if ((!rule.dirOnly || isDir) && rule.regex.test(relativePath)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Finds the directory whose ignore files apply to a scan: the enclosing
+ * git repository, or the scanned directory itself outside a repository
+ * @param {string} dir - Scanned directory
+ * @returns {string} Directory to start reading ignore files from
+ */
+function findIgnoreRoot(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    if (fs.existsSync(path.join(current, '.git'))) return current;
+    if (path.dirname(current) === current) return dir;
+  }
+}
+
+/**
+ * Converts a path to forward slashes, relative to a base directory
+ * @param {string} base - Base directory
+ * @param {string} fullPath - Absolute path
+ * @returns {string} Relative path with forward slashes
+ */
+function toRelative(base, fullPath) {
+  return path.relative(base, fullPath).split(path.sep).join('/');
+}
+
+/**
+ * Creates the filter deciding which files and directories a scan visits
+ * @param {string} root - Scanned directory
+ * @param {object} [options] - Filter options
+ * @param {string[]} [options.include] - Globs relative to root; when given, only matching files are kept
+ * @param {string[]} [options.exclude] - Globs relative to root; matching files and directories are skipped
+ * @param {boolean} [options.ignoreFiles] - Apply .gitignore and .codemoodignore files
+ * @returns {Function} Called with (fullPath, isDir); returns false to skip the path
+ */
+function createFileFilter(root, { include = [], exclude = [], ignoreFiles = true } = {}) {
+  const includeRules = include.map(compilePattern).filter(Boolean);
+  const excludeRules = exclude.map(compilePattern).filter(Boolean);
+  const ignoreRoot = ignoreFiles ? findIgnoreRoot(root) : null;
+  const rulesByDir = new Map();
+
+  const rulesOf = dir => {
+    if (!rulesByDir.has(dir)) {
+      rulesByDir.set(dir, IGNORE_FILENAMES.flatMap(name => {
+        try {
+          return parseIgnoreFile(fs.readFileSync(path.join(dir, name), 'utf8'));
+        } catch {
+          return [];
+        }
+      }));
+    }
+    return rulesByDir.get(dir);
+  };
+
+  return (fullPath, isDir) => {
+    const relativePath = toRelative(root, fullPath);
+    if (matchRules(excludeRules, relativePath, isDir)) return false;
+    if (!isDir && includeRules.length > 0 && !matchRules(includeRules, relativePath, false)) return false;
+    if (!ignoreRoot) return true;
+
+    // Ignore files from the repository root down to the path's directory, deeper ones taking precedence
+    let ignored = false;
+    const parents = toRelative(ignoreRoot, path.dirname(fullPath)).split('/').filter(Boolean);
+    for (let depth = 0; depth <= parents.length; depth++) {
+      const dir = path.join(ignoreRoot, ...parents.slice(0, depth));
+      ignored = matchRules(rulesOf(dir), toRelative(dir, fullPath), isDir, ignored);
+    }
+    return !ignored;
+  };
+}
+
+module.exports = {
+  createFileFilter,
+  compilePattern,
+  parseIgnoreFile,
+  IGNORE_FILENAMES
+};
@@ -0,0 +1,65 @@
+/**
+ * JSON report for the Code Mood Analyzer
+ * Builds the stable, versioned document emitted by `--format json`
+ */
+
+const { getWorstFunctions } = require('./analyzer');
+
+/**
+ * Version of the JSON document layout. Bump it whenever a field is removed,
+ * renamed or changes meaning; adding fields does not require a bump.
+ */
+const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Builds the JSON report document
+ * @param {object[]} results - Analysis results, each { path, metrics, moodResult, suggestions }
+ * @param {object|null} aggregate - Result of calculateAggregateMood, or null when nothing was analyzed
+ * @param {object} meta - Run information
+ * @param {string} meta.version - Analyzer version
+ * @param {string} meta.target - Path that was analyzed, as given on the command line
+ * @param {object[]} [meta.authors] - Per-author aggregates from aggregateByAuthor, for --by-author
+ * @param {object} [meta.gates] - Quality gate outcome of shape { passed, violations }, when gates are set
+ * @param {object[]} [meta.warnings] - Warnings collected while scanning, each { path, message }
+ * @param {object|null} [meta.testSummary] - Aggregate of the test files, when they are summarized
+ *   apart from the production code in summary
+ * @returns {object} Report document
+ */
+function buildJsonReport(results, aggregate, meta) {
+  const report = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    tool: {
+      name: 'code-mood-analyzer',
+      version: meta.version
+    },
+    target: meta.target,
+    files: results.map(result => ({
+      path: result.path,
+      metrics: result.metrics,
+      moodResult: result.moodResult,
+      suggestions: result.suggestions,
+      worstFunctions: getWorstFunctions(result.metrics)
+    })),
+    summary: aggregate
+  };
+  if (meta.authors) report.authors = meta.authors;
+  if (meta.gates) report.gates = meta.gates;
+  if (meta.warnings && meta.warnings.length > 0) report.warnings = meta.warnings;
+  if (meta.testSummary !== undefined) report.testSummary = meta.testSummary;
+  return report;
+}
+
+/**
+ * Serializes the JSON report document
+ * @param {object} report - Document from buildJsonReport
+ * @returns {string} Pretty-printed JSON
+ */
+function formatJsonReport(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+module.exports = {
+  buildJsonReport,
+  formatJsonReport,
+  JSON_SCHEMA_VERSION
+};
@@ -0,0 +1,242 @@
+/**
+ * Language Registry for the Code Mood Analyzer
+ * Describes the comment, string and declaration syntax of each supported language
+ */
+
+const path = require('path');
+
+/** Keywords that look like calls but never start a function declaration */
+const CONTROL_KEYWORDS = '(?!(?:if|for|foreach|while|switch|catch|return|new|else|throw|sizeof|using|lock)\\b)';
+
+/** Method declaration in C-family languages, e.g. `public static int add(int a, int b) {` */
+const C_FAMILY_METHOD = new RegExp(
+  `^\\s*(?:[\\w\\[\\]]+\\s+)*${CONTROL_KEYWORDS}[\\w<>\\[\\],.*&:?]+\\s+[*&]*${CONTROL_KEYWORDS}(?<name>[\\w:~]+)\\s*\\(`
+);
+
+/** Function declarations, function expressions, arrows and methods in JavaScript-like languages */
+const JS_FUNCTIONS = [
+  /\bfunction\b\s*\*?\s*(?<name>[\w$]+)?\s*\(/,
+  /\b(?:const|let|var)\s+(?<name>[\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[\w$]+)\s*(?::[^=]+)?=>/,
+  /=>\s*{/,
+  /^\s*(?:(?:async|static|get|set|public|private|protected|readonly|override)\s+)*\*?(?!(?:if|for|while|switch|catch|function|return|with)\b)(?<name>[\w$]+)\s*\([^)]*\)\s*(?::[^{;]+)?{/
+];
+
+/** Shared comment and string syntax */
+const C_BLOCK_COMMENT = { start: '/*', end: '*/' };
+const DOUBLE_QUOTED = { start: '"', end: '"', escape: '\\' };
+const SINGLE_QUOTED = { start: '\'', end: '\'', escape: '\\' };
+const TRIPLE_DOUBLE_QUOTED = { start: '"""', end: '"""', escape: '\\', multiline: true };
+const TEMPLATE_LITERAL = { start: '`', end: '`', escape: '\\', multiline: true, interpolation: '${' };
+
+/**
+ * Supported languages. Each entry defines:
+ * - id / name: identifiers used in metrics and output
+ * - extensions: file extensions handled by the language
+ * - lineComments: tokens that start a comment running to the end of the line
+ * - blockComments: { start, end, lineStart } delimiters of multi-line comments;
+ *   lineStart comments are only recognized before any other code on the line
+ * - docstrings: { start, end } delimiters of documentation strings, recognized at
+ *   the start of a line and counted as comments
+ * - strings: { start, end, escape, multiline, interpolation } string literal
+ *   delimiters, or { pattern } for literals matched by a sticky regex
+ * - regexLiterals: whether `/.../` regex literals exist in the language
+ * - blockStyle: how function bodies are delimited: 'braces', 'indent' or 'end'
+ * - functionPatterns: regexes matching a function declaration on a line; a `name`
+ *   group captures the function name, and the parameter list follows the match
+ *   (or precedes `=>` for arrow functions)
+ * - variablePatterns: regexes matching a line that declares a variable
+ *
+ * Adding a language only requires adding an entry here.
+ */
+const LANGUAGES = [
+  {
+    id: 'javascript',
+    name: 'JavaScript',
+    extensions: ['.js', '.jsx'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, TEMPLATE_LITERAL],
+    regexLiterals: true,
+    blockStyle: 'braces',
+    functionPatterns: JS_FUNCTIONS,
+    variablePatterns: [/(?:const|let|var)\s+\w+/]
+  },
+  {
+    id: 'typescript',
+    name: 'TypeScript',
+    extensions: ['.ts', '.tsx'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, TEMPLATE_LITERAL],
+    regexLiterals: true,
+    blockStyle: 'braces',
+    functionPatterns: JS_FUNCTIONS,
+    variablePatterns: [/(?:const|let|var)\s+\w+/]
+  },
+  {
+    id: 'python',
+    name: 'Python',
+    extensions: ['.py'],
+    lineComments: ['#'],
+    blockComments: [],
+    docstrings: [{ start: '"""', end: '"""' }, { start: '\'\'\'', end: '\'\'\'' }],
+    strings: [
+      TRIPLE_DOUBLE_QUOTED,
+      { start: '\'\'\'', end: '\'\'\'', escape: '\\', multiline: true },
+      DOUBLE_QUOTED,
+      SINGLE_QUOTED
+    ],
+    regexLiterals: false,
+    blockStyle: 'indent',
+    functionPatterns: [/^\s*(?:async\s+)?def\s+(?<name>\w+)\s*\(/],
+    variablePatterns: [/^\s*[A-Za-z_]\w*\s*(?::\s*[^=]+)?=(?!=)/]
+  },
+  {
+    id: 'java',
+    name: 'Java',
+    extensions: ['.java'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [TRIPLE_DOUBLE_QUOTED, DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [C_FAMILY_METHOD],
+    variablePatterns: [/^\s*(?:final\s+)?(?:int|long|double|float|boolean|char|byte|short|var|String|[A-Z]\w*(?:<[^>]*>)?(?:\[\])?)\s+\w+\s*(?:=|;)/]
+  },
+  {
+    id: 'c',
+    name: 'C',
+    extensions: ['.c'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [C_FAMILY_METHOD],
+    variablePatterns: [/^\s*(?:static\s+|const\s+|unsigned\s+|signed\s+)*(?:int|long|short|char|float|double|size_t|bool|struct\s+\w+|\w+_t)\s*\**\s*\w+\s*(?:\[[^\]]*\])?\s*(?:=|;)/]
+  },
+  {
+    id: 'cpp',
+    name: 'C++',
+    extensions: ['.cpp'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [C_FAMILY_METHOD, /\[[^\]]*\]\s*\(/],
+    variablePatterns: [/^\s*(?:static\s+|const\s+|unsigned\s+|constexpr\s+)*(?:int|long|short|char|float|double|size_t|bool|auto|std::\w+(?:<[^>]*>)?)\s*[*&]*\s*\w+\s*(?:\[[^\]]*\])?\s*(?:=|;|{)/]
+  },
+  {
+    id: 'csharp',
+    name: 'C#',
+    extensions: ['.cs'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [{ start: '@"', end: '"', multiline: true }, DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [C_FAMILY_METHOD, /=>\s*{/],
+    variablePatterns: [/^\s*(?:const\s+|readonly\s+)*(?:int|long|double|float|bool|char|byte|short|decimal|string|var|[A-Z]\w*(?:<[^>]*>)?(?:\[\])?)\s+\w+\s*(?:=|;)/]
+  },
+  {
+    id: 'go',
+    name: 'Go',
+    extensions: ['.go'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED, { start: '`', end: '`', multiline: true }],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [/\bfunc\s*(?:\([^)]*\)\s*)?(?<name>\w+)?\s*\(/],
+    variablePatterns: [/\bvar\s+\w+|\b\w+(?:\s*,\s*\w+)*\s*:=/]
+  },
+  {
+    id: 'ruby',
+    name: 'Ruby',
+    extensions: ['.rb'],
+    lineComments: ['#'],
+    blockComments: [{ start: '=begin', end: '=end', lineStart: true }],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'end',
+    functionPatterns: [/^\s*def\s+(?:self\.)?(?<name>[\w?!=]+)/],
+    variablePatterns: [/^\s*@{0,2}[a-z_]\w*\s*=(?![=~])/]
+  },
+  {
+    id: 'rust',
+    name: 'Rust',
+    extensions: ['.rs'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, { pattern: /'(?:\\[^']*|[^\\'\n])'/y }],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [/\bfn\s+(?<name>\w+)\s*(?:<[^(]*>)?\s*\(/],
+    variablePatterns: [/\blet\s+(?:mut\s+)?\w+|\b(?:const|static)\s+[A-Z_]\w*\s*:/]
+  },
+  {
+    id: 'php',
+    name: 'PHP',
+    extensions: ['.php'],
+    lineComments: ['//', '#'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [DOUBLE_QUOTED, SINGLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [/\bfunction\s*&?\s*(?<name>\w+)?\s*\(/, /\bfn\s*\([^)]*\)\s*=>/],
+    variablePatterns: [/\$\w+\s*=(?![=>])/]
+  },
+  {
+    id: 'swift',
+    name: 'Swift',
+    extensions: ['.swift'],
+    lineComments: ['//'],
+    blockComments: [C_BLOCK_COMMENT],
+    docstrings: [],
+    strings: [TRIPLE_DOUBLE_QUOTED, DOUBLE_QUOTED],
+    regexLiterals: false,
+    blockStyle: 'braces',
+    functionPatterns: [/\bfunc\s+(?<name>\w+)\s*(?:<[^(]*>)?\s*\(/],
+    variablePatterns: [/\b(?:let|var)\s+\w+/]
+  }
+];
+
+/** Language used when a file's extension is unknown */
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+/**
+ * Finds the language registered for a filename's extension
+ * @param {string} filename - The filename to look up
+ * @returns {object|null} Language definition or null if unsupported
+ */
+function getLanguageByFilename(filename) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return LANGUAGES.find(language => language.extensions.includes(ext)) || null;
+}
+
+/**
+ * Finds the language for a filename, falling back to the default language
+ * @param {string} filename - The filename to look up
+ * @returns {object} Language definition
+ */
+function resolveLanguage(filename) {
+  return getLanguageByFilename(filename) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLanguageByFilename,
+  resolveLanguage
+};
@@ -0,0 +1,303 @@
+/**
+ * Language server for the Code Mood Analyzer
+ * Speaks the Language Server Protocol over a pair of streams (stdio in the CLI):
+ * open and changed documents are analyzed and their findings published as
+ * diagnostics, and hovering the first line shows the file's mood
+ */
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { analyzeSource, DEFAULT_SCORING } = require('./analyzer');
+const { loadConfig, CONFIG_FILENAMES } = require('./config');
+const { normalizeLineEndings } = require('./fileUtils');
+const { FINDING_RULES } = require('./ciReports');
+
+/** Finding kinds published as diagnostics */
+const DIAGNOSTIC_KINDS = ['hack', 'fixme', 'stress', 'deep-nesting', 'long-line'];
+
+/** LSP DiagnosticSeverity for each SARIF level of a finding rule */
+const SEVERITIES = { error: 1, warning: 2, note: 3 };
+
+/** Time to wait after the last edit of a document before analyzing it, in milliseconds */
+const DEFAULT_DEBOUNCE_MS = 150;
+
+/** JSON-RPC error codes */
+const ERROR_CODES = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  internalError: -32603,
+  serverNotInitialized: -32002
+};
+
+/** TextDocumentSyncKind.Full: clients send the whole document on every change */
+const SYNC_FULL = 1;
+
+/**
+ * Frames a JSON-RPC message with its Content-Length header
+ * @param {object} message - Message to send
+ * @returns {string} Header and body
+ */
+function encodeMessage(message) {
+  const json = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`;
+}
+
+/**
+ * Creates a parser that splits a byte stream into JSON-RPC messages
+ * @param {Function} onMessage - Called with each parsed message, or with an Error for a malformed
+ *   one; what it throws is not mistaken for a malformed message
+ * @returns {Function} Called with each chunk read from the stream
+ */
+function createMessageParser(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = /^Content-Length: *(\d+)$/im.exec(buffer.subarray(0, headerEnd).toString('ascii'));
+      if (!match) {
+        // Without a length the rest of the stream cannot be framed; skip past the bad header
+        buffer = buffer.subarray(headerEnd + 4);
+        onMessage(new Error('Missing Content-Length header'));
+        continue;
+      }
+      const bodyStart = headerEnd + 4;
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (buffer.length < bodyEnd) return;
+      const body = buffer.subarray(bodyStart, bodyEnd).toString('utf8');
+      buffer = buffer.subarray(bodyEnd);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        onMessage(error);
+        continue;
+      }
+      onMessage(message);
+    }
+  };
+}
+
+/**
+ * Resolves the path a document URI stands for
+ * @param {string} uri - Document URI
+ * @param {string} rootDir - Workspace root, used for documents that are not files
+ * @returns {string} File path; unsaved documents get a path in the workspace root
+ */
+function uriToPath(uri, rootDir) {
+  if (uri.startsWith('file:')) return fileURLToPath(uri);
+  return path.join(rootDir, path.basename(decodeURIComponent(uri.replace(/^[a-z]+:/i, ''))) || 'untitled');
+}
+
+/**
+ * Converts the findings of an analysis into LSP diagnostics
+ * @param {object} result - Analysis result of the document
+ * @param {string[]} lines - Lines of the analyzed text
+ * @returns {object[]} Diagnostics with 0-based ranges
+ */
+function toDiagnostics(result, lines) {
+  return result.metrics.findings
+    .filter(finding => DIAGNOSTIC_KINDS.includes(finding.kind))
+    .map(finding => {
+      const rule = FINDING_RULES[finding.kind];
+      const line = finding.line - 1;
+      const start = finding.column - 1;
+      const sourceLine = lines[line] || '';
+      // Marker and word findings cover their text, the others the rest of their line
+      const end = sourceLine.startsWith(finding.text, start) ? start + finding.text.length : sourceLine.length;
+      return {
+        range: { start: { line, character: start }, end: { line, character: Math.max(end, start) } },
+        severity: SEVERITIES[rule.level],
+        code: rule.id,
+        source: 'code-mood',
+        message: rule.describe(finding)
+      };
+    });
+}
+
+/**
+ * Formats the hover shown on a document's first line
+ * @param {object} result - Analysis result of the document
+ * @returns {string} Markdown with the mood, score, description and suggestions
+ */
+function formatHover(result) {
+  const { moodResult, suggestions } = result;
+  return [
+    `**${moodResult.emoji} Code mood: ${moodResult.mood}** (score ${moodResult.score}/100)`,
+    '',
+    `_${moodResult.description}_`,
+    ...(suggestions.length > 0 ? ['', ...suggestions.map(suggestion => `- ${suggestion}`)] : [])
+  ].join('\n');
+}
+
+/**
+ * Starts a language server on a pair of streams
+ * @param {object} options - Server options
+ * @param {stream.Readable} options.input - Stream the client writes to (stdin)
+ * @param {stream.Writable} options.output - Stream the client reads from (stdout)
+ * @param {object} [options.configOptions] - Arguments of loadConfig besides target (configPath,
+ *   pluginPaths); each document uses the configuration nearest to it
+ * @param {number} [options.debounceMs] - Quiet time to wait for after the last edit of a document
+ * @param {Function} [options.onExit] - Called with the exit code when the client sends exit
+ * @returns {{close: Function}} Handle that stops the server
+ */
+function startLanguageServer({ input, output, configOptions = {}, debounceMs = DEFAULT_DEBOUNCE_MS, onExit = () => {} }) {
+  const documents = new Map();
+  const configs = new Map();
+  let rootDir = process.cwd();
+  let initialized = false;
+  let shuttingDown = false;
+
+  const send = message => output.write(encodeMessage({ jsonrpc: '2.0', ...message }));
+  const notify = (method, params) => send({ method, params });
+  // Failures outside a request have nobody to answer; they go to the client's log instead
+  const logError = message => notify('window/logMessage', { type: 1, message: `code-mood: ${message}` });
+
+  const configFor = filePath => {
+    const dir = path.dirname(filePath);
+    if (!configs.has(dir)) {
+      try {
+        configs.set(dir, loadConfig({ ...configOptions, target: filePath }).config);
+      } catch (error) {
+        // An invalid configuration should not stop feedback; report it and use the defaults
+        notify('window/showMessage', { type: 1, message: `code-mood: ${error.message}` });
+        configs.set(dir, DEFAULT_SCORING);
+      }
+    }
+    return configs.get(dir);
+  };
+
+  const analyze = document => {
+    clearTimeout(document.timer);
+    document.timer = null;
+    const filePath = uriToPath(document.uri, rootDir);
+    const text = normalizeLineEndings(document.text);
+    document.result = analyzeSource(text, filePath, configFor(filePath));
+    notify('textDocument/publishDiagnostics', {
+      uri: document.uri,
+      version: document.version,
+      diagnostics: toDiagnostics(document.result, text.split('\n'))
+    });
+  };
+
+  // Analyses triggered by notifications and timers must not take the server down with them
+  const analyzeSafely = document => {
+    try {
+      analyze(document);
+    } catch (error) {
+      logError(`cannot analyze ${document.uri}: ${error.message}`);
+    }
+  };
+
+  const handlers = {
+    initialize: params => {
+      const root = (params.workspaceFolders && params.workspaceFolders[0] && params.workspaceFolders[0].uri) || params.rootUri;
+      if (root && root.startsWith('file:')) rootDir = fileURLToPath(root);
+      else if (params.rootPath) rootDir = params.rootPath;
+      initialized = true;
+      return {
+        capabilities: {
+          textDocumentSync: { openClose: true, change: SYNC_FULL, save: true },
+          hoverProvider: true
+        },
+        serverInfo: { name: 'code-mood' }
+      };
+    },
+    shutdown: () => {
+      shuttingDown = true;
+      return null;
+    },
+    'textDocument/hover': ({ textDocument, position }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document || position.line !== 0) return null;
+      if (document.timer) analyze(document);
+      return document.result ? { contents: { kind: 'markdown', value: formatHover(document.result) } } : null;
+    }
+  };
+
+  const notifications = {
+    'textDocument/didOpen': ({ textDocument }) => {
+      const document = { uri: textDocument.uri, version: textDocument.version, text: textDocument.text, timer: null };
+      documents.set(textDocument.uri, document);
+      analyzeSafely(document);
+    },
+    'textDocument/didChange': ({ textDocument, contentChanges }) => {
+      const document = documents.get(textDocument.uri);
+      if (!document || contentChanges.length === 0) return;
+      document.text = contentChanges[contentChanges.length - 1].text;
+      document.version = textDocument.version;
+      clearTimeout(document.timer);
+      document.timer = setTimeout(() => analyzeSafely(document), debounceMs);
+    },
+    'textDocument/didSave': ({ textDocument }) => {
+      // A saved configuration file applies to every open document
+      if (!CONFIG_FILENAMES.includes(path.basename(uriToPath(textDocument.uri, rootDir)))) return;
+      configs.clear();
+      documents.forEach(analyzeSafely);
+    },
+    'textDocument/didClose': ({ textDocument }) => {
+      const document = documents.get(textDocument.uri);
+      if (document) clearTimeout(document.timer);
+      documents.delete(textDocument.uri);
+      notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    },
+    exit: () => {
+      close();
+      onExit(shuttingDown ? 0 : 1);
+    }
+  };
+
+  const handleMessage = message => {
+    if (message instanceof Error || message === null || typeof message !== 'object') {
+      send({ id: null, error: { code: ERROR_CODES.parseError, message: message instanceof Error ? message.message : 'Invalid message' } });
+      return;
+    }
+    const { id, method, params = {} } = message;
+    const isRequest = id !== undefined;
+
+    if (!isRequest) {
+      if (!notifications[method] || !(initialized || method === 'exit')) return;
+      try {
+        notifications[method](params);
+      } catch (error) {
+        logError(`${method} failed: ${error.message}`);
+      }
+      return;
+    }
+    if (typeof method !== 'string') {
+      send({ id, error: { code: ERROR_CODES.invalidRequest, message: 'Request without a method' } });
+    } else if (!initialized && method !== 'initialize') {
+      send({ id, error: { code: ERROR_CODES.serverNotInitialized, message: 'Server not initialized' } });
+    } else if (!handlers[method]) {
+      send({ id, error: { code: ERROR_CODES.methodNotFound, message: `Unhandled method ${method}` } });
+    } else {
+      try {
+        send({ id, result: handlers[method](params) });
+      } catch (error) {
+        send({ id, error: { code: ERROR_CODES.internalError, message: error.message } });
+      }
+    }
+  };
+
+  const onData = createMessageParser(handleMessage);
+  input.on('data', onData);
+
+  function close() {
+    input.off('data', onData);
+    documents.forEach(document => clearTimeout(document.timer));
+  }
+
+  return { close };
+}
+
+module.exports = {
+  startLanguageServer,
+  encodeMessage,
+  createMessageParser,
+  toDiagnostics,
+  formatHover,
+  DIAGNOSTIC_KINDS
+};
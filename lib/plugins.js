@@ -0,0 +1,248 @@
+/**
+ * Plugins for the Code Mood Analyzer
+ * A plugin can hook into analysis, scoring and suggestions:
+ *
+ *   module.exports = {
+ *     name: 'no-console',
+ *     analyze(source, metrics, config) { metrics.consoleCalls = ... },
+ *     score(metrics, config) { return { points: -2 * metrics.consoleCalls, reason: 'console calls' }; },
+ *     suggest(metrics, moodResult, config) { return ['🧹 Remove leftover console calls']; }
+ *   };
+ *
+ * The TODO/FIXME/HACK and nesting signals are built in the same way.
+ */
+
+const path = require('path');
+
+/** Keys a plugin object may define */
+const PLUGIN_KEYS = ['name', 'analyze', 'score', 'suggest'];
+
+/** TODO/FIXME/HACK markers in comments, as bare words so "todoList" or "hacky" does not count */
+const MARKER_PATTERN = /\b(todo|fixme|hack)\b/gi;
+
+/**
+ * Raised when a plugin cannot be loaded or is malformed
+ */
+class PluginError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {string} source - Path or name of the offending plugin
+   */
+  constructor(message, source) {
+    super(source ? `Plugin ${source}: ${message}` : message);
+    this.name = 'PluginError';
+    this.source = source;
+  }
+}
+
+/**
+ * Counts TODO, FIXME and HACK markers and locates each one
+ */
+const markersPlugin = {
+  name: 'markers',
+
+  analyze(source, metrics) {
+    source.segmentsByLine.forEach((segments, index) => {
+      for (const segment of segments) {
+        if (segment.type !== 'comment') continue;
+        for (const match of segment.text.matchAll(MARKER_PATTERN)) {
+          metrics.findings.push({
+            kind: match[1].toLowerCase(),
+            text: match[0],
+            line: index + 1,
+            column: segment.column + match.index,
+            context: segment.text.trim()
+          });
+        }
+      }
+    });
+    for (const kind of ['todo', 'fixme', 'hack']) {
+      metrics[`${kind}Count`] = metrics.findings.filter(finding => finding.kind === kind).length;
+    }
+  },
+
+  score(metrics, { weights }) {
+    // TODOs and FIXMEs indicate work stress
+    return [
+      [metrics.todoCount, weights.todo, 'TODO'],
+      [metrics.fixmeCount, weights.fixme, 'FIXME'],
+      [metrics.hackCount, weights.hack, 'HACK']
+    ]
+      .filter(([count]) => count > 0)
+      .map(([count, weight, marker]) => ({ points: count * weight, reason: `${count} ${marker}${count === 1 ? '' : 's'}` }));
+  },
+
+  suggest(metrics, moodResult, { thresholds }) {
+    const suggestions = [];
+    if (metrics.hackCount > 0) {
+      suggestions.push('🔧 You have ' + metrics.hackCount + ' hack(s) in your code. Time for some cleanup?');
+    }
+    if (metrics.todoCount > thresholds.todoPileUp) {
+      suggestions.push('📝 Lots of TODOs piling up! Maybe tackle a few today?');
+    }
+    return suggestions;
+  }
+};
+
+/**
+ * Walks the braces of the code and measures how deeply blocks nest
+ * @param {object[][]} segmentsByLine - Tokenizer segments of each line
+ * @param {number} findingDepth - Depth beyond which a block is nested too deeply
+ * @param {Function} [isSilenced] - Called with the line and column of a too deeply nested block's
+ *   opening brace; returns true to leave the block out of the depth
+ * @returns {{depth: number, deepBlocks: object[]}} Deepest level reached, and the opening brace of
+ *   each too deeply nested block as { line, column }
+ */
+function measureNesting(segmentsByLine, findingDepth, isSilenced = () => false) {
+  let currentDepth = 0;
+  let maxDepth = 0;
+  // Depth of the silenced block being walked through, if any
+  let silencedDepth = null;
+  const deepBlocks = [];
+
+  segmentsByLine.forEach((segments, index) => {
+    for (const segment of segments) {
+      if (segment.type !== 'code') continue;
+      [...segment.text].forEach((char, offset) => {
+        if (char === '{') {
+          currentDepth++;
+          if (currentDepth === findingDepth + 1) {
+            const block = { line: index + 1, column: segment.column + offset };
+            deepBlocks.push(block);
+            if (silencedDepth === null && isSilenced(block.line, block.column)) silencedDepth = currentDepth;
+          }
+        } else if (char === '}') {
+          if (currentDepth === silencedDepth) silencedDepth = null;
+          currentDepth--;
+        }
+        if (silencedDepth === null) maxDepth = Math.max(maxDepth, currentDepth);
+      });
+    }
+  });
+  return { depth: maxDepth, deepBlocks };
+}
+
+/**
+ * Measures the deepest brace nesting of the code and locates blocks nested too deeply
+ */
+const nestingPlugin = {
+  name: 'nesting',
+
+  analyze(source, metrics, { thresholds }) {
+    const { depth, deepBlocks } = measureNesting(source.segmentsByLine, thresholds.findingNestingDepth);
+    for (const { line, column } of deepBlocks) {
+      metrics.findings.push({
+        kind: 'deep-nesting',
+        text: `nesting depth ${thresholds.findingNestingDepth + 1}`,
+        line,
+        column,
+        context: source.lines[line - 1].trim()
+      });
+    }
+    metrics.nestingDepth = depth;
+  },
+
+  score(metrics, { weights, thresholds }) {
+    // Deep nesting is stressful
+    const reason = `nesting depth ${metrics.nestingDepth}`;
+    if (metrics.nestingDepth > thresholds.deepNesting) return { points: weights.deepNesting, reason };
+    if (metrics.nestingDepth > thresholds.moderateNesting) return { points: weights.moderateNesting, reason };
+    return [];
+  },
+
+  suggest(metrics, moodResult, { thresholds }) {
+    if (metrics.nestingDepth > thresholds.findingNestingDepth) {
+      return ['🔄 Deep nesting detected! Consider extracting some logic into separate functions'];
+    }
+    return [];
+  }
+};
+
+/** Plugins that always run, before any configured ones */
+const BUILTIN_PLUGINS = [markersPlugin, nestingPlugin];
+
+/**
+ * Checks that a plugin object only defines known hooks
+ * @param {*} plugin - Exported plugin
+ * @param {string} source - Path or name of the plugin, for messages
+ * @returns {object} The plugin
+ * @throws {PluginError} If the plugin is malformed
+ */
+function validatePlugin(plugin, source) {
+  if (plugin === null || typeof plugin !== 'object' || Array.isArray(plugin)) {
+    throw new PluginError('must export an object', source);
+  }
+  if (typeof plugin.name !== 'string' || plugin.name === '') {
+    throw new PluginError('must have a "name"', source);
+  }
+  for (const [key, value] of Object.entries(plugin)) {
+    if (!PLUGIN_KEYS.includes(key)) {
+      throw new PluginError(`unknown key "${key}" (expected one of: ${PLUGIN_KEYS.join(', ')})`, source);
+    }
+    if (key !== 'name' && typeof value !== 'function') {
+      throw new PluginError(`"${key}" must be a function`, source);
+    }
+  }
+  return plugin;
+}
+
+/**
+ * Requires a module after evicting any earlier copy from the require cache, so a long-running
+ * process such as the language server sees edits made since it was first loaded
+ * @param {string} fullPath - Absolute path of the module
+ * @returns {*} The module's exports
+ */
+function requireFresh(fullPath) {
+  delete require.cache[require.resolve(fullPath)];
+  return require(fullPath);
+}
+
+/**
+ * Loads plugins from module paths
+ * @param {string[]} pluginPaths - Paths of plugin modules
+ * @param {string} baseDir - Directory that relative paths are resolved against
+ * @returns {object[]} Validated plugins
+ * @throws {PluginError} If a plugin cannot be loaded or is malformed
+ */
+function loadPlugins(pluginPaths, baseDir) {
+  return pluginPaths.map(pluginPath => {
+    const fullPath = path.resolve(baseDir, pluginPath);
+    let plugin;
+    try {
+      plugin = requireFresh(fullPath);
+    } catch (error) {
+      throw new PluginError(`could not be loaded: ${error.message}`, pluginPath);
+    }
+    return validatePlugin(plugin, pluginPath);
+  });
+}
+
+/**
+ * Normalizes what a score hook returned into a list of adjustments
+ * @param {*} returned - Number, adjustment object, or array of either
+ * @param {object} plugin - Plugin that returned it
+ * @returns {object[]} Adjustments of shape { plugin, points, reason, mood }
+ */
+function toAdjustments(returned, plugin) {
+  if (returned === undefined || returned === null) return [];
+  return [].concat(returned).map(entry => {
+    const adjustment = typeof entry === 'number' ? { points: entry } : entry;
+    return {
+      plugin: plugin.name,
+      points: adjustment.points || 0,
+      reason: adjustment.reason || plugin.name,
+      mood: adjustment.mood || null
+    };
+  });
+}
+
+module.exports = {
+  BUILTIN_PLUGINS,
+  loadPlugins,
+  requireFresh,
+  validatePlugin,
+  toAdjustments,
+  PluginError,
+  MARKER_PATTERN,
+  measureNesting
+};
@@ -0,0 +1,195 @@
+/**
+ * Quality gates for the Code Mood Analyzer
+ * Checks analyzed files against score, mood and HACK limits, optionally only
+ * failing on regressions relative to a recorded baseline snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MOOD_EMOJIS } = require('./analyzer');
+
+/** Version of the baseline file layout */
+const BASELINE_VERSION = 1;
+
+/** Where `baseline update` writes when --baseline is not given */
+const DEFAULT_BASELINE_PATH = '.code-mood-baseline.json';
+
+/**
+ * Raised when gate options or a baseline file are invalid
+ */
+class GateError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'GateError';
+  }
+}
+
+/**
+ * Parses the quality gate options given on the command line
+ * @param {object} options - Raw option values
+ * @param {string|null} options.failUnder - Lowest accepted score
+ * @param {string|null} options.failOnMood - Comma-separated moods that fail the run
+ * @param {string|null} options.maxHacks - Most HACKs accepted in a file
+ * @returns {object} Gates of shape { failUnder, failOnMood, maxHacks }, with null or [] for unset gates
+ * @throws {GateError} If a value is invalid
+ */
+function parseGates({ failUnder = null, failOnMood = null, maxHacks = null }) {
+  const gates = { failUnder: null, failOnMood: [], maxHacks: null };
+
+  if (failUnder !== null) {
+    gates.failUnder = Number(failUnder);
+    if (failUnder === '' || !(gates.failUnder >= 0 && gates.failUnder <= 100)) {
+      throw new GateError(`Invalid --fail-under: ${failUnder}. Expected a score from 0 to 100`);
+    }
+  }
+  if (failOnMood !== null) {
+    gates.failOnMood = failOnMood.split(',').map(mood => mood.trim().toLowerCase()).filter(Boolean);
+    const unknown = gates.failOnMood.filter(mood => !MOOD_EMOJIS[mood]);
+    if (gates.failOnMood.length === 0 || unknown.length > 0) {
+      throw new GateError(`Invalid --fail-on-mood: ${failOnMood}. Expected moods from: ${Object.keys(MOOD_EMOJIS).join(', ')}`);
+    }
+  }
+  if (maxHacks !== null) {
+    gates.maxHacks = Number(maxHacks);
+    if (maxHacks === '' || !Number.isInteger(gates.maxHacks) || gates.maxHacks < 0) {
+      throw new GateError(`Invalid --max-hacks: ${maxHacks}. Expected a whole number of 0 or more`);
+    }
+  }
+
+  return gates;
+}
+
+/**
+ * Checks whether any gate is set
+ * @param {object} gates - Result of parseGates
+ * @returns {boolean} True if at least one gate is set
+ */
+function hasGates(gates) {
+  return gates.failUnder !== null || gates.failOnMood.length > 0 || gates.maxHacks !== null;
+}
+
+/**
+ * Builds the key of a file in a baseline
+ * @param {string} absolutePath - Absolute path of the file
+ * @param {string} baseDir - Directory of the baseline file
+ * @returns {string} Path relative to baseDir, with forward slashes
+ */
+function baselineKey(absolutePath, baseDir) {
+  return path.relative(baseDir, absolutePath).split(path.sep).join('/');
+}
+
+/**
+ * Builds a baseline snapshot of analyzed files
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @param {string} baseDir - Directory the baseline file is written to
+ * @returns {object} Snapshot of shape { version, files } with { score, mood, hackCount } by path
+ */
+function buildBaseline(results, baseDir) {
+  const entries = results
+    .map(result => [baselineKey(result.absolutePath, baseDir), {
+      score: result.moodResult.score,
+      mood: result.moodResult.mood,
+      hackCount: result.metrics.hackCount
+    }])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return { version: BASELINE_VERSION, files: Object.fromEntries(entries) };
+}
+
+/**
+ * Reads a baseline snapshot
+ * @param {string} filePath - Baseline file
+ * @returns {object} Snapshot from buildBaseline
+ * @throws {GateError} If the file is missing or not a baseline
+ */
+function readBaseline(filePath) {
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'file not found, record one with `code-mood baseline update`' : error.message;
+    throw new GateError(`Cannot read baseline ${filePath}: ${reason}`);
+  }
+  if (!baseline || baseline.version !== BASELINE_VERSION || typeof baseline.files !== 'object' || baseline.files === null) {
+    throw new GateError(`Cannot read baseline ${filePath}: not a version ${BASELINE_VERSION} code-mood baseline`);
+  }
+  return baseline;
+}
+
+/**
+ * Checks analyzed files against the gates. With a baseline, a file only breaks a rule
+ * when it got worse than its recorded snapshot (or is new); with a baseline and no
+ * gates, any file whose score dropped breaks the baseline rule.
+ * @param {object[]} results - Analysis results with their paths and absolute paths
+ * @param {object} gates - Result of parseGates
+ * @param {object} [baselineOptions] - Baseline to compare against
+ * @param {object} [baselineOptions.baseline] - Snapshot from readBaseline
+ * @param {string} [baselineOptions.baseDir] - Directory of the baseline file
+ * @returns {object[]} Violations of shape { path, rule, message }, in file order
+ */
+function checkGates(results, gates, { baseline = null, baseDir = '' } = {}) {
+  const violations = [];
+
+  for (const result of results) {
+    const { score, mood } = result.moodResult;
+    const { hackCount } = result.metrics;
+    const previous = baseline ? baseline.files[baselineKey(result.absolutePath, baseDir)] : undefined;
+    const was = previous ? ` (baseline ${previous.score})` : '';
+    const add = (rule, message) => violations.push({ path: result.path, rule, message });
+
+    if (gates.failUnder !== null && score < gates.failUnder && (!previous || score < previous.score)) {
+      add('fail-under', `score ${score} is below ${gates.failUnder}${was}`);
+    }
+    if (gates.failOnMood.includes(mood) && (!previous || previous.mood !== mood)) {
+      add('fail-on-mood', `mood is ${mood}${previous ? ` (baseline ${previous.mood})` : ''}`);
+    }
+    if (gates.maxHacks !== null && hackCount > gates.maxHacks && (!previous || hackCount > previous.hackCount)) {
+      add('max-hacks', `${hackCount} HACKs exceed the maximum of ${gates.maxHacks}${previous ? ` (baseline ${previous.hackCount})` : ''}`);
+    }
+    if (baseline && !hasGates(gates) && previous && score < previous.score) {
+      add('baseline', `score dropped from ${previous.score} to ${score}`);
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Formats the gate results as terminal text
+ * @param {object[]} violations - Result of checkGates
+ * @returns {string} Formatted section listing which files broke which rule
+ */
+function formatGateReport(violations) {
+  const thinDivider = '─'.repeat(50);
+  const byFile = new Map();
+  for (const violation of violations) {
+    if (!byFile.has(violation.path)) byFile.set(violation.path, []);
+    byFile.get(violation.path).push(violation);
+  }
+
+  const status = violations.length === 0
+    ? '  ✅ All quality gates passed'
+    : `  ❌ ${violations.length} gate violation(s) in ${byFile.size} file(s)\n` +
+      [...byFile].map(([filePath, fileViolations]) => `  ${filePath}\n` +
+        fileViolations.map(violation => `      ${violation.rule.padEnd(14)} ${violation.message}`).join('\n')).join('\n');
+
+  return `
+${thinDivider}
+🚦 QUALITY GATES
+${thinDivider}
+${status}
+`;
+}
+
+module.exports = {
+  parseGates,
+  hasGates,
+  buildBaseline,
+  readBaseline,
+  checkGates,
+  formatGateReport,
+  GateError,
+  DEFAULT_BASELINE_PATH
+};
@@ -0,0 +1,162 @@
+/**
+ * Result cache for the Code Mood Analyzer
+ * Stores analysis results on disk, keyed by file content hash, so unchanged
+ * files are not analyzed again on the next run. A fingerprint of the analyzer
+ * sources, the configuration and the plugins invalidates the whole cache
+ * whenever any of them changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/** Version of the cache file layout */
+const CACHE_VERSION = 1;
+
+/** Cache directory, relative to the current directory */
+const DEFAULT_CACHE_DIR = '.code-mood-cache';
+
+/** File holding the cached results inside the cache directory */
+const CACHE_FILENAME = 'results.json';
+
+/** Modules whose code decides analysis results */
+const ANALYZER_MODULES = ['analyzer.js', 'fileUtils.js', 'functions.js', 'languages.js', 'plugins.js', 'suppressions.js', 'testPairing.js', 'tokenizer.js'];
+
+/**
+ * Hashes a string or buffer
+ * @param {...(string|Buffer)} parts - Data to hash, in order
+ * @returns {string} Hex SHA-256 digest
+ */
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
+}
+
+/**
+ * Collects the source of a plugin: its module file and every module it required,
+ * or the code of its hooks when it was not loaded from a file
+ * @param {object} plugin - Loaded plugin
+ * @returns {string[]} Sources, in a stable order
+ */
+function pluginSources(plugin) {
+  const root = Object.values(require.cache).find(module => module.exports === plugin);
+  if (!root) {
+    return [plugin.name, ...Object.values(plugin).filter(value => typeof value === 'function').map(String)];
+  }
+
+  const sources = [];
+  const seen = new Set();
+  const visit = module => {
+    if (seen.has(module.filename)) return;
+    seen.add(module.filename);
+    try {
+      sources.push(fs.readFileSync(module.filename, 'utf8'));
+    } catch {
+      // Built in, or removed since it was loaded
+      sources.push(module.filename);
+    }
+    module.children.forEach(visit);
+  };
+  visit(root);
+  return sources;
+}
+
+/**
+ * Fingerprints everything besides a file's content that its result depends on
+ * @param {object} config - Scoring configuration from loadConfig
+ * @returns {string} Hex digest that changes with the analyzer, the configuration or a plugin
+ */
+function cacheFingerprint(config) {
+  const { plugins, ...settings } = config;
+  return sha256(
+    String(CACHE_VERSION),
+    ...ANALYZER_MODULES.map(name => fs.readFileSync(path.join(__dirname, name))),
+    JSON.stringify(settings),
+    ...plugins.flatMap(pluginSources)
+  );
+}
+
+/**
+ * Opens the result cache for a configuration
+ * @param {string} cacheDir - Cache directory; paths are stored relative to its parent
+ * @param {object} config - Scoring configuration from loadConfig
+ * @returns {{lookup: Function, store: Function, save: Function}} Handle where lookup(filePath)
+ *   returns the cached result of an unchanged file or null, store(filePath, result) records a
+ *   fresh result, and save() writes the cache back to disk
+ */
+function openResultCache(cacheDir, config) {
+  const cacheFile = path.join(cacheDir, CACHE_FILENAME);
+  const baseDir = path.dirname(cacheDir);
+  const fingerprint = cacheFingerprint(config);
+  const hashes = new Map();
+  let files = {};
+  let changed = false;
+
+  try {
+    const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    if (cache.version === CACHE_VERSION && cache.fingerprint === fingerprint) files = cache.files;
+    else changed = true;
+  } catch {
+    // No cache yet, or an unreadable one that is simply rebuilt
+  }
+
+  const keyOf = filePath => path.relative(baseDir, filePath).split(path.sep).join('/');
+
+  // The file name is part of the hash because it picks the language. Files over the size limit
+  // are never hashed: they are skipped without being read, and reading them here would defeat that
+  const hashOf = filePath => {
+    if (!hashes.has(filePath)) {
+      try {
+        const tooLarge = fs.statSync(filePath).size > config.maxFileSize;
+        hashes.set(filePath, tooLarge ? null : sha256(path.basename(filePath), '\0', fs.readFileSync(filePath)));
+      } catch {
+        hashes.set(filePath, null);
+      }
+    }
+    return hashes.get(filePath);
+  };
+
+  return {
+    lookup(filePath) {
+      const entry = files[keyOf(filePath)];
+      const hash = hashOf(filePath);
+      return entry && hash && entry.hash === hash ? entry.result : null;
+    },
+
+    store(filePath, result) {
+      const hash = hashOf(filePath);
+      if (!hash || !result) return;
+      files[keyOf(filePath)] = { hash, result };
+      changed = true;
+    },
+
+    save() {
+      if (!changed) return;
+      fs.mkdirSync(cacheDir, { recursive: true });
+      // Write then rename, so an interrupted run never leaves a truncated cache behind
+      const tempFile = `${cacheFile}.${process.pid}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify({ version: CACHE_VERSION, fingerprint, files }));
+      fs.renameSync(tempFile, cacheFile);
+      changed = false;
+    }
+  };
+}
+
+/**
+ * Deletes the result cache
+ * @param {string} cacheDir - Cache directory
+ * @returns {boolean} True if there was a cache to delete
+ */
+function clearResultCache(cacheDir) {
+  if (!fs.existsSync(cacheDir)) return false;
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  return true;
+}
+
+module.exports = {
+  openResultCache,
+  clearResultCache,
+  cacheFingerprint,
+  DEFAULT_CACHE_DIR
+};
@@ -0,0 +1,315 @@
+/**
+ * HTTP server for the Code Mood Analyzer
+ * Serves a JSON API for analyzing source text and a browser dashboard that
+ * shows the mood of pasted code as it is typed, using only Node's http module
+ */
+
+const http = require('http');
+const { analyzeSource, calculateAggregateMood, DEFAULT_SCORING, MOOD_EMOJIS, MOOD_DESCRIPTIONS } = require('./analyzer');
+const { normalizeLineEndings, formatFileSize } = require('./fileUtils');
+
+/** Port used when --port is not given */
+const DEFAULT_PORT = 4000;
+
+/** Interface listened on when --host is not given; only this machine can connect */
+const DEFAULT_HOST = '127.0.0.1';
+
+/** Largest request body accepted, in bytes */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/** Most files accepted by one /analyze-batch request */
+const MAX_BATCH_FILES = 200;
+
+/**
+ * Raised while handling a request; its status and message become the error response
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - What was wrong with the request
+   * @param {object} [headers] - Extra response headers
+   */
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Parses a --port value
+ * @param {string|number} value - Port number from 0 to 65535; 0 picks a free port
+ * @returns {number|null} Port, or null if the value is invalid
+ */
+function parsePort(value) {
+  const port = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(port) && port >= 0 && port <= 65535 ? port : null;
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to serialize
+ * @param {object} [headers] - Extra response headers
+ */
+function sendJson(response, status, body, headers = {}) {
+  const json = JSON.stringify(body, null, 2) + '\n';
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    ...headers
+  });
+  response.end(json);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - Incoming request
+ * @param {number} maxBodyBytes - Largest body accepted, in bytes
+ * @returns {Promise<*>} Parsed body
+ * @throws {HttpError} 415 for other content types, 413 for bodies over the limit, 400 for invalid JSON
+ */
+async function readJsonBody(request, maxBodyBytes) {
+  const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw new HttpError(415, 'Request body must be JSON, sent with Content-Type: application/json');
+  }
+  const tooLarge = new HttpError(413, `Request body is larger than the ${formatFileSize(maxBodyBytes)} limit`, { Connection: 'close' });
+  if (Number(request.headers['content-length']) > maxBodyBytes) throw tooLarge;
+
+  const body = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size <= maxBodyBytes) {
+        chunks.push(chunk);
+        return;
+      }
+      // Stop reading, but keep the connection open until the error response is sent
+      request.off('data', onData);
+      request.pause();
+      reject(tooLarge);
+    };
+    request.on('data', onData);
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+
+  try {
+    return JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Checks one file of a request body
+ * @param {*} file - Value that should be { code, filename }
+ * @param {string} name - Where the value is in the body, for messages
+ * @returns {{code: string, filename: string}} The file
+ * @throws {HttpError} 400 if the file is malformed
+ */
+function validateFile(file, name) {
+  if (file === null || typeof file !== 'object' || Array.isArray(file)) {
+    throw new HttpError(400, `${name || 'Request body'} must be an object with "code" and "filename"`);
+  }
+  const prefix = name ? `${name}.` : '';
+  if (typeof file.code !== 'string') throw new HttpError(400, `"${prefix}code" must be a string`);
+  if (typeof file.filename !== 'string' || file.filename.trim() === '') {
+    throw new HttpError(400, `"${prefix}filename" must be a non-empty string, e.g. "app.js"; its extension picks the language`);
+  }
+  return file;
+}
+
+/**
+ * Analyzes one file of a request
+ * @param {{code: string, filename: string}} file - Source text and file name
+ * @param {object} config - Scoring configuration
+ * @returns {object} { filename, metrics, moodResult, suggestions }
+ */
+function analyzeRequestFile(file, config) {
+  return { filename: file.filename, ...analyzeSource(normalizeLineEndings(file.code), file.filename, config) };
+}
+
+/**
+ * Builds the dashboard page
+ * @returns {string} Complete HTML document that calls POST /analyze as code is typed
+ */
+function buildDashboard() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Code Mood Dashboard</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; color: #222; padding: 0 1rem; }
+h1 { margin-bottom: 0.25rem; }
+.hint { color: #555; margin-top: 0; }
+.layout { display: grid; grid-template-columns: 3fr 2fr; gap: 1.5rem; }
+label { display: block; margin-bottom: 0.5rem; }
+input, textarea { font: inherit; width: 100%; box-sizing: border-box; padding: 0.4rem; border: 1px solid #ccc; border-radius: 4px; }
+textarea { font-family: ui-monospace, monospace; font-size: 0.9em; height: 28rem; }
+.mood { font-size: 3rem; }
+.badge { display: inline-block; min-width: 2rem; text-align: center; color: #fff; border-radius: 4px; padding: 0 0.35rem; }
+.description { font-style: italic; color: #555; }
+.error { color: #b00020; }
+table { border-collapse: collapse; }
+th { text-align: left; font-weight: normal; color: #555; padding-right: 1.5rem; }
+</style>
+</head>
+<body>
+<h1>🎭 Code Mood Dashboard</h1>
+<p class="hint">Paste or type code; its mood updates as you go.</p>
+<div class="layout">
+<div>
+<label>File name <input id="filename" value="untitled.js"></label>
+<textarea id="code" spellcheck="false" placeholder="// Paste some code here"></textarea>
+</div>
+<div id="result"><p class="hint">No code yet.</p></div>
+</div>
+<script>
+var codeInput = document.getElementById('code');
+var filenameInput = document.getElementById('filename');
+var resultPanel = document.getElementById('result');
+var timer = null;
+var latest = 0;
+
+function element(tag, text, className) {
+  var node = document.createElement(tag);
+  if (text !== undefined) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+}
+
+function render(result) {
+  var mood = result.moodResult;
+  var metrics = result.metrics;
+  var badge = element('span', String(mood.score), 'badge');
+  badge.style.background = 'hsl(' + Math.round(mood.score * 1.2) + ', 65%, 42%)';
+  var heading = element('p');
+  heading.append(element('span', mood.emoji + ' ', 'mood'), element('strong', mood.mood + ' '), badge);
+
+  var stats = element('table');
+  [['Lines', metrics.totalLines], ['Comment lines', metrics.commentLines], ['Functions', metrics.functionCount],
+    ['Max nesting', metrics.nestingDepth], ['TODOs', metrics.todoCount], ['FIXMEs', metrics.fixmeCount],
+    ['Hacks', metrics.hackCount], ['Stress words', metrics.stressWords]].forEach(function (row) {
+    var tr = element('tr');
+    tr.append(element('th', row[0]), element('td', String(row[1])));
+    stats.append(tr);
+  });
+
+  var suggestions = element('ul');
+  result.suggestions.forEach(function (suggestion) { suggestions.append(element('li', suggestion)); });
+  resultPanel.replaceChildren(heading, element('p', mood.description, 'description'), stats, suggestions);
+}
+
+function analyze() {
+  var request = ++latest;
+  if (codeInput.value.trim() === '') {
+    resultPanel.replaceChildren(element('p', 'No code yet.', 'hint'));
+    return;
+  }
+  fetch('/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: codeInput.value, filename: filenameInput.value })
+  })
+    .then(function (response) { return response.json(); })
+    .then(function (body) {
+      if (request !== latest) return;
+      if (body.error) resultPanel.replaceChildren(element('p', body.error.message, 'error'));
+      else render(body);
+    })
+    .catch(function (error) {
+      if (request === latest) resultPanel.replaceChildren(element('p', error.message, 'error'));
+    });
+}
+
+function schedule() {
+  clearTimeout(timer);
+  timer = setTimeout(analyze, 250);
+}
+
+codeInput.addEventListener('input', schedule);
+filenameInput.addEventListener('input', schedule);
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Creates the HTTP server; call listen() on it to start serving
+ * @param {object} [options] - Server options
+ * @param {object} [options.config] - Scoring configuration from loadConfig
+ * @param {number} [options.maxBodyBytes] - Largest request body accepted, in bytes
+ * @returns {http.Server} Server answering GET /, GET /moods, POST /analyze and POST /analyze-batch
+ */
+function createServer({ config = DEFAULT_SCORING, maxBodyBytes = MAX_BODY_BYTES } = {}) {
+  const dashboard = buildDashboard();
+
+  const routes = {
+    '/': {
+      GET: (request, response) => {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Length': Buffer.byteLength(dashboard) });
+        response.end(dashboard);
+      }
+    },
+    '/moods': {
+      GET: (request, response) => sendJson(response, 200, { emojis: MOOD_EMOJIS, descriptions: MOOD_DESCRIPTIONS })
+    },
+    '/analyze': {
+      POST: async (request, response) => {
+        const file = validateFile(await readJsonBody(request, maxBodyBytes), '');
+        sendJson(response, 200, analyzeRequestFile(file, config));
+      }
+    },
+    '/analyze-batch': {
+      POST: async (request, response) => {
+        const body = await readJsonBody(request, maxBodyBytes);
+        if (body === null || typeof body !== 'object' || !Array.isArray(body.files) || body.files.length === 0) {
+          throw new HttpError(400, 'Request body must be { "files": [{ "code", "filename" }, ...] } with at least one file');
+        }
+        if (body.files.length > MAX_BATCH_FILES) {
+          throw new HttpError(413, `A batch holds at most ${MAX_BATCH_FILES} files, got ${body.files.length}`);
+        }
+        const files = body.files.map((file, index) => analyzeRequestFile(validateFile(file, `files[${index}]`), config));
+        sendJson(response, 200, { files, summary: calculateAggregateMood(files) });
+      }
+    }
+  };
+
+  return http.createServer(async (request, response) => {
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      const route = routes[pathname];
+      if (!route) throw new HttpError(404, `No such endpoint: ${request.method} ${pathname}`);
+      const handler = route[request.method];
+      if (!handler) {
+        throw new HttpError(405, `${request.method} is not allowed on ${pathname}`, { Allow: Object.keys(route).join(', ') });
+      }
+      await handler(request, response);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      const message = error instanceof HttpError ? error.message : 'Internal server error';
+      if (!(error instanceof HttpError)) console.error(`Error: ${error.stack || error.message}`);
+      if (!response.headersSent) sendJson(response, status, { error: { status, message } }, error.headers);
+      // An oversized body is not read to the end; drop the connection once the error is sent
+      if (status === 413) response.on('finish', () => request.destroy());
+    }
+  });
+}
+
+module.exports = {
+  createServer,
+  parsePort,
+  HttpError,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  MAX_BODY_BYTES,
+  MAX_BATCH_FILES
+};
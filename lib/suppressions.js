@@ -0,0 +1,131 @@
+/**
+ * Inline suppressions for the Code Mood Analyzer
+ * Reads code-mood-disable directives from comments, whatever the language's
+ * comment syntax, and drops the findings they silence:
+ *
+ *   // code-mood-disable-next-line stress -- wording of the security advisory
+ *   # code-mood-disable negative, stress
+ *   # code-mood-enable
+ *   <!-- code-mood-disable-file -->
+ *
+ * Rules are finding kinds (todo, fixme, hack, positive, negative, stress,
+ * deep-nesting, long-line, or a plugin's own); a directive naming none covers them all.
+ */
+
+/** Directive at the start of a comment, after its delimiters, and the text that follows it */
+const DIRECTIVE_PATTERN = /^(\s*[^\w\s]*\s*)(code-mood-(disable-next-line|disable-file|disable|enable))(?![\w-])(.*)$/;
+
+/** Comma-separated rule names at the start of a directive's text; anything after them is a comment */
+const RULES_PATTERN = /^\s+([a-z]\w*(?:-\w+)*(?:\s*,\s*[a-z]\w*(?:-\w+)*)*)/i;
+
+/**
+ * Finds the suppression directives of a file
+ * @param {object[][]} segmentsByLine - Tokenizer segments of each line
+ * @returns {object[]} Directives of shape { type, rules, line, column, endColumn, text } in source
+ *   order, where type is 'disable-next-line', 'disable-file', 'disable' or 'enable', rules is a
+ *   list of finding kinds or null for all of them, and text is the directive as written
+ */
+function findDirectives(segmentsByLine) {
+  const directives = [];
+  segmentsByLine.forEach((segments, index) => {
+    for (const segment of segments) {
+      if (segment.type !== 'comment') continue;
+      const match = DIRECTIVE_PATTERN.exec(segment.text);
+      if (!match) continue;
+      const [, prefix, keyword, type, rest] = match;
+      const rulesMatch = RULES_PATTERN.exec(rest);
+      const rules = rulesMatch ? rulesMatch[1].split(',').map(rule => rule.trim().toLowerCase()) : null;
+      directives.push({
+        type,
+        rules,
+        line: index + 1,
+        column: segment.column + prefix.length,
+        endColumn: segment.column + segment.text.length,
+        text: rules ? `${keyword} ${rules.join(', ')}` : keyword
+      });
+    }
+  });
+  return directives;
+}
+
+/**
+ * Turns directives into the line ranges they cover
+ * @param {object[]} directives - Directives from findDirectives
+ * @returns {object[]} Scopes of shape { directive, start, end, rules, except } where rules is a Set
+ *   of covered kinds (null for all) and except a Set of kinds re-enabled inside the range
+ */
+function buildScopes(directives) {
+  const scopes = [];
+  let open = [];
+
+  for (const directive of directives) {
+    const rules = directive.rules && new Set(directive.rules);
+    const { line } = directive;
+    if (directive.type === 'disable-file') {
+      scopes.push({ directive, start: 1, end: Infinity, rules, except: new Set() });
+    } else if (directive.type === 'disable-next-line') {
+      scopes.push({ directive, start: line + 1, end: line + 1, rules, except: new Set() });
+    } else if (directive.type === 'disable') {
+      const scope = { directive, start: line, end: Infinity, rules, except: new Set() };
+      scopes.push(scope);
+      open.push(scope);
+    } else {
+      // An enable naming rules re-enables only those; the rest of each range carries on
+      const stillOpen = [];
+      for (const scope of open) {
+        scope.end = line - 1;
+        if (!rules) continue;
+        const rest = scope.rules
+          ? { rules: new Set([...scope.rules].filter(rule => !rules.has(rule))), except: scope.except }
+          : { rules: null, except: new Set([...scope.except, ...rules]) };
+        if (rest.rules && rest.rules.size === 0) continue;
+        const continued = { directive: scope.directive, start: line, end: Infinity, ...rest };
+        scopes.push(continued);
+        stillOpen.push(continued);
+      }
+      open = stillOpen;
+    }
+  }
+  return scopes;
+}
+
+/**
+ * Drops the findings silenced by suppression directives
+ * @param {object[]} findings - Findings of a file
+ * @param {object[]} directives - Directives from findDirectives
+ * @returns {{findings: object[], suppressed: object[], unused: object[]}} Findings left, findings
+ *   suppressed, and the disable directives that suppressed nothing, each { line, column, text }.
+ *   Hits inside a directive's own comment, such as a reason after "--", are neither.
+ */
+function applySuppressions(findings, directives) {
+  const scopes = buildScopes(directives);
+  const used = new Set();
+  const kept = [];
+  const suppressed = [];
+
+  for (const finding of findings) {
+    const inDirective = directives.some(directive =>
+      directive.line === finding.line && finding.column >= directive.column && finding.column < directive.endColumn);
+    if (inDirective) continue;
+    const scope = scopes.find(candidate =>
+      finding.line >= candidate.start &&
+      finding.line <= candidate.end &&
+      (candidate.rules ? candidate.rules.has(finding.kind) : !candidate.except.has(finding.kind)));
+    if (scope) {
+      suppressed.push(finding);
+      used.add(scope.directive);
+    } else {
+      kept.push(finding);
+    }
+  }
+
+  const unused = directives
+    .filter(directive => directive.type !== 'enable' && !used.has(directive))
+    .map(({ line, column, text }) => ({ line, column, text }));
+  return { findings: kept, suppressed, unused };
+}
+
+module.exports = {
+  findDirectives,
+  applySuppressions
+};
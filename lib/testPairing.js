@@ -0,0 +1,139 @@
+/**
+ * Test pairing for the Code Mood Analyzer
+ * Tells test files from production code by the usual naming and directory
+ * conventions, and pairs each test with the source files it covers:
+ *
+ *   src/__tests__/parser.test.js      → src/parser.js
+ *   src/parser.spec.ts                → src/parser.ts
+ *   tests/test_parser.py              → app/parser.py
+ *   pkg/parser_test.go                → pkg/parser.go
+ *   src/test/java/app/ParserTest.java → src/main/java/app/Parser.java
+ */
+
+const { resolveLanguage } = require('./languages');
+
+/** How test files are reported: with the rest, in a summary of their own, or not at all */
+const TEST_MODES = ['include', 'separate', 'exclude'];
+
+/** Directories holding tests; left out when matching a test's directory to its source's */
+const TEST_DIRECTORIES = ['__tests__', '__test__', 'test', 'tests', 'spec', 'specs'];
+
+/** Directories of production code in layouts that mirror them under a test directory, as in Maven */
+const MIRRORED_DIRECTORIES = ['main'];
+
+/**
+ * Test file names, each capturing the name of the file under test
+ * (x.test.js, x.spec.ts, test_x.py, x_test.py, x_test.go, x_spec.rb, XTest.java, XTests.cs, XIT.java)
+ */
+const TEST_FILE_PATTERNS = [
+  /^(.+)\.(?:test|spec)\.[^.]+$/,
+  /^test_(.+)\.[^.]+$/,
+  /^(.+)_(?:test|spec)\.[^.]+$/,
+  /^(.*[a-z0-9])(?:Tests?|IT)\.(?:java|kt|cs|swift|php)$/
+];
+
+/**
+ * Splits a path into its directory segments and file name
+ * @param {string} filePath - Relative path with forward slashes
+ * @returns {{dirs: string[], name: string}} Directory segments and file name
+ */
+function splitPath(filePath) {
+  const segments = filePath.split('/');
+  return { dirs: segments.slice(0, -1), name: segments[segments.length - 1] };
+}
+
+/**
+ * Checks whether a file is a test by its name or the directory it is in
+ * @param {string} filePath - Path relative to the project, with forward slashes
+ * @returns {boolean} True for test files
+ */
+function isTestPath(filePath) {
+  const { dirs, name } = splitPath(filePath);
+  return dirs.some(dir => TEST_DIRECTORIES.includes(dir)) || TEST_FILE_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Names the file a test covers, without its extension
+ * @param {string} testPath - Path of a test file
+ * @returns {string} Stem of the file under test, e.g. "parser" for test_parser.py
+ */
+function testSubject(testPath) {
+  const { name } = splitPath(testPath);
+  for (const pattern of TEST_FILE_PATTERNS) {
+    const match = pattern.exec(name);
+    if (match) return match[1];
+  }
+  // A plain name inside a test directory, such as __tests__/parser.js
+  return name.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Groups languages whose tests may cover each other's files
+ * @param {string} filePath - File path
+ * @returns {string} Language family
+ */
+function languageFamily(filePath) {
+  const { id } = resolveLanguage(filePath);
+  return id === 'typescript' ? 'javascript' : id;
+}
+
+/**
+ * Counts the trailing directory segments two files share once test and mirrored directories are left out
+ * @param {string[]} testDirs - Directory segments of the test
+ * @param {string[]} sourceDirs - Directory segments of the source file
+ * @returns {number} Shared trailing segments, or Infinity when the directories match
+ */
+function directoryAffinity(testDirs, sourceDirs) {
+  const normalize = dirs => dirs.filter(dir => !TEST_DIRECTORIES.includes(dir) && !MIRRORED_DIRECTORIES.includes(dir));
+  const a = normalize(testDirs);
+  const b = normalize(sourceDirs);
+  if (a.length === b.length && a.every((dir, index) => dir === b[index])) return Infinity;
+  let shared = 0;
+  while (shared < Math.min(a.length, b.length) && a[a.length - 1 - shared] === b[b.length - 1 - shared]) shared++;
+  return shared;
+}
+
+/**
+ * Pairs test files with the source files they cover. A test covers the source files named like
+ * its subject in the same language family whose directory is closest to its own; when several
+ * share nothing but the name, the test is ambiguous and covers none of them.
+ * @param {string[]} filePaths - Paths relative to the project, with forward slashes
+ * @returns {{tests: Set<string>, testsBySource: Map<string, string[]>}} Test files, and the tests
+ *   covering each covered source file
+ */
+function pairTestFiles(filePaths) {
+  const tests = new Set(filePaths.filter(isTestPath));
+  const sourcesByStem = new Map();
+  for (const filePath of filePaths) {
+    if (tests.has(filePath)) continue;
+    const stem = splitPath(filePath).name.replace(/\.[^.]+$/, '');
+    if (!sourcesByStem.has(stem)) sourcesByStem.set(stem, []);
+    sourcesByStem.get(stem).push(filePath);
+  }
+
+  const testsBySource = new Map();
+  for (const testPath of tests) {
+    const family = languageFamily(testPath);
+    const testDirs = splitPath(testPath).dirs;
+    const candidates = (sourcesByStem.get(testSubject(testPath)) || [])
+      .filter(sourcePath => languageFamily(sourcePath) === family)
+      .map(sourcePath => ({ sourcePath, affinity: directoryAffinity(testDirs, splitPath(sourcePath).dirs) }));
+    if (candidates.length === 0) continue;
+
+    const best = Math.max(...candidates.map(candidate => candidate.affinity));
+    const closest = candidates.filter(candidate => candidate.affinity === best);
+    if (best === 0 && closest.length > 1) continue;
+    for (const { sourcePath } of closest) {
+      if (!testsBySource.has(sourcePath)) testsBySource.set(sourcePath, []);
+      testsBySource.get(sourcePath).push(testPath);
+    }
+  }
+  return { tests, testsBySource };
+}
+
+module.exports = {
+  isTestPath,
+  testSubject,
+  pairTestFiles,
+  TEST_MODES
+};
@@ -0,0 +1,288 @@
+/**
+ * TODO tracker for the Code Mood Analyzer
+ * Extracts every TODO, FIXME and HACK marker with its location and text, reads the
+ * owner, issue references and due date of conventional forms such as
+ * `TODO(alice):`, `FIXME #123`, `TODO [JIRA-42]` and `HACK until 2025-01-01`, and
+ * exports them grouped by owner, tag or file as text, Markdown, CSV or JSON
+ */
+
+const { resolveLanguage } = require('./languages');
+const { tokenize, groupSegmentsByLine } = require('./tokenizer');
+const { MARKER_PATTERN } = require('./plugins');
+const { findDirectives, applySuppressions } = require('./suppressions');
+const { formatCsv } = require('./csv');
+
+/** Ways markers can be grouped with --group-by */
+const TODO_GROUPINGS = ['file', 'owner', 'tag'];
+
+/** Output formats of the todos command */
+const TODO_FORMATS = ['text', 'markdown', 'csv', 'json'];
+
+/** Tags in the order they are listed */
+const TAGS = ['TODO', 'FIXME', 'HACK'];
+
+/** Group name of markers without an owner */
+const UNASSIGNED = '(unassigned)';
+
+/** Issue references: `#123`, `owner/repo#123` and tracker keys such as `JIRA-42` */
+const ISSUE_PATTERN = /(?:[\w.-]+\/[\w.-]+)?#\d+\b|\b[A-Z][A-Z0-9]+-\d+\b/g;
+
+/** Due dates such as `until 2025-01-01` or `by: 2025-01-01` */
+const DUE_PATTERN = /\b(?:until|by|before|due|expires?|deadline)\b\s*:?\s*(\d{4}-\d{2}-\d{2})\b/i;
+
+/** ISO date on its own, as in `TODO(alice, 2025-01-01)` */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Checks that a YYYY-MM-DD string is a real date
+ * @param {string} value - Date string
+ * @returns {boolean} True for dates such as 2025-01-31, false for 2025-02-31
+ */
+function isValidDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Local calendar date
+ */
+function localDate(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Removes the closing delimiter of a block comment or docstring from a marker's text
+ * @param {string} text - Comment text from the marker to the end of the line
+ * @param {object} language - Language definition from the registry
+ * @returns {string} Trimmed text without the closer
+ */
+function stripCommentEnd(text, language) {
+  const trimmed = text.trim();
+  const closer = [...language.blockComments, ...(language.docstrings || [])]
+    .map(delimiters => delimiters.end)
+    .find(end => trimmed.endsWith(end));
+  return closer ? trimmed.slice(0, -closer.length).trim() : trimmed;
+}
+
+/**
+ * Reads the owner, issue references and due date of a marker
+ * @param {string} text - Marker text, starting with the marker word
+ * @param {string} word - The marker word as written
+ * @returns {{owner: string|null, issues: string[], due: string|null}} Parsed details
+ */
+function parseMarker(text, word) {
+  const rest = text.slice(word.length);
+  let owner = null;
+  let due = null;
+
+  // TODO(alice), TODO(@alice, #12), TODO(2025-01-01)
+  const parenthesized = /^\s*\(([^)]*)\)/.exec(rest);
+  if (parenthesized) {
+    for (const part of parenthesized[1].split(/[,;]/).map(value => value.trim())) {
+      if (DATE_PATTERN.test(part)) due = due || part;
+      else if (part !== '' && !part.match(ISSUE_PATTERN) && !owner) owner = part.replace(/^@/, '');
+    }
+  }
+  if (!owner) {
+    const mention = /(?:^|[\s(])@([\w.-]+)/.exec(rest);
+    if (mention) owner = mention[1];
+  }
+  if (!due) {
+    const dueMatch = DUE_PATTERN.exec(rest);
+    if (dueMatch) due = dueMatch[1];
+  }
+
+  return {
+    owner,
+    issues: [...new Set(rest.match(ISSUE_PATTERN) || [])],
+    due: due && isValidDate(due) ? due : null
+  };
+}
+
+/**
+ * Extracts the markers of a file
+ * @param {string} code - Source code
+ * @param {string} filePath - Path of the file, used to pick its language and reported as is
+ * @param {object} [options] - Extraction options
+ * @param {string} [options.today] - Date that earlier due dates are overdue against, as YYYY-MM-DD
+ *   (defaults to today in local time)
+ * @returns {object[]} Markers of shape { path, line, column, tag, text, owner, issues, due, overdue }
+ *   in source order. Markers silenced by code-mood-disable comments are left out.
+ */
+function extractMarkers(code, filePath, { today = localDate(new Date()) } = {}) {
+  const lines = code.split('\n');
+  const language = resolveLanguage(filePath);
+  const segmentsByLine = groupSegmentsByLine(tokenize(code, language), lines.length);
+  const markers = [];
+
+  segmentsByLine.forEach((segments, index) => {
+    for (const segment of segments) {
+      if (segment.type !== 'comment') continue;
+      for (const match of segment.text.matchAll(MARKER_PATTERN)) {
+        const text = stripCommentEnd(segment.text.slice(match.index), language);
+        const details = parseMarker(text, match[0]);
+        markers.push({
+          path: filePath,
+          line: index + 1,
+          column: segment.column + match.index,
+          tag: match[1].toUpperCase(),
+          text,
+          ...details,
+          overdue: details.due !== null && details.due < today
+        });
+      }
+    }
+  });
+
+  // Markers silenced by code-mood-disable comments are left out, as they are from the counts
+  const findings = markers.map(marker => ({ marker, kind: marker.tag.toLowerCase(), line: marker.line, column: marker.column }));
+  const kept = new Set(applySuppressions(findings, findDirectives(segmentsByLine)).findings.map(finding => finding.marker));
+  return markers.filter(marker => kept.has(marker));
+}
+
+/**
+ * Groups markers for a report
+ * @param {object[]} markers - Markers from extractMarkers
+ * @param {string} groupBy - One of TODO_GROUPINGS
+ * @returns {object[]} Groups of shape { name, markers }: files in path order, owners alphabetically
+ *   with unassigned markers last, or tags in TODO, FIXME, HACK order
+ */
+function groupMarkers(markers, groupBy) {
+  const keyOf = {
+    file: marker => marker.path,
+    owner: marker => marker.owner || UNASSIGNED,
+    tag: marker => marker.tag
+  }[groupBy];
+  const groups = new Map();
+  for (const marker of markers) {
+    const key = keyOf(marker);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(marker);
+  }
+
+  const rank = name => {
+    if (groupBy === 'tag') return TAGS.indexOf(name);
+    return groupBy === 'owner' && name === UNASSIGNED ? 1 : 0;
+  };
+  return [...groups.entries()]
+    .sort(([a], [b]) => rank(a) - rank(b) || (groupBy === 'tag' ? 0 : a.localeCompare(b)))
+    .map(([name, grouped]) => ({ name, markers: grouped }));
+}
+
+/**
+ * Counts markers by tag and overdue markers
+ * @param {object[]} markers - Markers from extractMarkers
+ * @returns {object} { total, todo, fixme, hack, overdue }
+ */
+function summarizeMarkers(markers) {
+  const count = predicate => markers.filter(predicate).length;
+  return {
+    total: markers.length,
+    todo: count(marker => marker.tag === 'TODO'),
+    fixme: count(marker => marker.tag === 'FIXME'),
+    hack: count(marker => marker.tag === 'HACK'),
+    overdue: count(marker => marker.overdue)
+  };
+}
+
+/**
+ * Describes the counts of a summary in words
+ * @param {object} summary - Result of summarizeMarkers
+ * @returns {string} e.g. "12 markers: 7 TODO, 3 FIXME, 2 HACK, 1 overdue"
+ */
+function describeSummary(summary) {
+  return `${summary.total} marker${summary.total === 1 ? '' : 's'}: ${summary.todo} TODO, ${summary.fixme} FIXME, ${summary.hack} HACK, ${summary.overdue} overdue`;
+}
+
+/**
+ * Formats markers as terminal text
+ * @param {object[]} groups - Groups from groupMarkers
+ * @param {object} summary - Result of summarizeMarkers
+ * @param {object} meta - Run information
+ * @param {string} meta.target - Path that was scanned
+ * @returns {string} Formatted output
+ */
+function formatTodosText(groups, summary, meta) {
+  const divider = '═'.repeat(50);
+  const thinDivider = '─'.repeat(50);
+
+  if (summary.total === 0) return `No TODO, FIXME or HACK markers found in ${meta.target}.`;
+
+  return `
+${divider}
+  📝 TODOS: ${meta.target}
+${divider}
+
+  ${describeSummary(summary)}
+${groups.map(group => `
+${thinDivider}
+${group.name} (${group.markers.length})
+${thinDivider}
+${group.markers.map(marker => `  ${`${marker.path}:${marker.line}`.padEnd(28)} ${marker.text}${marker.overdue ? `  ⏰ overdue since ${marker.due}` : ''}`).join('\n')}`).join('\n')}
+${divider}
+`;
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes escaped and no line breaks
+ */
+function markdownCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Formats markers as a Markdown document, one table per group
+ * @param {object[]} groups - Groups from groupMarkers
+ * @param {object} summary - Result of summarizeMarkers
+ * @param {object} meta - Run information
+ * @param {string} meta.target - Path that was scanned
+ * @returns {string} Markdown
+ */
+function formatTodosMarkdown(groups, summary, meta) {
+  const sections = groups.map(group => [
+    `## ${markdownCell(group.name)} (${group.markers.length})`,
+    '',
+    '| Location | Tag | Text | Owner | Issues | Due |',
+    '|----------|-----|------|-------|--------|-----|',
+    ...group.markers.map(marker => `| \`${markdownCell(`${marker.path}:${marker.line}`)}\` | ${marker.tag} | ${markdownCell(marker.text)} | ${markdownCell(marker.owner || '')} | ${marker.issues.join(', ')} | ${marker.due ? `${marker.due}${marker.overdue ? ' ⏰ **overdue**' : ''}` : ''} |`)
+  ].join('\n'));
+  return [`# TODO report: ${meta.target}`, '', `${describeSummary(summary)}.`, ...sections.map(section => `\n${section}`)].join('\n');
+}
+
+/**
+ * Formats markers as CSV, in group order
+ * @param {object[]} groups - Groups from groupMarkers
+ * @returns {string} CSV with a header row
+ */
+function formatTodosCsv(groups) {
+  const rows = groups.flatMap(group => group.markers.map(marker => [
+    marker.path,
+    marker.line,
+    marker.column,
+    marker.tag,
+    marker.owner,
+    marker.issues.join(' '),
+    marker.due,
+    marker.overdue,
+    marker.text
+  ]));
+  return formatCsv([['path', 'line', 'column', 'tag', 'owner', 'issues', 'due', 'overdue', 'text'], ...rows]);
+}
+
+module.exports = {
+  extractMarkers,
+  parseMarker,
+  groupMarkers,
+  summarizeMarkers,
+  formatTodosText,
+  formatTodosMarkdown,
+  formatTodosCsv,
+  localDate,
+  TODO_GROUPINGS,
+  TODO_FORMATS
+};
@@ -0,0 +1,220 @@
+/**
+ * Code Mood Analyzer - Tokenizer
+ * Splits source code into code, string, regex and comment segments so each
+ * metric can look only at the parts of a file it cares about
+ */
+
+/** Keywords after which a `/` starts a regex literal rather than a division */
+const REGEX_PRECEDING_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+/** Punctuation after which a `/` starts a regex literal rather than a division */
+const REGEX_PRECEDING_PUNCTUATION = '(,=:[!&|?{};~+-*%<>^';
+
+/**
+ * Scans a string literal starting at `index`
+ * @param {string} code - Source code
+ * @param {number} index - Index just after the opening delimiter
+ * @param {object} spec - String syntax from the language registry
+ * @returns {{end: number, interpolation: boolean}} Index after the literal and whether it stopped at an interpolation
+ */
+function scanString(code, index, spec) {
+  let i = index;
+  while (i < code.length) {
+    if (spec.escape && code[i] === spec.escape) {
+      i += 2;
+    } else if (code.startsWith(spec.end, i)) {
+      return { end: i + spec.end.length, interpolation: false };
+    } else if (spec.interpolation && code.startsWith(spec.interpolation, i)) {
+      return { end: i + spec.interpolation.length, interpolation: true };
+    } else if (code[i] === '\n' && !spec.multiline) {
+      return { end: i, interpolation: false };
+    } else {
+      i++;
+    }
+  }
+  return { end: code.length, interpolation: false };
+}
+
+/**
+ * Scans a regex literal starting at `index`
+ * @param {string} code - Source code
+ * @param {number} index - Index of the opening `/`
+ * @returns {number} Index after the literal and its flags, or -1 if it is not a regex
+ */
+function scanRegex(code, index) {
+  let i = index + 1;
+  let inClass = false;
+  while (i < code.length && code[i] !== '\n') {
+    const char = code[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) {
+      i++;
+      while (i < code.length && /[a-z]/i.test(code[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+/**
+ * Checks whether a `/` following the given token starts a regex literal
+ * @param {string|null} previousToken - Last significant code token, or null at file start
+ * @returns {boolean} True if a regex literal may start here
+ */
+function regexAllowedAfter(previousToken) {
+  if (previousToken === null) return true;
+  if (REGEX_PRECEDING_KEYWORDS.includes(previousToken)) return true;
+  return previousToken.length === 1 && REGEX_PRECEDING_PUNCTUATION.includes(previousToken);
+}
+
+/**
+ * Splits source code into typed segments. Segments never span lines: a block
+ * comment or string covering several lines yields one segment per line.
+ * @param {string} code - The source code to tokenize
+ * @param {object} language - Language definition from the registry
+ * @returns {object[]} Segments of shape { type, text, line, column } where type is
+ *   'code', 'string', 'regex' or 'comment' and line/column are 1-based
+ */
+function tokenize(code, language) {
+  const segments = [];
+  let line = 1;
+  let column = 1;
+  let lineHasContent = false;
+  let previousToken = null;
+  // Brace depth at which each open template interpolation resumes its string
+  const interpolationStack = [];
+  let braceDepth = 0;
+
+  const emit = (type, text) => {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        line++;
+        column = 1;
+        lineHasContent = false;
+      }
+      if (part === '') return;
+      const last = segments[segments.length - 1];
+      if (last && last.type === type && last.line === line) {
+        last.text += part;
+      } else {
+        segments.push({ type, text: part, line, column });
+      }
+      column += part.length;
+      if (part.trim() !== '') lineHasContent = true;
+    });
+  };
+
+  const emitString = (start, spec) => {
+    const { end, interpolation } = scanString(code, start, spec);
+    if (interpolation) interpolationStack.push({ depth: braceDepth, spec });
+    previousToken = 'literal';
+    return end;
+  };
+
+  const findDelimited = (delimiters, i, atLineStart) => delimiters.find(
+    delimiter => code.startsWith(delimiter.start, i) && (atLineStart || !delimiter.lineStart)
+  );
+
+  let i = 0;
+  while (i < code.length) {
+    const char = code[i];
+
+    // Closing brace of a template interpolation resumes the template string
+    const openInterpolation = interpolationStack[interpolationStack.length - 1];
+    if (char === '}' && openInterpolation && openInterpolation.depth === braceDepth) {
+      interpolationStack.pop();
+      const end = emitString(i + 1, openInterpolation.spec);
+      emit('string', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    const docstring = !lineHasContent && findDelimited(language.docstrings, i, true);
+    const blockComment = findDelimited([...(docstring ? [docstring] : []), ...language.blockComments], i, !lineHasContent);
+    if (blockComment) {
+      const close = code.indexOf(blockComment.end, i + blockComment.start.length);
+      const end = close === -1 ? code.length : close + blockComment.end.length;
+      emit('comment', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (language.lineComments.some(token => code.startsWith(token, i))) {
+      const newline = code.indexOf('\n', i);
+      const end = newline === -1 ? code.length : newline;
+      emit('comment', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    const stringSpec = language.strings.find(spec => {
+      if (spec.pattern) {
+        spec.pattern.lastIndex = i;
+        return spec.pattern.test(code);
+      }
+      return code.startsWith(spec.start, i);
+    });
+    if (stringSpec) {
+      let end;
+      if (stringSpec.pattern) {
+        end = stringSpec.pattern.lastIndex;
+        previousToken = 'literal';
+      } else {
+        end = emitString(i + stringSpec.start.length, stringSpec);
+      }
+      emit('string', code.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (char === '/' && language.regexLiterals && regexAllowedAfter(previousToken)) {
+      const end = scanRegex(code, i);
+      if (end !== -1) {
+        emit('regex', code.slice(i, end));
+        previousToken = 'literal';
+        i = end;
+        continue;
+      }
+    }
+
+    if (char === '{') braceDepth++;
+    else if (char === '}') braceDepth--;
+
+    if (/[\w$]/.test(char)) {
+      const isContinuation = i > 0 && /[\w$]/.test(code[i - 1]) && previousToken !== 'literal';
+      previousToken = isContinuation ? previousToken + char : char;
+    } else if (!/\s/.test(char)) {
+      previousToken = char;
+    }
+
+    emit('code', char);
+    i++;
+  }
+
+  return segments;
+}
+
+/**
+ * Groups segments by the line they appear on
+ * @param {object[]} segments - Segments from tokenize
+ * @param {number} lineCount - Number of lines in the source
+ * @returns {object[][]} One array of segments per line
+ */
+function groupSegmentsByLine(segments, lineCount) {
+  const lines = Array.from({ length: lineCount }, () => []);
+  for (const segment of segments) {
+    lines[segment.line - 1].push(segment);
+  }
+  return lines;
+}
+
+module.exports = {
+  tokenize,
+  groupSegmentsByLine
+};
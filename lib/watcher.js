@@ -0,0 +1,273 @@
+/**
+ * Watch mode for the Code Mood Analyzer
+ * Keeps per-file results in memory and re-analyzes only the files that
+ * changed, were added or were removed, after a burst of saves settles
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanCodeFiles, isSupportedFile, isDirectory, comparePaths, EXCLUDED_DIRECTORIES, DEFAULT_MAX_DEPTH } = require('./fileUtils');
+
+/** Time to wait after the last change before re-analyzing, in milliseconds */
+const DEFAULT_DEBOUNCE_MS = 150;
+
+/** Names of the temporary and backup files editors write while saving */
+const EDITOR_TEMP_PATTERNS = [
+  /~$/, // Emacs, Vim and gedit backups
+  /^\.#/, // Emacs lock files
+  /^#.*#$/, // Emacs auto-saves
+  /^\..*\.sw[a-z]$/, // Vim swap files
+  /^4913$/, // Vim's write test
+  /\.(tmp|bak|orig)$/i,
+  /___jb_(tmp|old|bak)___$/ // JetBrains safe writes
+];
+
+/**
+ * Checks whether a file name belongs to an editor's temporary or backup file
+ * @param {string} filePath - File path or name
+ * @returns {boolean} True for editor temp files
+ */
+function isEditorTempFile(filePath) {
+  const name = path.basename(filePath);
+  return EDITOR_TEMP_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Checks whether a changed path can hold results worth re-analyzing
+ * @param {string} root - Watched directory
+ * @param {string} filePath - Changed path
+ * @param {string[]} excludedDirectories - Directory names to skip
+ * @returns {boolean} True unless the path is an editor temp file or inside an excluded directory
+ */
+function isWatchedPath(root, filePath, excludedDirectories) {
+  const parts = path.relative(root, filePath).split(path.sep);
+  return !isEditorTempFile(filePath) && !parts.some(part => excludedDirectories.includes(part));
+}
+
+/**
+ * Counts the directory levels from the watched directory down to a path
+ * @param {string|null} root - Watched directory; without one every path is at level 0
+ * @param {string} fullPath - Path below it
+ * @returns {number} 0 for the root itself, 1 for its entries, and so on
+ */
+function levelOf(root, fullPath) {
+  return root ? path.relative(root, fullPath).split(path.sep).filter(Boolean).length : 0;
+}
+
+/**
+ * Lists a directory and the directories below it, for watching them one by one
+ * @param {string} dir - Directory to list
+ * @param {object} scan - What to skip
+ * @param {number} scan.maxDepth - Levels to descend below dir
+ * @param {string[]} scan.excludedDirectories - Directory names to skip
+ * @param {Function} scan.filter - Called with (fullPath, isDir); returns false to skip a path
+ * @returns {string[]} dir and the directories below it; unreadable ones are not descended into
+ */
+function listDirectories(dir, { maxDepth, excludedDirectories, filter }) {
+  let entries = [];
+  try {
+    if (maxDepth > 0) entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    // Removed or unreadable since it changed; nothing below it to watch
+  }
+  return [dir, ...entries
+    .filter(entry => entry.isDirectory() && !excludedDirectories.includes(entry.name) && filter(path.join(dir, entry.name), true))
+    .flatMap(entry => listDirectories(path.join(dir, entry.name), { maxDepth: maxDepth - 1, excludedDirectories, filter }))];
+}
+
+/**
+ * Re-analyzes changed paths and updates the results in place
+ * @param {Map<string, object>} results - Analysis results by absolute path
+ * @param {string[]} changedPaths - Absolute paths of changed, added or removed files or directories
+ * @param {Function} analyze - Called with an absolute path; returns an analysis result or null
+ * @param {object} [scan] - What to skip
+ * @param {string} [scan.root] - Watched directory, which maxDepth counts from
+ * @param {number} [scan.maxDepth] - Deepest directory level below the root to analyze files in
+ * @param {string[]} [scan.excludedDirectories] - Directory names to skip in added directories
+ * @param {Function} [scan.filter] - Called with (fullPath, isDir); returns false to skip a path
+ * @param {boolean} [scan.followSymlinks] - Follow symbolic links in added directories
+ * @returns {Promise<object[]>} Changes of shape { absolutePath, before, after }, where before and
+ *   after are mood results or null for added and removed files, sorted by path
+ */
+async function applyChanges(results, changedPaths, analyze, {
+  root = null,
+  maxDepth = DEFAULT_MAX_DEPTH,
+  excludedDirectories = EXCLUDED_DIRECTORIES,
+  filter = () => true,
+  followSymlinks = false
+} = {}) {
+  const changes = new Map();
+  const update = (filePath, result) => {
+    const before = results.has(filePath) ? results.get(filePath).moodResult : null;
+    if (result) results.set(filePath, result);
+    else results.delete(filePath);
+    const after = result ? result.moodResult : null;
+    if (before || after) changes.set(filePath, { absolutePath: filePath, before, after });
+  };
+
+  for (const changedPath of changedPaths) {
+    let stats = null;
+    try {
+      stats = fs.statSync(changedPath);
+    } catch {
+      // Removed
+    }
+
+    // Files under a removed or replaced directory go with it; those still present come back below
+    const prefix = changedPath + path.sep;
+    for (const filePath of [...results.keys()].filter(key => key.startsWith(prefix))) update(filePath, null);
+
+    if (stats && stats.isDirectory()) {
+      const level = levelOf(root, changedPath);
+      if (level > maxDepth || !filter(changedPath, true)) continue;
+      const scan = await scanCodeFiles(changedPath, { maxDepth: maxDepth - level, excludedDirectories, filter, followSymlinks });
+      for (const filePath of scan.files) update(filePath, analyze(filePath));
+    } else {
+      const included = stats && stats.isFile() && levelOf(root, path.dirname(changedPath)) <= maxDepth &&
+        isSupportedFile(changedPath) && filter(changedPath, false);
+      update(changedPath, included ? analyze(changedPath) : null);
+    }
+  }
+
+  // A file saved twice with the same mood is not a change
+  return [...changes.values()]
+    .filter(({ before, after }) => !before || !after || before.mood !== after.mood || before.score !== after.score)
+    .sort((a, b) => comparePaths(a.absolutePath, b.absolutePath));
+}
+
+/**
+ * Formats the changes of a re-analysis, e.g. "utils.js: stressed → content (+14)"
+ * @param {object[]} changes - Result of applyChanges
+ * @param {string} root - Directory paths are shown relative to
+ * @returns {string[]} One line per changed file
+ */
+function formatChanges(changes, root) {
+  return changes.map(({ absolutePath, before, after }) => {
+    const name = path.relative(root, absolutePath);
+    if (!before) return `${name}: added, ${after.emoji} ${after.mood} (${after.score})`;
+    if (!after) return `${name}: removed`;
+    const delta = after.score - before.score;
+    return `${name}: ${before.mood} → ${after.emoji} ${after.mood} (${delta > 0 ? '+' : ''}${delta})`;
+  });
+}
+
+/**
+ * Watches a directory and re-analyzes files as they change. Where fs.watch cannot watch a tree
+ * recursively (Linux before Node 20), each directory gets a watcher of its own, and directories
+ * added later are watched as they appear.
+ * @param {object} options - What to watch
+ * @param {string} options.root - Directory to watch
+ * @param {Map<string, object>} options.results - Results of the initial run by absolute path; kept up to date
+ * @param {Function} options.analyze - Called with an absolute path; returns an analysis result or null
+ * @param {Function} options.onUpdate - Called with the changes of each re-analysis
+ * @param {Function} [options.onError] - Called with errors of the watchers, such as the watched
+ *   directory being removed, and of re-analyses
+ * @param {number} [options.maxDepth] - Deepest directory level below the root to analyze files in
+ * @param {string[]} [options.excludedDirectories] - Directory names to skip
+ * @param {Function} [options.filter] - Called with (fullPath, isDir); returns false to skip a path
+ * @param {boolean} [options.followSymlinks] - Follow symbolic links in added directories
+ * @param {number} [options.debounceMs] - Quiet time to wait for after the last change
+ * @param {Function} [options.watch] - fs.watch, or a replacement with the same signature
+ * @returns {{close: Function}} Handle that stops watching
+ */
+function watchDirectory({
+  root,
+  results,
+  analyze,
+  onUpdate,
+  onError = () => {},
+  maxDepth = DEFAULT_MAX_DEPTH,
+  excludedDirectories = EXCLUDED_DIRECTORIES,
+  filter = () => true,
+  followSymlinks = false,
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  watch = fs.watch
+}) {
+  const pending = new Set();
+  const watchers = new Map();
+  let recursive = true;
+  let timer = null;
+  // Re-analyses run one after the other, so a slow one never races the next
+  let queue = Promise.resolve();
+
+  const unwatch = dir => {
+    for (const [watchedDir, watcher] of watchers) {
+      if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+        watcher.close();
+        watchers.delete(watchedDir);
+      }
+    }
+  };
+
+  const listen = dir => (eventType, filename) => {
+    // Some platforms cannot name the changed file; re-check the whole directory then
+    const changedPath = filename ? path.join(dir, filename.toString()) : dir;
+    if (!isWatchedPath(root, changedPath, excludedDirectories)) return;
+    pending.add(changedPath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      queue = queue.then(flush).catch(onError);
+    }, debounceMs);
+  };
+
+  const start = (dir, options) => {
+    const watcher = watch(dir, options, listen(dir));
+    watcher.on('error', error => {
+      unwatch(dir);
+      // Directories below the root going away is business as usual; the root going away is not
+      if (dir === root) onError(error);
+    });
+    watchers.set(dir, watcher);
+  };
+
+  const watchTree = dir => {
+    const level = levelOf(root, dir);
+    if (level > maxDepth) return;
+    for (const subdir of listDirectories(dir, { maxDepth: maxDepth - level, excludedDirectories, filter })) {
+      if (watchers.has(subdir)) continue;
+      try {
+        start(subdir, {});
+      } catch (error) {
+        if (subdir === root) throw error;
+        // Removed again before it could be watched
+      }
+    }
+  };
+
+  const flush = async () => {
+    const changedPaths = [...pending];
+    pending.clear();
+    if (!recursive) {
+      for (const changedPath of changedPaths) {
+        if (!isDirectory(changedPath)) unwatch(changedPath);
+        else if (filter(changedPath, true)) watchTree(changedPath);
+      }
+    }
+    const changes = await applyChanges(results, changedPaths, analyze, { root, maxDepth, excludedDirectories, filter, followSymlinks });
+    if (changes.length > 0) onUpdate(changes);
+  };
+
+  try {
+    start(root, { recursive: true });
+  } catch (error) {
+    if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+    recursive = false;
+    watchTree(root);
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = {
+  watchDirectory,
+  applyChanges,
+  formatChanges,
+  isEditorTempFile
+};
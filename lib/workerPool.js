@@ -0,0 +1,100 @@
+/**
+ * Parallel analysis for the Code Mood Analyzer
+ * Runs the per-file analysis on a pool of worker threads, handing out files
+ * in small batches and returning the results in input order
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/** Script each worker runs */
+const WORKER_PATH = path.join(__dirname, 'analysisWorker.js');
+
+/** Files sent to a worker per message */
+const BATCH_SIZE = 16;
+
+/** Fewest files worth starting workers for; smaller runs are analyzed in-process */
+const PARALLEL_THRESHOLD = 32;
+
+/**
+ * Picks the number of workers when --jobs is not given
+ * @returns {number} Number of CPUs available to the process
+ */
+function defaultJobs() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Parses a --jobs value
+ * @param {string|number} value - Whole number of 1 or more
+ * @returns {number|null} Number of workers, or null if the value is invalid
+ */
+function parseJobs(value) {
+  const jobs = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(jobs) && jobs >= 1 ? jobs : null;
+}
+
+/**
+ * Analyzes files on worker threads
+ * @param {string[]} filePaths - Absolute paths of the files to analyze
+ * @param {object} options - Pool options
+ * @param {number} options.jobs - Most workers to start
+ * @param {object} options.configOptions - Arguments of loadConfig, so each worker loads the same
+ *   configuration and plugins (loaded plugins cannot be sent to a worker)
+ * @returns {Promise<Array<object|null>>} Analysis result of each file in input order, { skipped }
+ *   with the reason for files too large, binary or unreadable, and null for empty files
+ */
+function analyzeInWorkers(filePaths, { jobs, configOptions }) {
+  return new Promise((resolve, reject) => {
+    const results = new Array(filePaths.length).fill(null);
+    const workers = [];
+    let next = 0;
+    let inFlight = 0;
+    let settled = false;
+
+    const finish = error => {
+      if (settled) return;
+      settled = true;
+      Promise.all(workers.map(worker => worker.terminate()))
+        .then(() => (error ? reject(error) : resolve(results)), reject);
+    };
+
+    const dispatch = worker => {
+      if (next >= filePaths.length) {
+        if (inFlight === 0) finish();
+        return;
+      }
+      const start = next;
+      next = Math.min(next + BATCH_SIZE, filePaths.length);
+      inFlight++;
+      worker.postMessage({ start, filePaths: filePaths.slice(start, next) });
+    };
+
+    const workerCount = Math.min(jobs, Math.ceil(filePaths.length / BATCH_SIZE));
+    if (workerCount === 0) finish();
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(WORKER_PATH, { workerData: { configOptions } });
+      workers.push(worker);
+      worker.on('message', ({ start, results: batch }) => {
+        batch.forEach((result, offset) => {
+          results[start + offset] = result;
+        });
+        inFlight--;
+        dispatch(worker);
+      });
+      worker.on('error', finish);
+      worker.on('exit', code => {
+        if (code !== 0) finish(new Error(`Analysis worker stopped with exit code ${code}`));
+      });
+      dispatch(worker);
+    }
+  });
+}
+
+module.exports = {
+  analyzeInWorkers,
+  defaultJobs,
+  parseJobs,
+  PARALLEL_THRESHOLD
+};
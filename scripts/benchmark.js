@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for the Code Mood Analyzer
+ * Generates a synthetic source tree, analyzes it with one worker and with a pool of
+ * workers, checks that both reports match and prints the timings
+ *
+ * Usage: node scripts/benchmark.js [--files 2000] [--jobs N] [--keep]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { defaultJobs } = require('../lib/workerPool');
+
+const cliPath = path.join(__dirname, '..', 'src', 'cli.js');
+
+/** Comment lines mixed into the generated files */
+const COMMENTS = [
+  '// TODO: handle the edge cases',
+  '// HACK: works around a broken upstream API',
+  '// Clean and simple helper',
+  '// FIXME: this is terrible and urgent!!!',
+  '// Elegant, readable and well tested',
+  ''
+];
+
+/**
+ * Reads a numeric option
+ * @param {string[]} args - Command line arguments
+ * @param {string} name - Option name, e.g. --files
+ * @param {number} fallback - Value when the option is missing
+ * @returns {number} Option value
+ */
+function numberOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : Number(args[index + 1]);
+}
+
+/**
+ * Builds the source of one generated file
+ * @param {number} index - File number, which varies the content
+ * @returns {string} JavaScript source
+ */
+function generateSource(index) {
+  const lines = [];
+  for (let fn = 0; fn < 5 + (index % 10); fn++) {
+    lines.push(COMMENTS[(index + fn) % COMMENTS.length]);
+    lines.push(`function handler${index}_${fn}(input, options) {`);
+    lines.push('  let total = 0;');
+    lines.push('  for (const item of input) {');
+    lines.push(`    if (item.value > ${fn} && options.enabled) {`);
+    lines.push('      total += item.value;');
+    lines.push('    }');
+    lines.push('  }');
+    lines.push(`  return total * ${index};`);
+    lines.push('}');
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Writes a synthetic tree of nested directories
+ * @param {string} root - Directory to write into
+ * @param {number} fileCount - Number of files to generate
+ */
+function generateTree(root, fileCount) {
+  for (let i = 0; i < fileCount; i++) {
+    const dir = path.join(root, `pkg${i % 20}`, `module${i % 7}`, `part${i % 3}`);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `file${i}.js`), generateSource(i));
+  }
+}
+
+/**
+ * Analyzes a tree with the CLI
+ * @param {string} root - Directory to analyze
+ * @param {number} jobs - Number of workers
+ * @returns {{seconds: number, report: string}} Wall-clock time and JSON report
+ */
+function timeRun(root, jobs) {
+  const started = process.hrtime.bigint();
+  const report = execFileSync('node', [cliPath, root, '--format', 'json', '--no-cache', '--jobs', String(jobs)], {
+    encoding: 'utf8',
+    maxBuffer: 1024 * 1024 * 1024
+  });
+  return { seconds: Number(process.hrtime.bigint() - started) / 1e9, report };
+}
+
+/**
+ * Runs the benchmark
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const fileCount = numberOption(args, '--files', 2000);
+  const jobs = numberOption(args, '--jobs', defaultJobs());
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'code-mood-bench-'));
+
+  try {
+    console.log(`Generating ${fileCount} files in ${root}...`);
+    generateTree(root, fileCount);
+
+    const sequential = timeRun(root, 1);
+    const parallel = timeRun(root, jobs);
+    if (parallel.report !== sequential.report) {
+      console.error('Error: reports differ between 1 and', jobs, 'jobs');
+      process.exitCode = 1;
+    }
+
+    console.log(`  --jobs 1   ${sequential.seconds.toFixed(2)}s`);
+    console.log(`  --jobs ${String(jobs).padEnd(3)} ${parallel.seconds.toFixed(2)}s`);
+    console.log(`  speedup    ${(sequential.seconds / parallel.seconds).toFixed(2)}x`);
+  } finally {
+    if (args.includes('--keep')) console.log(`Kept ${root}`);
+    else fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+main();
@@ -5,12 +5,51 @@
  * A fun tool that analyzes the "mood" of your code
  */
 
+const fs = require('fs');
 const path = require('path');
-const { analyzeCode, determineMood, generateSuggestions, formatResults, MOOD_EMOJIS } = require('../lib/analyzer');
-const { readFile, getCodeFiles, isDirectory, pathExists, isSupportedFile } = require('../lib/fileUtils');
+const { analyzeSource, calculateAggregateMood, determineMood, generateSuggestions, formatResults, formatExplanation, MOOD_EMOJIS } = require('../lib/analyzer');
+const { readFile, readSourceFile, scanCodeFiles, comparePaths, parseMaxDepth, parseFileSize, isDirectory, pathExists, isSupportedFile } = require('../lib/fileUtils');
+const { buildJsonReport, formatJsonReport } = require('../lib/jsonReport');
+const { buildSarifReport, formatGithubAnnotations, buildGitlabReport } = require('../lib/ciReports');
+const { buildHtmlReport } = require('../lib/htmlReport');
+const { loadConfig, ConfigError, CONFIG_FILENAMES } = require('../lib/config');
+const { PluginError } = require('../lib/plugins');
+const { aggregateByAuthor, formatAuthorReport } = require('../lib/blame');
+const { collectHistory, findRepositoryRoot, parseInterval, formatHistoryText, formatHistoryCsv, GitError } = require('../lib/gitHistory');
+const { collectDiff, summarizeDiff, formatDiffText } = require('../lib/gitDiff');
+const { watchDirectory, formatChanges } = require('../lib/watcher');
+const { createFileFilter } = require('../lib/ignore');
+const { analyzeInWorkers, defaultJobs, parseJobs, PARALLEL_THRESHOLD } = require('../lib/workerPool');
+const { openResultCache, clearResultCache, DEFAULT_CACHE_DIR } = require('../lib/resultCache');
+const { createServer, parsePort, DEFAULT_PORT, DEFAULT_HOST } = require('../lib/server');
+const { startLanguageServer } = require('../lib/lsp');
+const { isTestPath, pairTestFiles, TEST_MODES } = require('../lib/testPairing');
+const { extractMarkers, groupMarkers, summarizeMarkers, formatTodosText, formatTodosMarkdown, formatTodosCsv, localDate, TODO_GROUPINGS, TODO_FORMATS } = require('../lib/todos');
+const { parseGates, hasGates, buildBaseline, readBaseline, checkGates, formatGateReport, GateError, DEFAULT_BASELINE_PATH } = require('../lib/qualityGates');
 
 const VERSION = '1.0.0';
 
+/** Output formats accepted by --format */
+const OUTPUT_FORMATS = ['text', 'json', 'sarif', 'github', 'gitlab'];
+
+/** Report files accepted by --report */
+const REPORT_TYPES = ['html'];
+
+/** Where --report writes when --out is not given */
+const DEFAULT_REPORT_PATH = 'code-mood-report.html';
+
+/** Entries marking the root of a project, where tests are looked for */
+const PROJECT_MARKERS = [...CONFIG_FILENAMES, 'package.json', '.git'];
+
+/** Subcommands, given as the first argument */
+const COMMANDS = ['history', 'diff', 'baseline', 'cache', 'serve', 'lsp', 'todos'];
+
+/** Exit code when a quality gate fails; tool errors exit with 1 */
+const EXIT_GATE_FAILED = 2;
+
+/** Output formats accepted by --format for the history command */
+const HISTORY_FORMATS = ['text', 'json', 'csv'];
+
 /**
  * Prints the help message
  */
@@ -24,7 +63,63 @@ Analyze the "mood" of your code based on comments, complexity,
 naming patterns, and other fun metrics!
 
 USAGE:
-  code-mood <file|directory>     Analyze a file or directory
+  code-mood <file|directory>...  Analyze files and directories
+  code-mood <path> --include 'src/**' --exclude '*.test.js'
+                                 Only scan matching files / skip matching paths
+                                 (repeatable; .gitignore and .codemoodignore apply)
+  code-mood <path> --list-files  Print the files that would be analyzed
+  code-mood <path> --max-depth 8 Read directories up to 8 levels deep (default 5,
+                                 or "unlimited")
+  code-mood <path> --jobs 4      Analyze on 4 worker threads (default: one per CPU)
+  code-mood <path> --max-file-size 2mb
+                                 Skip larger files (default 1mb, or "unlimited")
+  code-mood <path> --no-cache    Analyze every file again instead of reusing the
+                                 results of unchanged files in ${DEFAULT_CACHE_DIR}/
+  code-mood cache clear          Delete the result cache
+  code-mood <path> --follow-symlinks
+                                 Follow symbolic links, skipping links that loop
+  code-mood <path> --format json Print a machine-readable JSON report
+  code-mood <path> --format sarif|github|gitlab
+                                 Print findings as SARIF 2.1.0, GitHub Actions
+                                 annotations or a GitLab Code Quality report
+  code-mood <path> --report html --out mood.html
+                                 Also write a self-contained HTML report
+  code-mood <directory> --watch  Re-analyze files as they change and show mood changes
+  code-mood <path> --explain     Show how each file's score was worked out
+  code-mood <file> --details     List every finding with its line and column
+  code-mood <path> --tests separate|exclude
+                                 Summarize test files apart from production code,
+                                 or leave them out (default: include them)
+  code-mood <path> --report-unused-suppressions
+                                 Warn about code-mood-disable comments that
+                                 no longer suppress anything
+  code-mood <path> --by-author [--anonymize]
+                                 Attribute findings to authors with git blame
+                                 (--anonymize hashes their identities)
+  code-mood <path> --config file Use this configuration instead of the nearest
+                                 .codemoodrc.json or code-mood.config.js
+  code-mood <path> --plugin ./my-plugin.js
+                                 Load a plugin (repeatable)
+  code-mood <path> --fail-under 50 --fail-on-mood chaotic,sad --max-hacks 0
+                                 Exit with ${EXIT_GATE_FAILED} when a file breaks a quality gate
+  code-mood <path> --baseline .code-mood-baseline.json
+                                 Only fail on regressions against the baseline
+  code-mood baseline update [path] [--baseline file]
+                                 Record the baseline snapshot
+  code-mood history [path] --since 6.months --every 1.week [--format json|csv]
+                                 Show the mood trend over the git history
+  code-mood diff [path] --base main | --staged
+                                 Score only the lines a change adds, with the
+                                 mood delta of every touched file
+  code-mood serve --port ${DEFAULT_PORT} [--host ${DEFAULT_HOST}]
+                                 Serve the JSON API (POST /analyze, POST /analyze-batch,
+                                 GET /moods) and a live dashboard at /
+  code-mood lsp                  Run a language server over stdio: diagnostics for
+                                 HACK/FIXME/stress words, deep nesting and long lines,
+                                 and the file's mood on hover over its first line
+  code-mood todos [path] --group-by owner|tag|file [--format markdown|csv|json] [--out file]
+                                 List every TODO/FIXME/HACK with its owner, issues
+                                 and due date, flagging overdue ones
   code-mood --help               Show this help message
   code-mood --version            Show version number
   code-mood --moods              Show all possible moods
@@ -85,83 +180,59 @@ function printVersion() {
   console.log(`Code Mood Analyzer v${VERSION}`);
 }
 
+/**
+ * Reads and analyzes a single file, or tells why it was skipped
+ * @param {string} filePath - Path to analyze
+ * @param {object} [config] - Scoring configuration from loadConfig
+ * @returns {object|null} Analysis result, { skipped } with the reason for files too large, binary
+ *   or unreadable, or null for empty files
+ */
+function readAndAnalyze(filePath, config) {
+  const source = readSourceFile(filePath, { maxFileSize: config && config.maxFileSize });
+  if (source.skipped) return { skipped: source.skipped };
+  return source.code ? analyzeSource(source.code, filePath, config) : null;
+}
+
 /**
  * Analyzes a single file and returns the result
  * @param {string} filePath - Path to analyze
+ * @param {object} [config] - Scoring configuration from loadConfig
  * @returns {object|null} Analysis result or null
  */
-function analyzeFile(filePath) {
-  const code = readFile(filePath);
-  if (!code) return null;
-  
-  const metrics = analyzeCode(code, path.basename(filePath));
-  const moodResult = determineMood(metrics);
-  const suggestions = generateSuggestions(metrics, moodResult);
-  
-  return { metrics, moodResult, suggestions };
-}
-
-/**
- * Calculates aggregate mood for multiple files
- * @param {object[]} results - Array of analysis results
- * @returns {object} Aggregate result
- */
-function calculateAggregateMood(results) {
-  const totals = {
-    totalLines: 0,
-    codeLines: 0,
-    commentLines: 0,
-    positiveWords: 0,
-    negativeWords: 0,
-    stressWords: 0,
-    todoCount: 0,
-    fixmeCount: 0,
-    hackCount: 0,
-    functionCount: 0
-  };
+function analyzeFile(filePath, config) {
+  const result = readAndAnalyze(filePath, config);
+  return result && !result.skipped ? result : null;
+}
 
-  let totalScore = 0;
-  const moodCounts = {};
-
-  for (const result of results) {
-    totals.totalLines += result.metrics.totalLines;
-    totals.codeLines += result.metrics.codeLines;
-    totals.commentLines += result.metrics.commentLines;
-    totals.positiveWords += result.metrics.positiveWords;
-    totals.negativeWords += result.metrics.negativeWords;
-    totals.stressWords += result.metrics.stressWords;
-    totals.todoCount += result.metrics.todoCount;
-    totals.fixmeCount += result.metrics.fixmeCount;
-    totals.hackCount += result.metrics.hackCount;
-    totals.functionCount += result.metrics.functionCount;
-    totalScore += result.moodResult.score;
-    
-    moodCounts[result.moodResult.mood] = (moodCounts[result.moodResult.mood] || 0) + 1;
+/**
+ * Prints the aggregate results of a run: one summary, or with --tests separate one for production
+ * code and one for tests
+ * @param {object[]} results - Analysis results
+ * @param {string} testsMode - One of TEST_MODES
+ */
+function printSummaries(results, testsMode) {
+  if (testsMode !== 'separate') {
+    printAggregateResults(calculateAggregateMood(results));
+    return;
   }
-
-  const avgScore = Math.round(totalScore / results.length);
-  const dominantMood = Object.entries(moodCounts).sort((a, b) => b[1] - a[1])[0][0];
-
-  return {
-    fileCount: results.length,
-    totals,
-    avgScore,
-    dominantMood,
-    moodCounts
-  };
+  const production = results.filter(result => !result.metrics.isTest);
+  const tests = results.filter(result => result.metrics.isTest);
+  if (production.length > 0) printAggregateResults(calculateAggregateMood(production), '📊 PRODUCTION CODE MOOD SUMMARY');
+  if (tests.length > 0) printAggregateResults(calculateAggregateMood(tests), '🧪 TEST CODE MOOD SUMMARY');
 }
 
 /**
  * Prints aggregate results for a directory
  * @param {object} aggregate - Aggregate analysis data
+ * @param {string} [title] - Heading of the summary
  */
-function printAggregateResults(aggregate) {
+function printAggregateResults(aggregate, title = '📊 CODEBASE MOOD SUMMARY') {
   const divider = '═'.repeat(50);
   const thinDivider = '─'.repeat(50);
   
   console.log(`
 ${divider}
-  📊 CODEBASE MOOD SUMMARY
+  ${title}
 ${divider}
 
   📁 Files Analyzed: ${aggregate.fileCount}
@@ -193,15 +264,866 @@ ${thinDivider}
   Stress Words:      ${aggregate.totals.stressWords} 😰
   TODOs:             ${aggregate.totals.todoCount}
   FIXMEs:            ${aggregate.totals.fixmeCount}
-  Hacks:             ${aggregate.totals.hackCount}
+  Hacks:             ${aggregate.totals.hackCount}${aggregate.totals.suppressedCount > 0 ? `
+  Suppressed:        ${aggregate.totals.suppressedCount} 🔕` : ''}
 ${divider}
 `);
 }
 
+/**
+ * Parses command line arguments into options
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} Options with the target paths and flag values
+ */
+function parseArgs(args) {
+  const options = {
+    command: null,
+    paths: [],
+    format: 'text',
+    report: null,
+    out: null,
+    config: null,
+    plugins: [],
+    explain: false,
+    details: false,
+    byAuthor: false,
+    anonymize: false,
+    since: '6.months',
+    every: '1.week',
+    base: null,
+    staged: false,
+    failUnder: null,
+    failOnMood: null,
+    maxHacks: null,
+    baseline: null,
+    watch: false,
+    include: [],
+    exclude: [],
+    listFiles: false,
+    maxDepth: null,
+    followSymlinks: false,
+    maxFileSize: null,
+    jobs: null,
+    port: null,
+    host: null,
+    cache: true,
+    reportUnusedSuppressions: false,
+    groupBy: null,
+    tests: 'include'
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (i === 0 && COMMANDS.includes(arg)) {
+      options.command = arg;
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--report') {
+      options.report = args[++i];
+    } else if (arg.startsWith('--report=')) {
+      options.report = arg.slice('--report='.length);
+    } else if (arg === '--out') {
+      options.out = args[++i];
+    } else if (arg.startsWith('--out=')) {
+      options.out = arg.slice('--out='.length);
+    } else if (arg === '--config') {
+      options.config = args[++i];
+    } else if (arg.startsWith('--config=')) {
+      options.config = arg.slice('--config='.length);
+    } else if (arg === '--since') {
+      options.since = args[++i];
+    } else if (arg.startsWith('--since=')) {
+      options.since = arg.slice('--since='.length);
+    } else if (arg === '--every') {
+      options.every = args[++i];
+    } else if (arg.startsWith('--every=')) {
+      options.every = arg.slice('--every='.length);
+    } else if (arg === '--base') {
+      options.base = args[++i];
+    } else if (arg.startsWith('--base=')) {
+      options.base = arg.slice('--base='.length);
+    } else if (arg === '--fail-under') {
+      options.failUnder = args[++i];
+    } else if (arg.startsWith('--fail-under=')) {
+      options.failUnder = arg.slice('--fail-under='.length);
+    } else if (arg === '--fail-on-mood') {
+      options.failOnMood = args[++i];
+    } else if (arg.startsWith('--fail-on-mood=')) {
+      options.failOnMood = arg.slice('--fail-on-mood='.length);
+    } else if (arg === '--max-hacks') {
+      options.maxHacks = args[++i];
+    } else if (arg.startsWith('--max-hacks=')) {
+      options.maxHacks = arg.slice('--max-hacks='.length);
+    } else if (arg === '--baseline') {
+      options.baseline = args[++i];
+    } else if (arg.startsWith('--baseline=')) {
+      options.baseline = arg.slice('--baseline='.length);
+    } else if (arg === '--staged') {
+      options.staged = true;
+    } else if (arg === '--by-author') {
+      options.byAuthor = true;
+    } else if (arg === '--anonymize') {
+      options.anonymize = true;
+    } else if (arg === '--include') {
+      options.include.push(args[++i]);
+    } else if (arg.startsWith('--include=')) {
+      options.include.push(arg.slice('--include='.length));
+    } else if (arg === '--exclude') {
+      options.exclude.push(args[++i]);
+    } else if (arg.startsWith('--exclude=')) {
+      options.exclude.push(arg.slice('--exclude='.length));
+    } else if (arg === '--max-depth') {
+      options.maxDepth = args[++i];
+    } else if (arg.startsWith('--max-depth=')) {
+      options.maxDepth = arg.slice('--max-depth='.length);
+    } else if (arg === '--max-file-size') {
+      options.maxFileSize = args[++i];
+    } else if (arg.startsWith('--max-file-size=')) {
+      options.maxFileSize = arg.slice('--max-file-size='.length);
+    } else if (arg === '--port') {
+      options.port = args[++i];
+    } else if (arg.startsWith('--port=')) {
+      options.port = arg.slice('--port='.length);
+    } else if (arg === '--tests') {
+      options.tests = args[++i];
+    } else if (arg.startsWith('--tests=')) {
+      options.tests = arg.slice('--tests='.length);
+    } else if (arg === '--group-by') {
+      options.groupBy = args[++i];
+    } else if (arg.startsWith('--group-by=')) {
+      options.groupBy = arg.slice('--group-by='.length);
+    } else if (arg === '--host') {
+      options.host = args[++i];
+    } else if (arg.startsWith('--host=')) {
+      options.host = arg.slice('--host='.length);
+    } else if (arg === '--jobs' || arg === '-j') {
+      options.jobs = args[++i];
+    } else if (arg.startsWith('--jobs=')) {
+      options.jobs = arg.slice('--jobs='.length);
+    } else if (arg === '--no-cache') {
+      options.cache = false;
+    } else if (arg === '--report-unused-suppressions') {
+      options.reportUnusedSuppressions = true;
+    } else if (arg === '--follow-symlinks') {
+      options.followSymlinks = true;
+    } else if (arg === '--list-files') {
+      options.listFiles = true;
+    } else if (arg === '--watch') {
+      options.watch = true;
+    } else if (arg === '--explain') {
+      options.explain = true;
+    } else if (arg === '--details') {
+      options.details = true;
+    } else if (arg === '--plugin') {
+      options.plugins.push(args[++i]);
+    } else if (arg.startsWith('--plugin=')) {
+      options.plugins.push(arg.slice('--plugin='.length));
+    } else if (!arg.startsWith('-')) {
+      options.paths.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Attributes the findings of analyzed files to their authors
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @param {object} options - Parsed command line options
+ * @param {object} config - Scoring configuration
+ * @returns {{authors: object[], skipped: string[]}} Result of aggregateByAuthor
+ */
+function attributeToAuthors(results, options, config) {
+  const files = results.map(result => ({
+    absolutePath: result.absolutePath,
+    code: readFile(result.absolutePath) || '',
+    metrics: result.metrics
+  }));
+  return aggregateByAuthor(files, { anonymize: options.anonymize, config });
+}
+
+/**
+ * Prints the mood of each author
+ * @param {{authors: object[], skipped: string[]}} attribution - Result of attributeToAuthors
+ */
+function printAuthorResults(attribution) {
+  if (attribution.authors.length > 0) console.log(formatAuthorReport(attribution.authors));
+  if (attribution.skipped.length > 0) {
+    console.log(`  ⚠️  ${attribution.skipped.length} file(s) could not be blamed (not tracked by git?) and were left out\n`);
+  }
+}
+
+/**
+ * Prints a machine-readable report for analyzed files
+ * @param {string} format - One of the non-text output formats
+ * @param {object[]} results - Analysis results with their paths
+ * @param {string} target - Path that was analyzed
+ * @param {object[]} [authors] - Per-author aggregates, for --by-author
+ * @param {object[]} [violations] - Quality gate violations, when gates are set
+ * @param {object[]} [warnings] - Warnings collected while scanning
+ * @param {string} [testMode] - One of TEST_MODES; with 'separate' the JSON summary leaves test
+ *   files out and they get a testSummary of their own
+ */
+function printReport(format, results, target, authors, violations, warnings, testMode) {
+  const gates = violations ? { passed: violations.length === 0, violations } : undefined;
+  const meta = { version: VERSION, target, baseDir: process.cwd(), authors, gates, warnings };
+
+  if (format === 'sarif') {
+    console.log(JSON.stringify(buildSarifReport(results, meta), null, 2));
+  } else if (format === 'github') {
+    const annotations = formatGithubAnnotations(results, meta);
+    if (annotations) console.log(annotations);
+  } else if (format === 'gitlab') {
+    console.log(JSON.stringify(buildGitlabReport(results, meta), null, 2));
+  } else {
+    const separate = testMode === 'separate';
+    const production = separate ? results.filter(result => !result.metrics.isTest) : results;
+    const aggregate = production.length > 0 ? calculateAggregateMood(production) : null;
+    if (separate) {
+      const tests = results.filter(result => result.metrics.isTest);
+      meta.testSummary = tests.length > 0 ? calculateAggregateMood(tests) : null;
+    }
+    console.log(formatJsonReport(buildJsonReport(results, aggregate, meta)));
+  }
+}
+
+/**
+ * Writes the HTML report for analyzed files
+ * @param {object[]} results - Analysis results with their paths
+ * @param {string} target - Path that was analyzed
+ * @param {string} outPath - File to write
+ * @param {boolean} quiet - Report progress on stderr instead of stdout
+ */
+function writeHtmlReport(results, target, outPath, quiet) {
+  if (results.length === 0) return;
+
+  const aggregate = calculateAggregateMood(results);
+  fs.writeFileSync(outPath, buildHtmlReport(results, aggregate, { version: VERSION, target }));
+  (quiet ? console.error : console.log)(`📝 HTML report written to ${outPath}`);
+}
+
+/**
+ * Builds the arguments of loadConfig for a target
+ * @param {string} fullPath - Absolute path being analyzed
+ * @param {object} options - Parsed command line options
+ * @returns {object} Options for loadConfig
+ */
+function configOptionsFor(fullPath, options) {
+  const overrides = options.maxFileSize === null ? {} : { maxFileSize: parseFileSize(options.maxFileSize) };
+  return { target: fullPath, configPath: options.config, pluginPaths: options.plugins, overrides };
+}
+
+/**
+ * Loads the configuration for a target, exiting with an error message if it is invalid
+ * @param {string} fullPath - Absolute path being analyzed
+ * @param {object} options - Parsed command line options
+ * @returns {object} Scoring configuration
+ */
+function loadConfigOrExit(fullPath, options) {
+  try {
+    return loadConfig(configOptionsFor(fullPath, options)).config;
+  } catch (error) {
+    if (!(error instanceof ConfigError) && !(error instanceof PluginError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Resolves the directory depth limit of a run
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @returns {number} --max-depth when given, else the configured maxDepth; Infinity for no limit
+ */
+function resolveMaxDepth(config, options) {
+  return options.maxDepth === null ? config.maxDepth : parseMaxDepth(options.maxDepth);
+}
+
+/**
+ * Lists the files to analyze for the given targets. Files inside directories are subject to
+ * ignore files and --include/--exclude; files named on the command line are always kept.
+ * @param {string[]} fullPaths - Absolute paths of the files and directories to analyze
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<{files: object[], warnings: object[]}>} Files of shape { path, absolutePath }
+ *   without duplicates and sorted by path, where path is relative to a single directory target (the
+ *   file name for a single file) or to the current directory, and scan warnings of shape
+ *   { path, message } with paths relative to the current directory
+ */
+async function listTargetFiles(fullPaths, config, options) {
+  const files = new Map();
+  const warnings = [];
+  const maxDepth = resolveMaxDepth(config, options);
+
+  for (const fullPath of fullPaths) {
+    const directory = isDirectory(fullPath);
+    let found = [fullPath];
+    if (directory) {
+      const scan = await scanCodeFiles(fullPath, {
+        maxDepth,
+        excludedDirectories: config.excludeDirectories,
+        filter: createFileFilter(fullPath, options),
+        followSymlinks: options.followSymlinks
+      });
+      found = scan.files;
+      warnings.push(...scan.warnings);
+      if (scan.skippedDirectories.length > 0) {
+        warnings.push({
+          path: fullPath,
+          message: `${scan.skippedDirectories.length} director${scan.skippedDirectories.length === 1 ? 'y' : 'ies'} deeper than ${maxDepth} levels skipped; raise --max-depth or use --max-depth unlimited`
+        });
+      }
+    }
+    const baseDir = fullPaths.length > 1 ? process.cwd() : directory ? fullPath : path.dirname(fullPath);
+    for (const file of found) {
+      if (!files.has(file)) files.set(file, { path: path.relative(baseDir, file), absolutePath: file });
+    }
+  }
+  const relativeWarnings = warnings.map(warning => ({ ...warning, path: path.relative(process.cwd(), warning.path) || '.' }));
+  return { files: [...files.values()].sort((a, b) => comparePaths(a.path, b.path)), warnings: relativeWarnings };
+}
+
+/**
+ * Prints the warnings collected while scanning
+ * @param {object[]} warnings - Warnings of shape { path, message }, with paths relative to the current directory
+ * @param {boolean} machineReadable - Print to stderr to keep stdout parseable
+ */
+function printWarnings(warnings, machineReadable) {
+  if (warnings.length === 0) return;
+  const thinDivider = '─'.repeat(50);
+  (machineReadable ? console.error : console.log)(`
+${thinDivider}
+⚠️  WARNINGS
+${thinDivider}
+${warnings.map(warning => `  ${warning.path}: ${warning.message}`).join('\n')}
+`);
+}
+
+/**
+ * Checks whether a path lies inside a directory
+ * @param {string} dir - Absolute directory
+ * @param {string} fullPath - Absolute path
+ * @returns {boolean} True if the path is the directory or lies below it
+ */
+function isInside(dir, fullPath) {
+  const relative = path.relative(dir, fullPath);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * Finds the root of the project a target belongs to: the nearest enclosing directory with a
+ * configuration file, a package.json or a .git entry, or the target's own directory when there
+ * is none
+ * @param {string} fullPath - Absolute path of a target
+ * @returns {string} Project root
+ */
+function findProjectRoot(fullPath) {
+  const start = isDirectory(fullPath) ? fullPath : path.dirname(fullPath);
+  for (let dir = start; ; dir = path.dirname(dir)) {
+    if (PROJECT_MARKERS.some(name => pathExists(path.join(dir, name)))) return dir;
+    if (path.dirname(dir) === dir) return start;
+  }
+}
+
+/**
+ * Finds the tests of the project the targets belong to and pairs them with source files. Tests
+ * are looked for under the project root of the first target, widened until it holds every target,
+ * with the same ignore files and --include/--exclude as the targets. Directory targets are not
+ * read again, and the project is not read at all when no listed source needs its tests: for
+ * --list-files, or when every listed file is a test.
+ * @param {string[]} fullPaths - Absolute paths of the targets
+ * @param {object[]} files - Files from listTargetFiles
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<Function>} Called with an absolute path; returns { isTest, testFiles } where
+ *   testFiles are the tests covering the file, relative to the current directory
+ */
+async function findProjectTests(fullPaths, files, config, options) {
+  const cwd = process.cwd();
+  let root = findProjectRoot(fullPaths[0]);
+  while (!fullPaths.every(fullPath => isInside(root, fullPath))) root = path.dirname(root);
+  const keyOf = filePath => path.relative(root, filePath).split(path.sep).join('/');
+
+  const directories = fullPaths.filter(isDirectory);
+  const needsTests = !options.listFiles && !directories.includes(root) && files.some(file => !isTestPath(keyOf(file.absolutePath)));
+  let found = [];
+  if (needsTests) {
+    const filter = createFileFilter(root, options);
+    const scan = await scanCodeFiles(root, {
+      maxDepth: resolveMaxDepth(config, options),
+      excludedDirectories: config.excludeDirectories,
+      filter: (fullPath, isDir) => !directories.some(dir => isInside(dir, fullPath)) && filter(fullPath, isDir),
+      followSymlinks: options.followSymlinks
+    });
+    found = scan.files;
+  }
+
+  const keys = new Set([...found, ...files.map(file => file.absolutePath)].map(keyOf));
+  const { tests, testsBySource } = pairTestFiles([...keys]);
+  return filePath => {
+    const key = keyOf(filePath);
+    return {
+      isTest: tests.has(key) || isTestPath(key),
+      testFiles: (testsBySource.get(key) || []).map(testPath => path.relative(cwd, path.join(root, testPath)).split(path.sep).join('/'))
+    };
+  };
+}
+
+/**
+ * Applies the test pairing to the result of one file and scores it again
+ * @param {object} result - Analysis result with its absolute path
+ * @param {Function} pairingOf - From findProjectTests
+ * @param {object} config - Scoring configuration
+ * @returns {object} Copy of the result where metrics.isTest, metrics.hasTests and metrics.testFiles
+ *   reflect the project's tests, scored again when that changes the mood or suggestions
+ */
+function withTestPairing(result, pairingOf, config) {
+  const { isTest, testFiles } = pairingOf(result.absolutePath);
+  const metrics = { ...result.metrics, isTest, hasTests: !isTest && testFiles.length > 0, testFiles };
+  if (metrics.isTest === result.metrics.isTest && metrics.hasTests === result.metrics.hasTests) return { ...result, metrics };
+  const moodResult = determineMood(metrics, config);
+  return { ...result, metrics, moodResult, suggestions: generateSuggestions(metrics, moodResult, config) };
+}
+
+/**
+ * Lists the files to analyze for the given targets and pairs them with the project's tests. With
+ * --tests exclude, test files found in directories are left out.
+ * @param {string[]} fullPaths - Absolute paths of the files and directories to analyze
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<{files: object[], warnings: object[], pairingOf: Function}>} Files and warnings
+ *   as from listTargetFiles, and the pairing from findProjectTests for withTestPairing
+ */
+async function listPairedFiles(fullPaths, config, options) {
+  const { files, warnings } = await listTargetFiles(fullPaths, config, options);
+  const pairingOf = await findProjectTests(fullPaths, files, config, options);
+  // Files named on the command line are always analyzed, like with --exclude
+  const kept = options.tests === 'exclude'
+    ? files.filter(file => fullPaths.includes(file.absolutePath) || !pairingOf(file.absolutePath).isTest)
+    : files;
+  return { files: kept, warnings, pairingOf };
+}
+
+/**
+ * Lists the suppression comments that silenced nothing, for --report-unused-suppressions
+ * @param {object[]} results - Analysis results with their absolute paths
+ * @returns {object[]} Warnings of shape { path, message }, with paths relative to the current directory
+ */
+function unusedSuppressionWarnings(results) {
+  return results.flatMap(result => result.metrics.unusedSuppressions.map(directive => ({
+    path: path.relative(process.cwd(), result.absolutePath),
+    message: `line ${directive.line}: unused ${directive.text} comment, nothing to suppress`
+  })));
+}
+
+/**
+ * Analyzes listed files, reusing cached results of unchanged files and running on
+ * worker threads when enough files are left
+ * @param {object[]} files - Files from listTargetFiles
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @param {string} fullPath - Absolute path the configuration was loaded for
+ * @returns {Promise<{results: object[], skipped: object[]}>} Analysis results with their paths and
+ *   absolute paths, in the order of files, and warnings of shape { path, message } for the files
+ *   skipped as too large, binary or unreadable, with paths relative to the current directory
+ */
+async function analyzeFiles(files, config, options, fullPath) {
+  const cache = options.cache ? openResultCache(path.resolve(DEFAULT_CACHE_DIR), config) : null;
+  const results = files.map(file => cache && cache.lookup(file.absolutePath));
+  const pending = files.map(file => file.absolutePath).filter((filePath, index) => !results[index]);
+
+  const jobs = options.jobs === null ? defaultJobs() : parseJobs(options.jobs);
+  const fresh = jobs > 1 && pending.length >= PARALLEL_THRESHOLD
+    ? await analyzeInWorkers(pending, { jobs, configOptions: configOptionsFor(fullPath, options) })
+    : pending.map(filePath => readAndAnalyze(filePath, config));
+
+  let next = 0;
+  results.forEach((result, index) => {
+    if (result) return;
+    results[index] = fresh[next++];
+    if (cache && results[index] && !results[index].skipped) cache.store(files[index].absolutePath, results[index]);
+  });
+  if (cache) cache.save();
+
+  const analyzed = [];
+  const skipped = [];
+  files.forEach((file, index) => {
+    const result = results[index];
+    if (result && result.skipped) skipped.push({ path: path.relative(process.cwd(), file.absolutePath), message: `Skipped: ${result.skipped}` });
+    else if (result) analyzed.push({ ...file, ...result });
+  });
+  return { results: analyzed, skipped };
+}
+
+/**
+ * Reads the quality gates and baseline given on the command line, exiting with an error message if they are invalid
+ * @param {object} options - Parsed command line options
+ * @returns {object|null} { gates, baseline, baseDir }, or null when no gate or baseline is set
+ */
+function loadGatesOrExit(options) {
+  try {
+    const gates = parseGates(options);
+    if (!hasGates(gates) && !options.baseline) return null;
+    const baselinePath = options.baseline && path.resolve(options.baseline);
+    return {
+      gates,
+      baseline: baselinePath ? readBaseline(baselinePath) : null,
+      baseDir: baselinePath ? path.dirname(baselinePath) : ''
+    };
+  } catch (error) {
+    if (!(error instanceof GateError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Prints the quality gate results and sets the exit code when a gate failed
+ * @param {object[]} violations - Result of checkGates
+ * @param {boolean} machineReadable - Print to stderr to keep stdout parseable
+ */
+function reportGates(violations, machineReadable) {
+  (machineReadable ? console.error : console.log)(formatGateReport(violations));
+  if (violations.length > 0) process.exitCode = EXIT_GATE_FAILED;
+}
+
+/**
+ * Runs the baseline command: records the snapshot used by --baseline
+ * @param {object} options - Parsed command line options
+ */
+async function runBaseline(options) {
+  const [action, target = '.'] = options.paths;
+  if (action !== 'update') {
+    console.error(`Error: Unknown baseline action: ${action || '(none)'}. Expected: update`);
+    process.exit(1);
+  }
+
+  const fullPath = path.resolve(target);
+  if (!pathExists(fullPath)) {
+    console.error(`Error: Path does not exist: ${target}`);
+    process.exit(1);
+  }
+  const config = loadConfigOrExit(fullPath, options);
+
+  const baselinePath = path.resolve(options.baseline || DEFAULT_BASELINE_PATH);
+  // Scored like a gated run, so tested files keep the points for their tests
+  const { files, pairingOf } = await listPairedFiles([fullPath], config, options);
+  const analysis = await analyzeFiles(files, config, options, fullPath);
+  const results = analysis.results.map(result => withTestPairing(result, pairingOf, config));
+  fs.writeFileSync(baselinePath, JSON.stringify(buildBaseline(results, path.dirname(baselinePath)), null, 2) + '\n');
+  console.log(`📝 Baseline of ${results.length} files written to ${path.relative(process.cwd(), baselinePath) || baselinePath}`);
+}
+
+/**
+ * Runs the cache command: deletes the result cache
+ * @param {object} options - Parsed command line options
+ */
+function runCache(options) {
+  const [action] = options.paths;
+  if (action !== 'clear') {
+    console.error(`Error: Unknown cache action: ${action || '(none)'}. Expected: clear`);
+    process.exit(1);
+  }
+  const cleared = clearResultCache(path.resolve(DEFAULT_CACHE_DIR));
+  console.log(cleared ? `🧹 Cache ${DEFAULT_CACHE_DIR}/ cleared` : `No cache to clear in ${DEFAULT_CACHE_DIR}/`);
+}
+
+/**
+ * Runs the serve command: the HTTP API and dashboard, until interrupted
+ * @param {object} options - Parsed command line options
+ */
+function runServe(options) {
+  const port = options.port === null ? DEFAULT_PORT : parsePort(options.port);
+  if (port === null) {
+    console.error(`Error: Invalid --port: ${options.port}. Expected a whole number from 0 to 65535`);
+    process.exit(1);
+  }
+  const host = options.host || DEFAULT_HOST;
+  // Requests are scored with the configuration of the current directory
+  const config = loadConfigOrExit(process.cwd(), options);
+
+  const server = createServer({ config });
+  server.on('error', error => {
+    console.error(`Error: Cannot listen on ${host}:${port}: ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    const address = server.address();
+    const shownHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    console.log(`🌐 Code mood server listening on http://${shownHost}:${address.port} (Ctrl+C to stop)`);
+  });
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+/**
+ * Runs the lsp command: a language server on stdin and stdout, until the client exits
+ * @param {object} options - Parsed command line options
+ */
+function runLsp(options) {
+  startLanguageServer({
+    input: process.stdin,
+    output: process.stdout,
+    configOptions: { configPath: options.config, pluginPaths: options.plugins },
+    onExit: code => process.exit(code)
+  });
+}
+
+/**
+ * Keeps analyzing a directory as its files change, until interrupted
+ * @param {string} fullPath - Absolute path of the directory
+ * @param {object[]} results - Results of the initial run
+ * @param {object} config - Scoring configuration
+ * @param {object} options - Parsed command line options
+ * @param {Function} pairingOf - Test pairing from findProjectTests
+ */
+function watchTarget(fullPath, results, config, options, pairingOf) {
+  const byPath = new Map(results.map(result => [result.absolutePath, result]));
+  const watcher = watchDirectory({
+    root: fullPath,
+    results: byPath,
+    maxDepth: resolveMaxDepth(config, options),
+    excludedDirectories: config.excludeDirectories,
+    filter: createFileFilter(fullPath, options),
+    followSymlinks: options.followSymlinks,
+    analyze: file => {
+      if (options.tests === 'exclude' && pairingOf(file).isTest) return null;
+      const result = analyzeFile(file, config);
+      return result && withTestPairing({ path: path.relative(fullPath, file), absolutePath: file, ...result }, pairingOf, config);
+    },
+    onUpdate: changes => {
+      console.log(`\n🔄 ${new Date().toLocaleTimeString()}: ${changes.length} file(s) changed`);
+      for (const line of formatChanges(changes, fullPath)) console.log(`  ${line}`);
+      if (byPath.size > 0) printSummaries([...byPath.values()], options.tests);
+      else console.log('No supported code files found in the directory.');
+    },
+    onError: error => {
+      console.error(`Error: Stopped watching ${fullPath}: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+  console.log('👀 Watching for changes (Ctrl+C to stop)...');
+  process.on('SIGINT', () => {
+    watcher.close();
+    process.exit(0);
+  });
+}
+
+/**
+ * Checks whether a repository file would be analyzed
+ * @param {string} filePath - Path relative to the repository root, with forward slashes
+ * @param {object} config - Scoring configuration
+ * @returns {boolean} True for supported files outside excluded directories
+ */
+function isAnalyzedPath(filePath, config) {
+  return isSupportedFile(filePath) && !filePath.split('/').slice(0, -1).some(dir => config.excludeDirectories.includes(dir));
+}
+
+/**
+ * Resolves the repository of a target and the target's path inside it
+ * @param {string} fullPath - Absolute path being analyzed
+ * @returns {{repoRoot: string, pathspec: string}} Repository root and relative path
+ * @throws {GitError} If the target is not inside a git repository
+ */
+function locateInRepository(fullPath) {
+  const repoRoot = findRepositoryRoot(isDirectory(fullPath) ? fullPath : path.dirname(fullPath));
+  const pathspec = path.relative(fs.realpathSync(repoRoot), fs.realpathSync(fullPath)).split(path.sep).join('/');
+  return { repoRoot, pathspec };
+}
+
+/**
+ * Runs the history command: the mood of sampled revisions over time
+ * @param {object} options - Parsed command line options
+ */
+function runHistory(options) {
+  if (!HISTORY_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown history format: ${options.format}. Expected one of: ${HISTORY_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const target = options.paths[0] || '.';
+  const fullPath = path.resolve(target);
+  if (!pathExists(fullPath)) {
+    console.error(`Error: Path does not exist: ${target}`);
+    process.exit(1);
+  }
+  const config = loadConfigOrExit(fullPath, options);
+
+  let samples;
+  try {
+    const { repoRoot, pathspec } = locateInRepository(fullPath);
+    samples = collectHistory({
+      repoRoot,
+      pathspec,
+      since: options.since,
+      interval: parseInterval(options.every),
+      isIncluded: filePath => isAnalyzedPath(filePath, config),
+      analyze: (code, filePath) => analyzeSource(code, filePath, config)
+    });
+  } catch (error) {
+    if (!(error instanceof GitError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const points = samples.map(sample => {
+    const aggregate = sample.results.length > 0 ? calculateAggregateMood(sample.results) : null;
+    return {
+      date: new Date(sample.timestamp * 1000).toISOString(),
+      commit: sample.commit,
+      fileCount: sample.results.length,
+      avgScore: aggregate ? aggregate.avgScore : null,
+      dominantMood: aggregate ? aggregate.dominantMood : null,
+      moodCounts: aggregate ? aggregate.moodCounts : {}
+    };
+  });
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify({
+      tool: { name: 'code-mood-analyzer', version: VERSION },
+      target,
+      since: options.since,
+      every: options.every,
+      points
+    }, null, 2));
+  } else if (options.format === 'csv') {
+    console.log(formatHistoryCsv(points));
+  } else {
+    console.log(formatHistoryText(points, { target, since: options.since, every: options.every }));
+  }
+}
+
+/**
+ * Runs the diff command: the mood of the lines a change adds
+ * @param {object} options - Parsed command line options
+ */
+function runDiff(options) {
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown format: ${options.format}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  if (!options.base === !options.staged) {
+    console.error('Error: diff needs either --base <ref> or --staged');
+    process.exit(1);
+  }
+
+  const target = options.paths[0] || '.';
+  const fullPath = path.resolve(target);
+  if (!pathExists(fullPath)) {
+    console.error(`Error: Path does not exist: ${target}`);
+    process.exit(1);
+  }
+  const config = loadConfigOrExit(fullPath, options);
+
+  let diff;
+  try {
+    const { repoRoot, pathspec } = locateInRepository(fullPath);
+    diff = collectDiff({
+      repoRoot,
+      pathspec,
+      base: options.base,
+      staged: options.staged,
+      isIncluded: filePath => isAnalyzedPath(filePath, config),
+      analyze: (code, filePath) => analyzeSource(code, filePath, config),
+      config
+    });
+  } catch (error) {
+    if (!(error instanceof GitError)) throw error;
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const summary = summarizeDiff(diff.files);
+  if (options.format === 'json') {
+    console.log(JSON.stringify({
+      tool: { name: 'code-mood-analyzer', version: VERSION },
+      base: diff.base,
+      head: diff.head,
+      files: diff.files,
+      summary
+    }, null, 2));
+  } else if (options.format !== 'text') {
+    // Only findings introduced by the change are reported
+    const results = diff.files.map(file => ({ absolutePath: path.join(diff.repoRoot, file.path), metrics: { findings: file.findings } }));
+    printReport(options.format, results, target);
+  } else {
+    console.log(formatDiffText(diff, summary));
+  }
+}
+
+/**
+ * Runs the todos command: every TODO, FIXME and HACK marker with its owner, issue references
+ * and due date, grouped and exported for review
+ * @param {object} options - Parsed command line options
+ * @returns {Promise<void>} Resolves when the report has been printed or written
+ */
+async function runTodos(options) {
+  if (!TODO_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown todos format: ${options.format}. Expected one of: ${TODO_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  const groupBy = options.groupBy || 'file';
+  if (!TODO_GROUPINGS.includes(groupBy)) {
+    console.error(`Error: Unknown --group-by: ${groupBy}. Expected one of: ${TODO_GROUPINGS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const targets = options.paths.length > 0 ? options.paths : ['.'];
+  const target = targets.join(' ');
+  const fullPaths = targets.map(targetPath => path.resolve(targetPath));
+  const missing = targets.find((targetPath, index) => !pathExists(fullPaths[index]));
+  if (missing !== undefined) {
+    console.error(`Error: Path does not exist: ${missing}`);
+    process.exit(1);
+  }
+  if (fullPaths.some(targetPath => !isDirectory(targetPath) && !isSupportedFile(targetPath))) {
+    console.error('Error: Unsupported file type. Run --help to see supported types.');
+    process.exit(1);
+  }
+
+  const config = loadConfigOrExit(fullPaths[0], options);
+  const { files, warnings } = await listTargetFiles(fullPaths, config, options);
+  const today = localDate(new Date());
+  const markers = [];
+  for (const file of files) {
+    const relativePath = path.relative(process.cwd(), file.absolutePath).split(path.sep).join('/');
+    const source = readSourceFile(file.absolutePath, { maxFileSize: config.maxFileSize });
+    if (source.skipped) warnings.push({ path: relativePath, message: `Skipped: ${source.skipped}` });
+    else markers.push(...extractMarkers(source.code, relativePath, { today }));
+  }
+
+  const groups = groupMarkers(markers, groupBy);
+  const summary = summarizeMarkers(markers);
+  let output;
+  if (options.format === 'json') {
+    output = JSON.stringify({ tool: { name: 'code-mood-analyzer', version: VERSION }, target, groupBy, today, summary, groups }, null, 2);
+  } else if (options.format === 'markdown') {
+    output = formatTodosMarkdown(groups, summary, { target });
+  } else if (options.format === 'csv') {
+    output = formatTodosCsv(groups);
+  } else {
+    output = formatTodosText(groups, summary, { target });
+  }
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output + '\n');
+    console.log(`📝 TODO report written to ${options.out} (${summary.total} markers, ${summary.overdue} overdue)`);
+  } else {
+    console.log(output);
+  }
+  printWarnings(warnings, options.format !== 'text' && !options.out);
+}
+
 /**
  * Main CLI entry point
+ * @returns {Promise<void>} Resolves when the analysis has been printed
  */
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
@@ -219,56 +1141,180 @@ function main() {
     return;
   }
   
-  const target = args[0];
-  const fullPath = path.resolve(target);
-  
-  if (!pathExists(fullPath)) {
-    console.error(`Error: Path does not exist: ${target}`);
+  const options = parseArgs(args);
+
+  if (options.maxDepth !== null && parseMaxDepth(options.maxDepth) === null) {
+    console.error(`Error: Invalid --max-depth: ${options.maxDepth}. Expected a whole number of 0 or more, or "unlimited"`);
+    process.exit(1);
+  }
+
+  if (options.maxFileSize !== null && parseFileSize(options.maxFileSize) === null) {
+    console.error(`Error: Invalid --max-file-size: ${options.maxFileSize}. Expected a number of bytes, a size such as 2mb, or "unlimited"`);
+    process.exit(1);
+  }
+
+  if (options.jobs !== null && parseJobs(options.jobs) === null) {
+    console.error(`Error: Invalid --jobs: ${options.jobs}. Expected a whole number of 1 or more`);
+    process.exit(1);
+  }
+
+  if (!TEST_MODES.includes(options.tests)) {
+    console.error(`Error: Unknown --tests mode: ${options.tests}. Expected one of: ${TEST_MODES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (options.command === 'history') {
+    runHistory(options);
+    return;
+  }
+
+  if (options.command === 'diff') {
+    runDiff(options);
+    return;
+  }
+
+  if (options.command === 'baseline') {
+    await runBaseline(options);
+    return;
+  }
+
+  if (options.command === 'cache') {
+    runCache(options);
+    return;
+  }
+
+  if (options.command === 'serve') {
+    runServe(options);
+    return;
+  }
+
+  if (options.command === 'lsp') {
+    runLsp(options);
+    return;
+  }
+
+  if (options.command === 'todos') {
+    await runTodos(options);
+    return;
+  }
+
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    console.error(`Error: Unknown format: ${options.format}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (options.report !== null && !REPORT_TYPES.includes(options.report)) {
+    console.error(`Error: Unknown report type: ${options.report}. Expected one of: ${REPORT_TYPES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const machineReadable = options.format !== 'text';
+  if (options.paths.length === 0) {
+    printHelp();
+    return;
+  }
+  const target = options.paths.join(' ');
+  const fullPaths = options.paths.map(targetPath => path.resolve(targetPath));
+  const fullPath = fullPaths[0];
+
+  const missing = options.paths.find((targetPath, index) => !pathExists(fullPaths[index]));
+  if (missing !== undefined) {
+    console.error(`Error: Path does not exist: ${missing}`);
     process.exit(1);
   }
+  if (fullPaths.some(targetPath => !isDirectory(targetPath) && !isSupportedFile(targetPath))) {
+    console.error('Error: Unsupported file type. Run --help to see supported types.');
+    process.exit(1);
+  }
+
+  if (options.watch && machineReadable) {
+    console.error('Error: --watch only supports text output');
+    process.exit(1);
+  }
+  if (options.watch && (fullPaths.length > 1 || !isDirectory(fullPath))) {
+    console.error('Error: --watch needs a single directory');
+    process.exit(1);
+  }
+
+  // The configuration nearest to the first path applies to all of them
+  const config = loadConfigOrExit(fullPath, options);
+  const { files, warnings, pairingOf } = await listPairedFiles(fullPaths, config, options);
+
+  if (options.listFiles) {
+    for (const file of files) console.log(path.relative(process.cwd(), file.absolutePath));
+    printWarnings(warnings, true);
+    return;
+  }
+
+  const gating = loadGatesOrExit(options);
   
-  if (isDirectory(fullPath)) {
-    // Analyze directory
-    const files = getCodeFiles(fullPath);
-    
-    if (files.length === 0) {
-      console.log('No supported code files found in the directory.');
+  if (fullPaths.length > 1 || isDirectory(fullPath)) {
+    // Analyze directories and files together
+    if (files.length === 0 && !options.watch) {
+      if (machineReadable) printReport(options.format, [], target, undefined, gating ? [] : undefined, warnings);
+      else console.log('No supported code files found in the directory.');
+      printWarnings(warnings, machineReadable);
       return;
     }
     
-    console.log(`\n🔍 Analyzing ${files.length} files...\n`);
+    if (!machineReadable) console.log(`\n🔍 Analyzing ${files.length} files...\n`);
     
-    const results = [];
-    for (const file of files) {
-      const result = analyzeFile(file);
-      if (result) {
-        results.push(result);
-        // Show individual file mood (compact)
-        console.log(`  ${result.moodResult.emoji} ${path.relative(fullPath, file)} - ${result.moodResult.mood} (${result.moodResult.score})`);
+    const analysis = await analyzeFiles(files, config, options, fullPath);
+    const results = analysis.results.map(result => withTestPairing(result, pairingOf, config));
+    const { skipped } = analysis;
+    if (options.reportUnusedSuppressions) skipped.push(...unusedSuppressionWarnings(results));
+    warnings.push(...skipped);
+    // Show individual file moods (compact)
+    if (!machineReadable) {
+      for (const result of results) {
+        console.log(`  ${result.moodResult.emoji} ${result.path} - ${result.moodResult.mood} (${result.moodResult.score})${result.metrics.isTest ? ' 🧪' : ''}`);
+        if (options.explain) console.log(formatExplanation(result.moodResult).map(line => '      ' + line).join('\n'));
       }
     }
     
-    if (results.length > 0) {
-      const aggregate = calculateAggregateMood(results);
-      printAggregateResults(aggregate);
+    const attribution = options.byAuthor ? attributeToAuthors(results, options, config) : null;
+    const violations = gating ? checkGates(results, gating.gates, gating) : null;
+    if (machineReadable) {
+      printReport(options.format, results, target, attribution && attribution.authors, violations, warnings, options.tests);
+    } else if (results.length > 0) {
+      printSummaries(results, options.tests);
+      if (attribution) printAuthorResults(attribution);
     }
+    printWarnings(warnings, machineReadable);
+
+    if (options.report) writeHtmlReport(results, target, options.out || DEFAULT_REPORT_PATH, machineReadable);
+    if (violations) reportGates(violations, machineReadable);
+    if (options.watch) watchTarget(fullPath, results, config, options, pairingOf);
   } else {
     // Analyze single file
-    if (!isSupportedFile(fullPath)) {
-      console.error('Error: Unsupported file type. Run --help to see supported types.');
-      process.exit(1);
-    }
-    
-    const result = analyzeFile(fullPath);
-    if (result) {
-      console.log(formatResults(result.metrics, result.moodResult, result.suggestions));
+    const analysis = await analyzeFiles(files, config, options, fullPath);
+    const results = analysis.results.map(result => withTestPairing(result, pairingOf, config));
+    const { skipped } = analysis;
+    if (options.reportUnusedSuppressions) skipped.push(...unusedSuppressionWarnings(results));
+    warnings.push(...skipped);
+    const result = results[0];
+    const attribution = options.byAuthor ? attributeToAuthors(results, options, config) : null;
+    const violations = gating ? checkGates(results, gating.gates, gating) : null;
+    if (machineReadable) {
+      printReport(options.format, results, target, attribution && attribution.authors, violations, warnings);
+    } else if (result) {
+      console.log(formatResults(result.metrics, result.moodResult, result.suggestions, { explain: options.explain, details: options.details }));
+      if (attribution) printAuthorResults(attribution);
     }
+    printWarnings(warnings, machineReadable);
+
+    if (options.report) writeHtmlReport(results, target, options.out || DEFAULT_REPORT_PATH, machineReadable);
+    if (violations) reportGates(violations, machineReadable);
   }
 }
 
-// Run if called directly
+// Run if called directly; anything main did not report itself, such as a report that cannot be
+// written, is a tool error
 if (require.main === module) {
-  main();
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
 }
 
-module.exports = { main, analyzeFile, calculateAggregateMood };
+module.exports = { main, parseArgs, analyzeFile, analyzeSource, calculateAggregateMood };
@@ -3,7 +3,7 @@
  * Re-exports all functionality for use as a library
  */
 
-const { analyzeCode, determineMood, generateSuggestions, formatResults, MOOD_EMOJIS, MOOD_DESCRIPTIONS } = require('../lib/analyzer');
+const { analyzeCode, determineMood, determineFunctionMood, getWorstFunctions, generateSuggestions, formatResults, formatExplanation, MOOD_EMOJIS, MOOD_DESCRIPTIONS } = require('../lib/analyzer');
 const { readFile, getCodeFiles, isDirectory, pathExists, isSupportedFile, SUPPORTED_EXTENSIONS } = require('../lib/fileUtils');
 const { main, analyzeFile, calculateAggregateMood } = require('./cli');
 
@@ -11,8 +11,11 @@ module.exports = {
   // Analysis functions
   analyzeCode,
   determineMood,
+  determineFunctionMood,
+  getWorstFunctions,
   generateSuggestions,
   formatResults,
+  formatExplanation,
   
   // File utilities
   readFile,